@@ -2,669 +2,5895 @@
 // NERIST ONE - COMPLETE BACKEND SYSTEM
 // ============================================
 // Unified backend with IndexedDB, localStorage, and real-time sync
-// All functionality in one file
+// All functionality in one file. Outside the browser pass a storage adapter:
+//   new NERISTBackend({ storage: new JsonFileStorageAdapter('nerist.json') })
+
+// Default mail transport: messages are queued in the mailOutbox store so the
+// flows can be exercised without an SMTP server. Any object with an async
+// send(message) method can replace it via setMailTransport().
+class OutboxMailTransport {
+    constructor(backend) {
+        this.backend = backend;
+    }
 
-class NERISTBackend {
-    constructor() {
-        this.db = null;
-        this.dbName = 'NERIST_One_DB';
-        this.dbVersion = 5;
-        this.currentUser = null;
-        this.isInitialized = false;
+    async send(message) {
+        const entry = {
+            ...message,
+            status: 'queued',
+            createdAt: new Date().toISOString()
+        };
 
-        // Initialize immediately
-        this.initialize();
+        const id = await this.backend.putObject('mailOutbox', entry);
+        return { id, ...entry };
     }
+}
 
-    // ============================================
-    // INITIALIZATION
-    // ============================================
+// Default replication transport for syncNow(): JSON over HTTP, as served by
+// nerist_sync_server.js. Any object with async pull(query) and push(batch)
+// methods can be passed as the syncTransport option instead.
+class HttpSyncTransport {
+    constructor(serverUrl, authToken = null, fetchImpl = null) {
+        this.serverUrl = serverUrl.replace(/\/+$/, '');
+        this.authToken = authToken;
+        this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+    }
 
-    async initialize() {
-        if (this.isInitialized) return this;
+    pull({ deviceId, since, limit }) {
+        const params = new URLSearchParams({ deviceId, since: String(since), limit: String(limit) });
+        return this.request('GET', `/sync/pull?${params}`);
+    }
 
-        try {
-            // Initialize IndexedDB
-            await this.initDatabase();
+    push(batch) {
+        return this.request('POST', '/sync/push', batch);
+    }
 
-            // Check for existing session
-            await this.restoreSession();
+    async request(method, path, body = null) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.authToken) {
+            headers.Authorization = `Bearer ${this.authToken}`;
+        }
 
-            // Seed initial data if needed
-            await this.seedInitialData();
+        const response = await this.fetch(`${this.serverUrl}${path}`, {
+            method,
+            headers,
+            body: body === null ? undefined : JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`Sync server responded with ${response.status}`);
+        }
+        return response.json();
+    }
+}
 
-            this.isInitialized = true;
-            console.log('NERIST Backend initialized successfully');
+// Schema context handed to migrations during an IndexedDB upgrade. Migrations
+// run inside the versionchange transaction, so they may only await calls on
+// this context (no fetch, timers or WebCrypto) or the transaction commits early.
+class IndexedDBMigrationContext {
+    constructor(db, transaction) {
+        this.db = db;
+        this.transaction = transaction;
+    }
 
-            // Make globally available
-            window.neristBackend = this;
+    hasStore(storeName) {
+        return this.db.objectStoreNames.contains(storeName);
+    }
 
-            // Start background sync
-            this.startBackgroundSync();
+    createStore(storeName, options = {}) {
+        this.db.createObjectStore(storeName, options);
+    }
 
-            return this;
-        } catch (error) {
-            console.error('Backend initialization failed:', error);
-            throw error;
-        }
+    deleteStore(storeName) {
+        this.db.deleteObjectStore(storeName);
     }
 
-    initDatabase() {
+    hasIndex(storeName, indexName) {
+        return this.transaction.objectStore(storeName).indexNames.contains(indexName);
+    }
+
+    createIndex(storeName, indexName, keyPath, options = {}) {
+        this.transaction.objectStore(storeName).createIndex(indexName, keyPath, options);
+    }
+
+    deleteIndex(storeName, indexName) {
+        this.transaction.objectStore(storeName).deleteIndex(indexName);
+    }
+
+    putRecord(storeName, record) {
+        return new Promise((resolve, reject) => {
+            const request = this.transaction.objectStore(storeName).put(record);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // transform(record) returns the updated record, null to delete it,
+    // or undefined to leave it untouched
+    updateRecords(storeName, transform) {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
+            let updated = 0;
+            const request = this.transaction.objectStore(storeName).openCursor();
 
             request.onerror = () => reject(request.error);
-            request.onupgradeneeded = (event) => this.createObjectStores(event);
-            request.onsuccess = (event) => {
-                this.db = event.target.result;
-                resolve(this.db);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(updated);
+                    return;
+                }
+
+                const result = transform(cursor.value);
+                if (result === null) {
+                    cursor.delete();
+                    updated++;
+                } else if (result !== undefined) {
+                    cursor.update(result);
+                    updated++;
+                }
+                cursor.continue();
             };
         });
     }
+}
 
-    createObjectStores(event) {
-        const db = event.target.result;
+// ============================================
+// STORAGE ADAPTERS
+// ============================================
+// NERISTBackend reaches storage only through an adapter:
+//
+//   open(name, version, migrate)   open the database, calling
+//                                  migrate(schema, oldVersion, newVersion) if it is older
+//   transaction(storeNames, mode, work)
+//                                  run work(tx); commit once its promise resolves,
+//                                  roll back if it rejects
+//   hasStore(name), getStoreSchema(name), close()
+//
+// tx exposes get, getAll, put, delete, count, clear and iterate, all returning
+// promises. Queries are a key or a { lower, upper, lowerOpen, upperOpen } range.
+// Every adapter follows IndexedDB key rules, so booleans and null are not keys.
+
+function storageError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
 
-        // Users store
-        if (!db.objectStoreNames.contains('users')) {
-            const store = db.createObjectStore('users', { keyPath: 'id' });
-            store.createIndex('username', 'username', { unique: true });
-            store.createIndex('email', 'email', { unique: true });
-            store.createIndex('role', 'role', { unique: false });
-            store.createIndex('department', 'department', { unique: false });
+// IndexedDB key semantics shared by the non-browser adapters
+const StorageKeys = {
+    // numbers < dates < strings < binary < arrays; null for anything that is not a key
+    type(key) {
+        if (typeof key === 'number') return Number.isNaN(key) ? null : 1;
+        if (key instanceof Date) return Number.isNaN(key.getTime()) ? null : 2;
+        if (typeof key === 'string') return 3;
+        if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) return 4;
+        if (Array.isArray(key)) return key.every(item => this.type(item) !== null) ? 5 : null;
+        return null;
+    },
+
+    isValid(key) {
+        return this.type(key) !== null;
+    },
+
+    bytes(key) {
+        return key instanceof ArrayBuffer
+            ? new Uint8Array(key)
+            : new Uint8Array(key.buffer, key.byteOffset, key.byteLength);
+    },
+
+    compare(a, b) {
+        const typeA = this.type(a);
+        const typeB = this.type(b);
+        if (typeA !== typeB) return typeA - typeB;
+
+        if (typeA === 2) return this.compare(a.getTime(), b.getTime());
+        if (typeA === 4 || typeA === 5) {
+            const left = typeA === 4 ? this.bytes(a) : a;
+            const right = typeA === 4 ? this.bytes(b) : b;
+            for (let i = 0; i < Math.min(left.length, right.length); i++) {
+                const result = typeA === 4 ? left[i] - right[i] : this.compare(left[i], right[i]);
+                if (result !== 0) return Math.sign(result);
+            }
+            return Math.sign(left.length - right.length);
+        }
+        return a === b ? 0 : (a < b ? -1 : 1);
+    },
+
+    // Stable string form used as the Map key for a record
+    serialize(key) {
+        switch (this.type(key)) {
+            case 1: return `n${key}`;
+            case 2: return `d${key.getTime()}`;
+            case 3: return `s${JSON.stringify(key)}`;
+            case 4: return `b${Array.from(this.bytes(key)).join('.')}`;
+            case 5: return `[${key.map(item => this.serialize(item)).join(',')}]`;
+            default: throw storageError('DataError', 'The parameter is not a valid key');
         }
+    },
 
-        // Attendance store
-        if (!db.objectStoreNames.contains('attendance')) {
-            const store = db.createObjectStore('attendance', {
-                keyPath: 'id',
-                autoIncrement: true
-            });
-            store.createIndex('studentId', 'studentId', { unique: false });
-            store.createIndex('date', 'date', { unique: false });
-            store.createIndex('subject', 'subject', { unique: false });
-            store.createIndex('status', 'status', { unique: false });
+    extract(record, keyPath) {
+        if (Array.isArray(keyPath)) {
+            return keyPath.map(path => this.extract(record, path));
+        }
+        return keyPath.split('.').reduce(
+            (value, part) => (value === null || value === undefined ? undefined : value[part]),
+            record
+        );
+    },
+
+    inject(record, keyPath, key) {
+        const parts = keyPath.split('.');
+        const target = parts.slice(0, -1).reduce((value, part) => {
+            if (value[part] === undefined) value[part] = {};
+            return value[part];
+        }, record);
+        target[parts[parts.length - 1]] = key;
+    },
+
+    // Anything with lower/upper (including IDBKeyRange) is a range, otherwise a key
+    isRange(query) {
+        return query !== null && typeof query === 'object' && !Array.isArray(query) &&
+            !(query instanceof Date) && !(query instanceof ArrayBuffer) && !ArrayBuffer.isView(query) &&
+            ('lower' in query || 'upper' in query);
+    },
+
+    inRange(key, query) {
+        if (!this.isRange(query)) {
+            if (!this.isValid(query)) throw storageError('DataError', 'The parameter is not a valid key');
+            return this.compare(key, query) === 0;
         }
 
-        // Mess menu store
-        if (!db.objectStoreNames.contains('messMenu')) {
-            const store = db.createObjectStore('messMenu', {
-                keyPath: 'id'
-            });
-            store.createIndex('date', 'date', { unique: false });
-            store.createIndex('mealType', 'mealType', { unique: false });
-            store.createIndex('date_meal', ['date', 'mealType'], { unique: true });
+        if (query.lower !== undefined) {
+            const result = this.compare(key, query.lower);
+            if (result < 0 || (result === 0 && query.lowerOpen)) return false;
+        }
+        if (query.upper !== undefined) {
+            const result = this.compare(key, query.upper);
+            if (result > 0 || (result === 0 && query.upperOpen)) return false;
         }
+        return true;
+    }
+};
 
-        // Career opportunities store
-        if (!db.objectStoreNames.contains('careerOpportunities')) {
-            const store = db.createObjectStore('careerOpportunities', {
-                keyPath: 'id',
-                autoIncrement: true
-            });
-            store.createIndex('type', 'type', { unique: false });
-            store.createIndex('deadline', 'deadline', { unique: false });
-            store.createIndex('status', 'status', { unique: false });
+class IndexedDBTransaction {
+    constructor(transaction, keyRange) {
+        this.transaction = transaction;
+        this.keyRange = keyRange;
+    }
+
+    // Plain { lower, upper, lowerOpen, upperOpen } ranges become IDBKeyRange
+    toKeyRange(query) {
+        if (query === null || query === undefined) return undefined;
+        if (!StorageKeys.isRange(query) || query instanceof this.keyRange) return query;
+
+        if (query.lower === undefined) return this.keyRange.upperBound(query.upper, !!query.upperOpen);
+        if (query.upper === undefined) return this.keyRange.lowerBound(query.lower, !!query.lowerOpen);
+        return this.keyRange.bound(query.lower, query.upper, !!query.lowerOpen, !!query.upperOpen);
+    }
+
+    request(storeName, indexName, method, ...args) {
+        return new Promise((resolve, reject) => {
+            let source = this.transaction.objectStore(storeName);
+            if (indexName) source = source.index(indexName);
+
+            const request = source[method](...args);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    get(storeName, key) {
+        return this.request(storeName, null, 'get', this.toKeyRange(key));
+    }
+
+    async getAll(storeName, indexName = null, query = null) {
+        return (await this.request(storeName, indexName, 'getAll', this.toKeyRange(query))) || [];
+    }
+
+    put(storeName, record) {
+        return this.request(storeName, null, 'put', record);
+    }
+
+    delete(storeName, key) {
+        return this.request(storeName, null, 'delete', this.toKeyRange(key));
+    }
+
+    count(storeName, indexName = null, query = null) {
+        return this.request(storeName, indexName, 'count', this.toKeyRange(query));
+    }
+
+    // visitor({ key, primaryKey, value }) returns false to stop early
+    iterate(storeName, { index = null, query = null, direction = 'next' }, visitor) {
+        return new Promise((resolve, reject) => {
+            let source = this.transaction.objectStore(storeName);
+            if (index) source = source.index(index);
+
+            const request = source.openCursor(this.toKeyRange(query), direction);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+
+                try {
+                    if (visitor({ key: cursor.key, primaryKey: cursor.primaryKey, value: cursor.value }) === false) {
+                        resolve();
+                        return;
+                    }
+                    cursor.continue();
+                } catch (error) {
+                    reject(error);
+                }
+            };
+        });
+    }
+
+    clear(storeName) {
+        return this.request(storeName, null, 'clear');
+    }
+}
+
+// Browser storage. IndexedDB commits a transaction as soon as no request is
+// pending, so work() must only await calls on tx - awaiting anything else
+// (fetch, timers, WebCrypto) lets it commit early.
+class IndexedDBStorageAdapter {
+    constructor(factory = null, keyRange = null) {
+        this.factory = factory;
+        this.keyRange = keyRange || globalThis.IDBKeyRange;
+        this.db = null;
+    }
+
+    open(name, version, migrate) {
+        const factory = this.factory || globalThis.indexedDB;
+        if (!factory) {
+            return Promise.reject(new Error('IndexedDB is not available in this environment'));
         }
 
-        // Student applications store
-        if (!db.objectStoreNames.contains('studentApplications')) {
-            const store = db.createObjectStore('studentApplications', {
-                keyPath: 'id',
-                autoIncrement: true
+        return new Promise((resolve, reject) => {
+            const request = factory.open(name, version);
+
+            request.onerror = () => reject(request.error);
+            request.onupgradeneeded = (event) => {
+                const transaction = event.target.transaction;
+                const schema = new IndexedDBMigrationContext(event.target.result, transaction);
+
+                // A failed migration aborts the whole upgrade and leaves the old version intact
+                new Promise(done => done(migrate(schema, event.oldVersion, event.newVersion))).catch(error => {
+                    console.error('Schema migration failed:', error);
+                    transaction.abort();
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+        });
+    }
+
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+
+    hasStore(storeName) {
+        return this.db.objectStoreNames.contains(storeName);
+    }
+
+    getStoreSchema(storeName) {
+        const store = this.db.transaction([storeName], 'readonly').objectStore(storeName);
+        return {
+            keyPath: store.keyPath,
+            autoIncrement: store.autoIncrement,
+            indexes: Array.from(store.indexNames, indexName => {
+                const index = store.index(indexName);
+                return { name: indexName, keyPath: index.keyPath, unique: index.unique };
+            })
+        };
+    }
+
+    transaction(storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, mode);
+            let failure = null;
+
+            const outcome = new Promise(done => done(work(new IndexedDBTransaction(transaction, this.keyRange))));
+            outcome.catch(error => {
+                failure = error;
+                try {
+                    transaction.abort();
+                } catch (abortError) {
+                    // Already committed; the rejection below still reaches the caller
+                }
             });
-            store.createIndex('studentId', 'studentId', { unique: false });
-            store.createIndex('opportunityId', 'opportunityId', { unique: false });
-            store.createIndex('status', 'status', { unique: false });
+
+            transaction.oncomplete = () => outcome.then(resolve, reject);
+            transaction.onabort = () => reject(failure || transaction.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+class MemoryTransaction {
+    constructor(adapter, storeNames, mode) {
+        this.adapter = adapter;
+        this.storeNames = storeNames; // null while upgrading: every store
+        this.mode = mode;
+        this.journal = [];
+        this.active = true;
+
+        if (storeNames) storeNames.forEach(storeName => adapter.getStore(storeName));
+    }
+
+    store(storeName, write = false) {
+        if (!this.active) {
+            throw storageError('TransactionInactiveError', 'The transaction has finished');
         }
+        if (this.storeNames && !this.storeNames.includes(storeName)) {
+            throw storageError('NotFoundError', `${storeName} is not part of this transaction`);
+        }
+        if (write && this.mode === 'readonly') {
+            throw storageError('ReadOnlyError', 'The transaction is read-only');
+        }
+        return this.adapter.getStore(storeName);
+    }
 
-        // Results store
-        if (!db.objectStoreNames.contains('results')) {
-            const store = db.createObjectStore('results', {
-                keyPath: 'id'
+    // Matching records in key order: [{ key, primaryKey, value }]
+    entries(store, indexName = null, query = null) {
+        let entries;
+        if (indexName) {
+            const index = store.indexes.get(indexName);
+            if (!index) throw storageError('NotFoundError', `No index named ${indexName}`);
+
+            entries = [];
+            store.records.forEach(entry => {
+                const key = StorageKeys.extract(entry.value, index.keyPath);
+                if (StorageKeys.isValid(key)) {
+                    entries.push({ key, primaryKey: entry.key, value: entry.value });
+                }
             });
-            store.createIndex('studentId', 'studentId', { unique: false });
-            store.createIndex('semester', 'semester', { unique: false });
-            store.createIndex('student_semester', ['studentId', 'semester'], { unique: true });
+            entries.sort((a, b) =>
+                StorageKeys.compare(a.key, b.key) || StorageKeys.compare(a.primaryKey, b.primaryKey));
+        } else {
+            entries = Array.from(store.records.values(), entry =>
+                ({ key: entry.key, primaryKey: entry.key, value: entry.value }));
+            entries.sort((a, b) => StorageKeys.compare(a.key, b.key));
         }
 
-        // Campus alerts store
-        if (!db.objectStoreNames.contains('campusAlerts')) {
-            const store = db.createObjectStore('campusAlerts', {
-                keyPath: 'id',
-                autoIncrement: true
-            });
-            store.createIndex('priority', 'priority', { unique: false });
-            store.createIndex('expiry', 'expiry', { unique: false });
-            store.createIndex('isActive', 'isActive', { unique: false });
+        if (query === null || query === undefined) return entries;
+        return entries.filter(entry => StorageKeys.inRange(entry.key, query));
+    }
+
+    async get(storeName, key) {
+        const [match] = this.entries(this.store(storeName), null, key);
+        return match ? structuredClone(match.value) : undefined;
+    }
+
+    async getAll(storeName, indexName = null, query = null) {
+        return this.entries(this.store(storeName), indexName, query)
+            .map(entry => structuredClone(entry.value));
+    }
+
+    async count(storeName, indexName = null, query = null) {
+        return this.entries(this.store(storeName), indexName, query).length;
+    }
+
+    async iterate(storeName, { index = null, query = null, direction = 'next' }, visitor) {
+        const entries = this.entries(this.store(storeName), index, query);
+        if (direction === 'prev') entries.reverse();
+
+        for (const entry of entries) {
+            if (visitor({ ...entry, value: structuredClone(entry.value) }) === false) break;
         }
+    }
 
-        // Emergency contacts store
-        if (!db.objectStoreNames.contains('emergencyContacts')) {
-            const store = db.createObjectStore('emergencyContacts', {
-                keyPath: 'id'
-            });
-            store.createIndex('type', 'type', { unique: false });
+    async put(storeName, record, outOfLineKey) {
+        const store = this.store(storeName, true);
+        const value = structuredClone(record);
+
+        let key = store.keyPath ? StorageKeys.extract(value, store.keyPath) : outOfLineKey;
+        if (key === undefined && store.autoIncrement) {
+            key = store.nextKey;
+            if (store.keyPath) StorageKeys.inject(value, store.keyPath, key);
+        }
+        if (!StorageKeys.isValid(key)) {
+            throw storageError('DataError', `Invalid key for ${storeName}`);
+        }
+
+        const id = StorageKeys.serialize(key);
+        this.checkUnique(storeName, store, value, id);
+        this.remember(store, id);
+
+        if (store.autoIncrement && typeof key === 'number' && key >= store.nextKey) {
+            store.nextKey = Math.floor(key) + 1;
         }
+        store.records.set(id, { key, value });
+        return key;
+    }
+
+    async delete(storeName, key) {
+        const store = this.store(storeName, true);
+        this.entries(store, null, key).forEach(entry => {
+            const id = StorageKeys.serialize(entry.key);
+            this.remember(store, id);
+            store.records.delete(id);
+        });
+    }
+
+    async clear(storeName) {
+        const store = this.store(storeName, true);
+        this.journal.push({ store, records: new Map(store.records), nextKey: store.nextKey });
+        store.records.clear();
+    }
+
+    checkUnique(storeName, store, value, id) {
+        store.indexes.forEach((index, indexName) => {
+            if (!index.unique) return;
 
-        // Campus locations store
-        if (!db.objectStoreNames.contains('campusLocations')) {
-            const store = db.createObjectStore('campusLocations', {
-                keyPath: 'id'
+            const key = StorageKeys.extract(value, index.keyPath);
+            if (!StorageKeys.isValid(key)) return;
+
+            store.records.forEach((entry, entryId) => {
+                if (entryId !== id && StorageKeys.compare(StorageKeys.extract(entry.value, index.keyPath), key) === 0) {
+                    throw storageError('ConstraintError', `Duplicate value for unique index ${storeName}.${indexName}`);
+                }
             });
-            store.createIndex('type', 'type', { unique: false });
+        });
+    }
+
+    remember(store, id) {
+        this.journal.push({ store, id, previous: store.records.get(id), nextKey: store.nextKey });
+    }
+
+    finish() {
+        this.active = false;
+    }
+
+    rollback() {
+        this.active = false;
+        for (let i = this.journal.length - 1; i >= 0; i--) {
+            const change = this.journal[i];
+            if (change.records) {
+                change.store.records = change.records;
+            } else if (change.previous) {
+                change.store.records.set(change.id, change.previous);
+            } else {
+                change.store.records.delete(change.id);
+            }
+            change.store.nextKey = change.nextKey;
         }
+        this.journal = [];
+    }
+}
+
+class MemoryMigrationContext {
+    constructor(adapter, transaction) {
+        this.adapter = adapter;
+        this.transaction = transaction;
+    }
+
+    hasStore(storeName) {
+        return this.adapter.stores.has(storeName);
+    }
 
-        // System settings store
-        if (!db.objectStoreNames.contains('systemSettings')) {
-            db.createObjectStore('systemSettings', { keyPath: 'key' });
+    createStore(storeName, options = {}) {
+        if (this.hasStore(storeName)) {
+            throw storageError('ConstraintError', `Object store ${storeName} already exists`);
         }
+        this.adapter.stores.set(storeName, {
+            keyPath: options.keyPath ?? null,
+            autoIncrement: !!options.autoIncrement,
+            nextKey: 1,
+            indexes: new Map(),
+            records: new Map()
+        });
+    }
 
-        // Activity log store
-        if (!db.objectStoreNames.contains('activityLog')) {
-            const store = db.createObjectStore('activityLog', {
-                keyPath: 'id',
-                autoIncrement: true
-            });
-            store.createIndex('userId', 'userId', { unique: false });
-            store.createIndex('timestamp', 'timestamp', { unique: false });
-            store.createIndex('action', 'action', { unique: false });
+    deleteStore(storeName) {
+        this.adapter.getStore(storeName);
+        this.adapter.stores.delete(storeName);
+    }
+
+    hasIndex(storeName, indexName) {
+        return this.adapter.getStore(storeName).indexes.has(indexName);
+    }
+
+    createIndex(storeName, indexName, keyPath, options = {}) {
+        const store = this.adapter.getStore(storeName);
+        if (store.indexes.has(indexName)) {
+            throw storageError('ConstraintError', `Index ${indexName} already exists on ${storeName}`);
         }
 
-        // Meal bookings store
-        if (!db.objectStoreNames.contains('mealBookings')) {
-            const store = db.createObjectStore('mealBookings', {
-                keyPath: 'id'
+        const index = { keyPath, unique: !!options.unique };
+        if (index.unique) {
+            const seen = new Set();
+            store.records.forEach(entry => {
+                const key = StorageKeys.extract(entry.value, keyPath);
+                if (!StorageKeys.isValid(key)) return;
+
+                const id = StorageKeys.serialize(key);
+                if (seen.has(id)) {
+                    throw storageError('ConstraintError', `Existing records violate unique index ${storeName}.${indexName}`);
+                }
+                seen.add(id);
             });
-            store.createIndex('studentId', 'studentId', { unique: false });
-            store.createIndex('date', 'date', { unique: false });
-            store.createIndex('date_meal', ['date', 'mealType'], { unique: false });
         }
+        store.indexes.set(indexName, index);
+    }
 
-        // Attendance reports store
-        if (!db.objectStoreNames.contains('attendanceReports')) {
-            const store = db.createObjectStore('attendanceReports', {
-                keyPath: 'id',
-                autoIncrement: true
-            });
-            store.createIndex('studentId', 'studentId', { unique: false });
-            store.createIndex('status', 'status', { unique: false });
-            store.createIndex('date', 'date', { unique: false });
+    deleteIndex(storeName, indexName) {
+        this.adapter.getStore(storeName).indexes.delete(indexName);
+    }
+
+    putRecord(storeName, record) {
+        return this.transaction.put(storeName, record);
+    }
+
+    // Same contract as IndexedDBMigrationContext.updateRecords
+    async updateRecords(storeName, transform) {
+        let updated = 0;
+        const entries = this.transaction.entries(this.adapter.getStore(storeName));
+
+        for (const entry of entries) {
+            const result = transform(structuredClone(entry.value));
+            if (result === null) {
+                await this.transaction.delete(storeName, entry.key);
+                updated++;
+            } else if (result !== undefined) {
+                await this.transaction.put(storeName, result);
+                updated++;
+            }
         }
+        return updated;
     }
+}
 
-    // ============================================
-    // DATABASE OPERATION HELPERS
-    // ============================================
+// Keeps everything in process memory - scripts, tests and throwaway servers.
+// Transactions are atomic (rolled back on failure) but not isolated from each other.
+class MemoryStorageAdapter {
+    constructor() {
+        this.name = null;
+        this.version = 0;
+        this.stores = new Map();
+    }
 
-    async executeTransaction(storeName, mode, operation) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([storeName], mode);
-            const store = transaction.objectStore(storeName);
+    async open(name, version, migrate) {
+        this.name = name;
+        await this.load();
 
-            transaction.oncomplete = () => resolve();
-            transaction.onerror = () => reject(transaction.error);
+        if (version < this.version) {
+            throw storageError('VersionError', `${name} is at version ${this.version}, newer than ${version}`);
+        }
 
-            operation(store);
-        });
+        if (version > this.version) {
+            const snapshot = this.snapshot();
+            const transaction = new MemoryTransaction(this, null, 'versionchange');
+
+            try {
+                await migrate(new MemoryMigrationContext(this, transaction), this.version, version);
+                transaction.finish();
+                this.version = version;
+                await this.persist();
+            } catch (error) {
+                console.error('Schema migration failed:', error);
+                this.stores = snapshot;
+                throw error;
+            }
+        }
+
+        return this;
     }
 
-    async getObject(storeName, key) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([storeName], 'readonly');
-            const store = transaction.objectStore(storeName);
-            const request = store.get(key);
+    // Hooks for adapters that keep a copy outside memory
+    async load() {}
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+    async persist() {}
+
+    close() {}
+
+    hasStore(storeName) {
+        return this.stores.has(storeName);
     }
 
-    async getAllObjects(storeName, indexName = null, query = null) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([storeName], 'readonly');
-            const store = transaction.objectStore(storeName);
+    getStore(storeName) {
+        const store = this.stores.get(storeName);
+        if (!store) throw storageError('NotFoundError', `No object store named ${storeName}`);
+        return store;
+    }
 
-            let request;
-            if (indexName && query) {
-                const index = store.index(indexName);
-                request = index.getAll(query);
-            } else if (indexName) {
-                const index = store.index(indexName);
-                request = index.getAll();
-            } else {
-                request = store.getAll();
-            }
+    getStoreSchema(storeName) {
+        const store = this.getStore(storeName);
+        return {
+            keyPath: store.keyPath,
+            autoIncrement: store.autoIncrement,
+            indexes: Array.from(store.indexes, ([name, index]) => ({ name, ...index }))
+        };
+    }
 
-            request.onsuccess = () => resolve(request.result || []);
-            request.onerror = () => reject(request.error);
+    async transaction(storeNames, mode, work) {
+        const transaction = new MemoryTransaction(this, storeNames, mode);
+
+        try {
+            const result = await work(transaction);
+            transaction.finish();
+            if (transaction.journal.length > 0) await this.persist();
+            return result;
+        } catch (error) {
+            transaction.rollback();
+            throw error;
+        }
+    }
+
+    snapshot() {
+        return new Map(Array.from(this.stores, ([storeName, store]) => [storeName, {
+            ...store,
+            indexes: new Map(store.indexes),
+            records: new Map(store.records)
+        }]));
+    }
+}
+
+// Node only: the whole database lives in memory and is rewritten to one JSON
+// file after every committed write. Records must survive JSON.stringify.
+class JsonFileStorageAdapter extends MemoryStorageAdapter {
+    constructor(filePath, fileSystem = null) {
+        super();
+        this.filePath = filePath;
+        this.fs = fileSystem;
+    }
+
+    getFileSystem() {
+        if (!this.fs) this.fs = require('fs');
+        return this.fs;
+    }
+
+    async load() {
+        const fs = this.getFileSystem();
+        if (!fs.existsSync(this.filePath)) return;
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.version = data.version;
+        this.stores = new Map(Object.entries(data.stores).map(([storeName, store]) => [storeName, {
+            keyPath: store.keyPath,
+            autoIncrement: store.autoIncrement,
+            nextKey: store.nextKey,
+            indexes: new Map(Object.entries(store.indexes)),
+            records: new Map(store.records.map(([key, value]) =>
+                [StorageKeys.serialize(key), { key, value }]))
+        }]));
+    }
+
+    async persist() {
+        const data = { name: this.name, version: this.version, stores: {} };
+        this.stores.forEach((store, storeName) => {
+            data.stores[storeName] = {
+                keyPath: store.keyPath,
+                autoIncrement: store.autoIncrement,
+                nextKey: store.nextKey,
+                indexes: Object.fromEntries(store.indexes),
+                records: Array.from(store.records.values(), entry => [entry.key, entry.value])
+            };
         });
+
+        // Write a sibling file and rename it so a crash never leaves half a database
+        const fs = this.getFileSystem();
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data));
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+// Storage-compatible stand-in for localStorage outside the browser
+class MemoryKeyValueStore {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
     }
 
-    async putObject(storeName, data) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([storeName], 'readwrite');
-            const store = transaction.objectStore(storeName);
-            const request = store.put(data);
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+// Read query over one store, walked with a cursor so only the requested
+// slice is loaded:
+//
+//   this.query('attendance').index('student_date')
+//       .between([studentId, '2024-01-01'], [studentId, '2024-06-30'])
+//       .reverse().limit(20).page()
+//
+// page() returns { items, nextCursor }; pass nextCursor to after() for the
+// next page. Cursors are plain { key, primaryKey } objects.
+class StorageQuery {
+    constructor(backend, storeName) {
+        this.backend = backend;
+        this.storeName = storeName;
+        this.indexName = null;
+        this.keyQuery = null;
+        this.predicate = null;
+        this.order = 'next';
+        this.skipCount = 0;
+        this.maxCount = Infinity;
+        this.cursor = null;
+    }
+
+    index(indexName) {
+        this.indexName = indexName;
+        return this;
+    }
+
+    equals(key) {
+        this.keyQuery = key;
+        return this;
+    }
+
+    between(lower, upper, { lowerOpen = false, upperOpen = false } = {}) {
+        this.keyQuery = { lower, upper, lowerOpen, upperOpen };
+        return this;
+    }
+
+    above(lower, open = false) {
+        this.keyQuery = { lower, upper: undefined, lowerOpen: open, upperOpen: false };
+        return this;
+    }
+
+    below(upper, open = false) {
+        this.keyQuery = { lower: undefined, upper, lowerOpen: false, upperOpen: open };
+        return this;
+    }
+
+    // Leading components of a compound index: prefix([studentId]) on
+    // ['studentId', 'date'] matches every date for that student
+    prefix(values) {
+        // An empty array sorts after every non-array key
+        return this.between(values, [...values, []]);
+    }
+
+    // Runs on stored records, so encrypted fields are still sealed here
+    filter(predicate) {
+        this.predicate = predicate;
+        return this;
+    }
+
+    reverse() {
+        this.order = this.order === 'next' ? 'prev' : 'next';
+        return this;
+    }
+
+    offset(count) {
+        this.skipCount = Math.max(0, count);
+        return this;
+    }
+
+    limit(count) {
+        this.maxCount = Math.max(0, count);
+        return this;
+    }
+
+    after(cursor) {
+        this.cursor = cursor || null;
+        return this;
+    }
+
+    async toArray() {
+        const { items } = await this.page();
+        return items;
+    }
+
+    async first() {
+        const [item] = await this.clone().limit(1).toArray();
+        return item;
+    }
+
+    async count() {
+        const range = this.resolveRange();
+        if (range === false) return 0;
+
+        if (!this.predicate && !this.cursor) {
+            return this.backend.executeTransaction(this.storeName, 'readonly',
+                tx => tx.count(this.storeName, this.indexName, range));
+        }
+
+        let total = 0;
+        await this.walk(range, () => {
+            total++;
+            return true;
+        });
+        return total;
+    }
+
+    async page() {
+        const range = this.resolveRange();
+        if (range === false || this.maxCount === 0) return { items: [], nextCursor: null };
+
+        const entries = [];
+        let skipped = 0;
+        let more = false;
+
+        await this.walk(range, entry => {
+            if (skipped < this.skipCount) {
+                skipped++;
+                return true;
+            }
+            // Read one past the limit to know whether another page exists
+            if (entries.length === this.maxCount) {
+                more = true;
+                return false;
+            }
+            entries.push(entry);
+            return true;
+        });
+
+        const last = entries[entries.length - 1];
+        const items = await Promise.all(entries.map(entry => this.backend.openRecord(this.storeName, entry.value)));
+
+        return {
+            items,
+            nextCursor: more ? { key: last.key, primaryKey: last.primaryKey } : null
+        };
+    }
+
+    walk(range, visitor) {
+        const cursor = this.cursor;
+        const forward = this.order === 'next';
+
+        return this.backend.executeTransaction(this.storeName, 'readonly', tx => tx.iterate(this.storeName, {
+            index: this.indexName,
+            query: range,
+            direction: this.order
+        }, entry => {
+            // Entries sharing the cursor key are ordered by primary key
+            if (cursor && StorageKeys.compare(entry.key, cursor.key) === 0) {
+                const position = StorageKeys.compare(entry.primaryKey, cursor.primaryKey);
+                if (forward ? position <= 0 : position >= 0) return true;
+            }
+            if (this.predicate && !this.predicate(entry.value)) return true;
+            return visitor(entry);
+        }));
+    }
+
+    // Key range narrowed to start at the cursor; false when nothing can match
+    resolveRange() {
+        let range = this.keyQuery;
+        if (range !== null && !StorageKeys.isRange(range)) {
+            range = { lower: range, upper: range, lowerOpen: false, upperOpen: false };
+        }
+        if (!this.cursor) return range;
+
+        range = range ? { ...range } : { lowerOpen: false, upperOpen: false };
+        const bound = this.order === 'next' ? 'lower' : 'upper';
+        const sign = this.order === 'next' ? 1 : -1;
+
+        if (range[bound] === undefined || sign * StorageKeys.compare(this.cursor.key, range[bound]) > 0) {
+            range[bound] = this.cursor.key;
+            range[`${bound}Open`] = false;
+        }
+
+        if (range.lower !== undefined && range.upper !== undefined) {
+            const order = StorageKeys.compare(range.lower, range.upper);
+            if (order > 0 || (order === 0 && (range.lowerOpen || range.upperOpen))) return false;
+        }
+        return range;
+    }
+
+    clone() {
+        return Object.assign(new StorageQuery(this.backend, this.storeName), this);
+    }
+}
+
+// Handed to withTransaction() callbacks and accepted by the CRUD helpers as
+// their last argument. Records are read and written exactly as stored:
+// encrypted fields stay sealed, and new plaintext for them must go through
+// sealRecord() before the transaction starts, because IndexedDB commits as
+// soon as the callback awaits anything other than the transaction.
+class TransactionContext {
+    constructor(backend, transaction, storeNames, mode, replicate = false) {
+        this.backend = backend;
+        this.transaction = transaction;
+        this.storeNames = storeNames;
+        this.mode = mode;
+        this.replicate = replicate;
+        this.changes = [];
+        this.events = [];
+    }
+
+    // Queued until the transaction commits; dropped if it rolls back
+    emit(type, payload = {}, actor = this.backend.currentUser) {
+        this.events.push(this.backend.createEvent(type, payload, actor));
+    }
+
+    get(storeName, key) {
+        return this.transaction.get(storeName, key);
+    }
+
+    getAll(storeName, indexName = null, query = null) {
+        return this.transaction.getAll(storeName, indexName, query);
+    }
+
+    count(storeName, indexName = null, query = null) {
+        return this.transaction.count(storeName, indexName, query);
+    }
+
+    async put(storeName, record) {
+        this.backend.assertSealed(storeName, record);
+
+        if (NERIST_REPLICATION.syncIdStores.includes(storeName) && !record.syncId) {
+            record = { ...record, syncId: this.backend.generateSessionId() };
+        }
+        const replicated = this.replicate && this.backend.isReplicatedStore(storeName);
+        const previous = replicated ? await this.getStored(storeName, record) : undefined;
+
+        const key = await this.transaction.put(storeName, record);
+        this.changes.push({ type: 'put', storeName, key, record });
+
+        if (replicated) {
+            const changedFields = previous ? this.backend.diffRecordFields(previous, record) : null;
+            if (!changedFields || changedFields.length > 0) {
+                await this.queueChange(storeName, 'put', key, record, changedFields);
+            }
+        }
+        return key;
+    }
+
+    async delete(storeName, key) {
+        const replicated = this.replicate && this.backend.isReplicatedStore(storeName);
+        const previous = replicated ? await this.transaction.get(storeName, key) : undefined;
+
+        await this.transaction.delete(storeName, key);
+        this.changes.push({ type: 'delete', storeName, key });
+
+        if (previous) {
+            await this.queueChange(storeName, 'delete', key, previous, null);
+        }
+    }
+
+    async clear(storeName) {
+        await this.transaction.clear(storeName);
+        this.changes.push({ type: 'clear', storeName });
+    }
+
+    getStored(storeName, record) {
+        const key = StorageKeys.extract(record, this.backend.storage.getStoreSchema(storeName).keyPath);
+        return key === undefined ? undefined : this.transaction.get(storeName, key);
+    }
+
+    // Written in the same transaction as the change itself, so a committed
+    // write is never missing from the queue. changedFields is null when the
+    // whole record is new or deleted.
+    queueChange(storeName, op, key, record, changedFields) {
+        return this.transaction.put('changeQueue', {
+            storeName,
+            recordId: NERIST_REPLICATION.syncIdStores.includes(storeName) ? record.syncId : key,
+            op,
+            record: op === 'put' ? record : null,
+            changedFields,
+            changedAt: new Date().toISOString(),
+            changedBy: this.backend.currentUser ? this.backend.currentUser.id : null
+        });
+    }
+}
+
+// Ordered schema migrations. Each runs once, when an existing database is
+// older than its version; the newest version is the database version.
+// Never edit a released migration - add a new one.
+const NERIST_MIGRATIONS = [
+    {
+        version: 5,
+        description: 'Initial schema',
+        // Databases from versions 1-4 may already have part of this, so every step is guarded
+        up: async (schema) => {
+            const stores = {
+                users: {
+                    options: { keyPath: 'id' },
+                    indexes: [
+                        ['username', 'username', { unique: true }],
+                        ['email', 'email', { unique: true }],
+                        ['role', 'role'],
+                        ['department', 'department']
+                    ]
+                },
+                attendance: {
+                    options: { keyPath: 'id', autoIncrement: true },
+                    indexes: [['studentId', 'studentId'], ['date', 'date'], ['subject', 'subject'], ['status', 'status']]
+                },
+                messMenu: {
+                    options: { keyPath: 'id' },
+                    indexes: [
+                        ['date', 'date'],
+                        ['mealType', 'mealType'],
+                        ['date_meal', ['date', 'mealType'], { unique: true }]
+                    ]
+                },
+                careerOpportunities: {
+                    options: { keyPath: 'id', autoIncrement: true },
+                    indexes: [['type', 'type'], ['deadline', 'deadline'], ['status', 'status']]
+                },
+                studentApplications: {
+                    options: { keyPath: 'id', autoIncrement: true },
+                    indexes: [['studentId', 'studentId'], ['opportunityId', 'opportunityId'], ['status', 'status']]
+                },
+                results: {
+                    options: { keyPath: 'id' },
+                    indexes: [
+                        ['studentId', 'studentId'],
+                        ['semester', 'semester'],
+                        ['student_semester', ['studentId', 'semester'], { unique: true }]
+                    ]
+                },
+                campusAlerts: {
+                    options: { keyPath: 'id', autoIncrement: true },
+                    indexes: [['priority', 'priority'], ['expiry', 'expiry'], ['isActive', 'isActive']]
+                },
+                emergencyContacts: {
+                    options: { keyPath: 'id' },
+                    indexes: [['type', 'type']]
+                },
+                campusLocations: {
+                    options: { keyPath: 'id' },
+                    indexes: [['type', 'type']]
+                },
+                systemSettings: {
+                    options: { keyPath: 'key' },
+                    indexes: []
+                },
+                activityLog: {
+                    options: { keyPath: 'id', autoIncrement: true },
+                    indexes: [['userId', 'userId'], ['timestamp', 'timestamp'], ['action', 'action']]
+                },
+                mealBookings: {
+                    options: { keyPath: 'id' },
+                    indexes: [['studentId', 'studentId'], ['date', 'date'], ['date_meal', ['date', 'mealType']]]
+                },
+                attendanceReports: {
+                    options: { keyPath: 'id', autoIncrement: true },
+                    indexes: [['studentId', 'studentId'], ['status', 'status'], ['date', 'date']]
+                }
+            };
+
+            Object.entries(stores).forEach(([storeName, definition]) => {
+                if (!schema.hasStore(storeName)) {
+                    schema.createStore(storeName, definition.options);
+                }
+                definition.indexes.forEach(([indexName, keyPath, options = { unique: false }]) => {
+                    if (!schema.hasIndex(storeName, indexName)) {
+                        schema.createIndex(storeName, indexName, keyPath, options);
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 6,
+        description: 'Sessions',
+        up: async (schema) => {
+            schema.createStore('sessions', { keyPath: 'id' });
+            schema.createIndex('sessions', 'userId', 'userId', { unique: false });
+            schema.createIndex('sessions', 'expiresAt', 'expiresAt', { unique: false });
+        }
+    },
+    {
+        version: 7,
+        description: 'Roles and scoped role assignments',
+        up: async (schema) => {
+            schema.createStore('roles', { keyPath: 'id' });
+            schema.createStore('roleAssignments', { keyPath: 'id', autoIncrement: true });
+            schema.createIndex('roleAssignments', 'userId', 'userId', { unique: false });
+            schema.createIndex('roleAssignments', 'role', 'role', { unique: false });
+        }
+    },
+    {
+        version: 8,
+        description: 'Login attempt counters',
+        up: async (schema) => {
+            schema.createStore('loginAttempts', { keyPath: 'key' });
+        }
+    },
+    {
+        version: 9,
+        description: 'Auth tokens and mail outbox',
+        up: async (schema) => {
+            // Auth tokens (password reset, email verification) are keyed by token hash
+            schema.createStore('authTokens', { keyPath: 'id' });
+            schema.createIndex('authTokens', 'userId', 'userId', { unique: false });
+            schema.createIndex('authTokens', 'purpose', 'purpose', { unique: false });
+
+            schema.createStore('mailOutbox', { keyPath: 'id', autoIncrement: true });
+            schema.createIndex('mailOutbox', 'to', 'to', { unique: false });
+            schema.createIndex('mailOutbox', 'status', 'status', { unique: false });
+            schema.createIndex('mailOutbox', 'createdAt', 'createdAt', { unique: false });
+        }
+    },
+    {
+        version: 10,
+        description: 'Wrapped encryption keys',
+        up: async (schema) => {
+            schema.createStore('encryptionKeys', { keyPath: 'id' });
+        }
+    },
+    {
+        version: 11,
+        description: 'Compound indexes for range queries',
+        up: async (schema) => {
+            const indexes = {
+                attendance: [
+                    ['student_date', ['studentId', 'date']],
+                    ['date_subject', ['date', 'subject']],
+                    ['student_status', ['studentId', 'status']]
+                ],
+                mealBookings: [['student_date', ['studentId', 'date']]],
+                studentApplications: [
+                    ['appliedDate', 'appliedDate'],
+                    ['student_applied', ['studentId', 'appliedDate']],
+                    ['status_applied', ['status', 'appliedDate']]
+                ],
+                attendanceReports: [
+                    ['submittedAt', 'submittedAt'],
+                    ['student_submitted', ['studentId', 'submittedAt']],
+                    ['status_submitted', ['status', 'submittedAt']]
+                ],
+                activityLog: [
+                    ['user_timestamp', ['userId', 'timestamp']],
+                    ['action_timestamp', ['action', 'timestamp']]
+                ]
+            };
+
+            Object.entries(indexes).forEach(([storeName, storeIndexes]) => {
+                storeIndexes.forEach(([indexName, keyPath]) => {
+                    schema.createIndex(storeName, indexName, keyPath, { unique: false });
+                });
+            });
+        }
+    },
+    {
+        version: 12,
+        description: 'Replication queue and sync ids',
+        up: async (schema) => {
+            schema.createStore('changeQueue', { keyPath: 'id', autoIncrement: true });
+            schema.createIndex('changeQueue', 'record', ['storeName', 'recordId'], { unique: false });
+            schema.createStore('syncState', { keyPath: 'key' });
+
+            // Auto-increment keys differ between devices, so these records replicate under a random id
+            const syncId = () => Array.from(globalThis.crypto.getRandomValues(new Uint8Array(16)),
+                byte => byte.toString(16).padStart(2, '0')).join('');
+            const stores = ['attendance', 'careerOpportunities', 'studentApplications', 'campusAlerts',
+                'attendanceReports', 'roleAssignments'];
+
+            for (const storeName of stores) {
+                await schema.updateRecords(storeName, record => record.syncId ? undefined : { ...record, syncId: syncId() });
+                schema.createIndex(storeName, 'syncId', 'syncId', { unique: true });
+            }
+        }
+    },
+    {
+        version: 13,
+        description: 'Backups store',
+        up: async (schema) => {
+            schema.createStore('backups', { keyPath: 'id' });
+            schema.createIndex('backups', 'createdAt', 'createdAt', { unique: false });
+        }
+    },
+    {
+        version: 14,
+        description: 'Audit hash chain and archive',
+        up: async (schema) => {
+            // Entries written before this version have no seq and stay outside the chain
+            schema.createIndex('activityLog', 'seq', 'seq', { unique: true });
+            schema.createIndex('activityLog', 'target', ['targetStore', 'targetKey'], { unique: false });
+
+            schema.createStore('auditArchive', { keyPath: 'id' });
+            schema.createIndex('auditArchive', 'seq', 'seq', { unique: true });
+            schema.createIndex('auditArchive', 'timestamp', 'timestamp', { unique: false });
+            schema.createIndex('auditArchive', 'user_timestamp', ['userId', 'timestamp'], { unique: false });
+            schema.createIndex('auditArchive', 'action_timestamp', ['action', 'timestamp'], { unique: false });
+            schema.createIndex('auditArchive', 'target', ['targetStore', 'targetKey'], { unique: false });
+        }
+    },
+    {
+        version: 15,
+        description: 'Courses, sections, enrollments and timetable',
+        up: async (schema) => {
+            schema.createStore('courses', { keyPath: 'code' });
+            schema.createIndex('courses', 'department', 'department', { unique: false });
+            schema.createIndex('courses', 'semester', 'semester', { unique: false });
+
+            schema.createStore('sections', { keyPath: 'id' });
+            schema.createIndex('sections', 'courseCode', 'courseCode', { unique: false });
+
+            schema.createStore('facultyAssignments', { keyPath: 'id' });
+            schema.createIndex('facultyAssignments', 'facultyId', 'facultyId', { unique: false });
+            schema.createIndex('facultyAssignments', 'sectionId', 'sectionId', { unique: false });
+
+            schema.createStore('enrollments', { keyPath: 'id' });
+            schema.createIndex('enrollments', 'studentId', 'studentId', { unique: false });
+            schema.createIndex('enrollments', 'sectionId', 'sectionId', { unique: false });
+            schema.createIndex('enrollments', 'student_course', ['studentId', 'courseCode'], { unique: false });
+
+            schema.createStore('timetableSlots', { keyPath: 'id' });
+            schema.createIndex('timetableSlots', 'sectionId', 'sectionId', { unique: false });
+            schema.createIndex('timetableSlots', 'section_day', ['sectionId', 'day'], { unique: false });
+            schema.createIndex('timetableSlots', 'day_period', ['day', 'period'], { unique: false });
+        }
+    },
+    {
+        version: 16,
+        description: 'Attendance sessions and duplicate protection',
+        up: async (schema) => {
+            // Keep the most recently changed record for each student, date,
+            // subject and period. Records from before periods existed have no
+            // period, so two classes on one day look alike: they are left alone.
+            const hasPeriod = record => record.period !== undefined && record.period !== null;
+            const group = record => JSON.stringify([record.studentId, record.date, record.subject, record.period]);
+            const changedAt = record => record.updatedAt || record.timestamp || '';
+            const keep = new Map();
+            const removed = [];
+
+            await schema.updateRecords('attendance', record => {
+                if (!hasPeriod(record)) return undefined;
+
+                const kept = keep.get(group(record));
+                if (!kept || changedAt(record) > kept.changedAt ||
+                    (changedAt(record) === kept.changedAt && record.id > kept.id)) {
+                    keep.set(group(record), { id: record.id, changedAt: changedAt(record) });
+                }
+                return undefined;
+            });
+            await schema.updateRecords('attendance', record => {
+                if (!hasPeriod(record) || keep.get(group(record)).id === record.id) return undefined;
+
+                removed.push(record);
+                return null;
+            });
+
+            // The duplicates dropped are kept as a setting so they can be reviewed or restored
+            if (removed.length > 0) {
+                await schema.putRecord('systemSettings', {
+                    key: 'migration_16_removed_attendance',
+                    value: JSON.stringify(removed),
+                    updatedAt: new Date().toISOString()
+                });
+            }
+
+            // Records without a period stay outside the index
+            schema.createIndex('attendance', 'student_date_subject_period',
+                ['studentId', 'date', 'subject', 'period'], { unique: true });
+
+            schema.createStore('attendanceSessions', { keyPath: 'id' });
+            schema.createIndex('attendanceSessions', 'sectionId', 'sectionId', { unique: false });
+            schema.createIndex('attendanceSessions', 'date', 'date', { unique: false });
+        }
+    },
+    {
+        version: 17,
+        description: 'QR check-in windows',
+        up: async (schema) => {
+            schema.createStore('checkInWindows', { keyPath: 'id' });
+            schema.createIndex('checkInWindows', 'sessionId', 'sessionId', { unique: false });
+        }
+    },
+    {
+        version: 18,
+        description: 'Campus location boundaries',
+        // Until an admin draws the real outline, each location gets a square around its point
+        up: async (schema) => {
+            await schema.updateRecords('campusLocations', location =>
+                location.boundary || !Array.isArray(location.coords) ? undefined : {
+                    ...location,
+                    boundary: Geo.squareAround(location.coords, 40),
+                    boundaryApproximate: true
+                });
+        }
+    },
+    {
+        version: 19,
+        description: 'Attendance shortage warnings',
+        up: async (schema) => {
+            schema.createStore('attendanceWarnings', { keyPath: 'id' });
+            schema.createIndex('attendanceWarnings', 'studentId', 'studentId', { unique: false });
+        }
+    },
+    {
+        version: 20,
+        description: 'Encrypted data access permission',
+        // Only roles that read encrypted stores are handed a copy of the data key
+        up: async (schema) => {
+            await schema.updateRecords('roles', role =>
+                role.builtIn && ['faculty', 'hod', 'placement'].includes(role.id) &&
+                !role.permissions.includes('encryption.use')
+                    ? { ...role, permissions: [...role.permissions, 'encryption.use'] }
+                    : undefined);
+        }
+    },
+    {
+        version: 21,
+        description: 'Check-ins recorded on the student\'s device',
+        // Windows from before this version are signed with a secret no other
+        // device can check, so any still open are closed
+        up: async (schema) => {
+            schema.createStore('checkIns', { keyPath: 'id' });
+            schema.createIndex('checkIns', 'windowId', 'windowId', { unique: false });
+            schema.createIndex('checkIns', 'sessionId', 'sessionId', { unique: false });
+
+            const now = new Date().toISOString();
+            await schema.updateRecords('checkInWindows', checkInWindow =>
+                checkInWindow.secret && !checkInWindow.closedAt ? { ...checkInWindow, closedAt: now } : undefined);
+        }
+    }
+];
+
+// Stores that replicate through syncNow(); everything else stays on the
+// device. Auto-increment stores are matched across devices by syncId, and
+// fields that hold another record's auto-increment key travel as that
+// record's syncId.
+const NERIST_REPLICATION = Object.freeze({
+    stores: [
+        'users', 'roles', 'roleAssignments', 'attendance', 'messMenu', 'mealBookings',
+        'careerOpportunities', 'studentApplications', 'results', 'campusAlerts',
+        'emergencyContacts', 'campusLocations', 'attendanceReports', 'courses', 'sections',
+        'facultyAssignments', 'enrollments', 'timetableSlots', 'attendanceSessions', 'attendanceWarnings',
+        'checkInWindows', 'checkIns'
+    ],
+    syncIdStores: [
+        'attendance', 'careerOpportunities', 'studentApplications', 'campusAlerts',
+        'attendanceReports', 'roleAssignments'
+    ],
+    references: {
+        studentApplications: { opportunityId: 'careerOpportunities' },
+        facultyAssignments: { roleAssignmentId: 'roleAssignments' },
+        checkIns: { reviewId: 'attendanceReports' }
+    },
+    // Credentials and per-device state never leave the device, and neither
+    // does any field stored encrypted; pulled records keep the local values
+    localFields: {
+        users: ['password', 'twoFactor', 'lockedUntil', 'knownDevices'],
+        checkInWindows: ['privateKey']
+    }
+});
+
+// Domain events published through NERISTBackend.on(). Subscribe to a type,
+// to "<area>.*" or to "*". Every event is { type, payload, actor, timestamp }
+// and is delivered only once its writes have committed.
+const NERIST_EVENTS = Object.freeze({
+    ATTENDANCE_MARKED: 'attendance.marked',
+    ATTENDANCE_UPDATED: 'attendance.updated',
+    ATTENDANCE_DELETED: 'attendance.deleted',
+    ATTENDANCE_SESSION_SUBMITTED: 'attendance.sessionSubmitted',
+    // { windowId, sessionId, facultyId, flag } for the faculty running the check-in
+    CHECK_IN_FLAGGED: 'attendance.checkInFlagged',
+    // { studentId, subject, percentage, threshold, classesNeeded }
+    ATTENDANCE_SHORTAGE: 'attendance.shortage',
+    MENU_SAVED: 'meal.menuSaved',
+    MEAL_BOOKED: 'meal.booked',
+    OPPORTUNITY_CREATED: 'opportunity.created',
+    APPLICATION_SUBMITTED: 'application.submitted',
+    APPLICATION_STATUS_CHANGED: 'application.statusChanged',
+    RESULTS_PUBLISHED: 'results.published',
+    ALERT_CREATED: 'alert.created',
+    ALERT_DEACTIVATED: 'alert.deactivated',
+    SOS_TRIGGERED: 'sos.triggered',
+    REPORT_SUBMITTED: 'report.submitted',
+    REPORT_STATUS_CHANGED: 'report.statusChanged',
+    SESSION_LOGIN: 'session.login',
+    SESSION_LOGOUT: 'session.logout',
+    SYNC_COMPLETED: 'sync.completed',
+    // Only raised for changes committed by another tab: { changes: [{ type, storeName, key }] }
+    DATA_CHANGED: 'data.changed'
+});
+
+const ATTENDANCE_STATUSES = Object.freeze(['present', 'absent', 'late', 'excused']);
+
+// Accepted range per numeric setting: `above` is exclusive, `min`/`max`
+// inclusive. Zero is only allowed where it means something (no tolerance,
+// no lock delay, no threshold). Keys not listed must be greater than 0.
+const NUMERIC_SETTINGS = Object.freeze({
+    attendance_threshold: { min: 0, max: 100 },
+    attendance_late_weight: { min: 0, max: 1 },
+    attendance_excused_weight: { min: 0, max: 1 },
+    attendance_shortage_min_classes: { min: 0 },
+    attendance_session_lock_hours: { min: 0 },
+    geofence_tolerance_meters: { min: 0 },
+    geofence_max_accuracy_meters: { above: 0 },
+    session_lifetime_hours: { above: 0 },
+    session_max_lifetime_days: { above: 0 },
+    session_idle_timeout_minutes: { above: 0 },
+    login_backoff_base_seconds: { above: 0 },
+    login_backoff_max_seconds: { above: 0 },
+    login_lockout_threshold: { above: 0 },
+    login_lockout_minutes: { above: 0 },
+    password_reset_token_minutes: { above: 0 },
+    email_verification_token_hours: { above: 0 },
+    account_invite_token_days: { above: 0 },
+    audit_retention_days: { above: 0 }
+});
+
+// Stores covered by search(). Field weights scale a match in that field;
+// callers without the permission never see the source, and visible() hides
+// records that are stored but no longer current.
+const NERIST_SEARCH = Object.freeze({
+    sources: {
+        campusLocations: {
+            type: 'location', permission: 'navigation.view', title: 'name',
+            fields: { name: 3, type: 1.5, description: 1 }
+        },
+        careerOpportunities: {
+            type: 'opportunity', permission: 'career.view', title: 'title',
+            fields: { title: 3, company: 2, type: 1.5, location: 1, skills: 1, description: 1 },
+            visible: opportunity => !opportunity.deadline || new Date(opportunity.deadline) > new Date()
+        },
+        campusAlerts: {
+            type: 'alert', permission: 'safety.view', title: 'title',
+            fields: { title: 3, type: 1.5, message: 1 },
+            visible: alert => alert.isActive && (!alert.expiry || new Date(alert.expiry) >= new Date())
+        },
+        messMenu: {
+            type: 'menu', permission: 'mess.view', title: 'mealType',
+            fields: { items: 3, mealType: 1.5, date: 1 },
+            visible: menu => menu.active !== false
+        },
+        emergencyContacts: {
+            type: 'contact', permission: 'safety.view', title: 'name',
+            fields: { name: 3, role: 2, type: 1.5, description: 1, number: 1 }
+        },
+        users: {
+            type: 'user', permission: 'users.manage', title: 'name',
+            fields: { name: 3, username: 3, studentId: 2, email: 2, department: 1 }
+        }
+    },
+    // Shorter words only match exactly or by prefix
+    minFuzzyLength: 4
+});
+
+// ============================================
+// SPREADSHEET FILES
+// ============================================
+
+// Tables are { columns: [{ key, label }], rows: [{ [key]: value }] }. CSV is
+// RFC 4180 with a byte order mark so Excel reads it as UTF-8. XLSX is a
+// single-sheet SpreadsheetML workbook in an uncompressed zip.
+const Spreadsheet = {
+    selectColumns(columns, keys = null) {
+        if (!keys) return columns;
+
+        return keys.map(key => {
+            const column = columns.find(candidate => candidate.key === key);
+            if (!column) {
+                throw new Error(`Unknown column "${key}". Available: ${columns.map(candidate => candidate.key).join(', ')}`);
+            }
+            return column;
+        });
+    },
+
+    toCSV(table) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+
+            let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            // Stop spreadsheet apps from evaluating stored text as a formula
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [table.columns.map(column => escape(column.label))]
+            .concat(table.rows.map(row => table.columns.map(column => escape(row[column.key]))));
+        return '\uFEFF' + lines.map(line => line.join(',')).join('\r\n') + '\r\n';
+    },
+
+    toXLSX(table, sheetName = 'Sheet1') {
+        const escape = (text) => String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+        const cell = (value, ref, header) => {
+            if (value === null || value === undefined || value === '') return '';
+
+            const style = header ? ' s="1"' : '';
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            }
+            if (typeof value === 'boolean') {
+                return `<c r="${ref}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+            }
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escape(text)}</t></is></c>`;
+        };
+
+        const rows = [table.columns.map(column => column.label)]
+            .concat(table.rows.map(row => table.columns.map(column => row[column.key])))
+            .map((values, index) => `<row r="${index + 1}">` +
+                values.map((value, column) => cell(value, `${this.columnName(column)}${index + 1}`, index === 0)).join('') +
+                '</row>');
+
+        const declaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+        const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const name = escape(sheetName.replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31) || 'Sheet1');
+
+        return this.zip([
+            ['[Content_Types].xml', `${declaration}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'],
+            ['_rels/.rels', `${declaration}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>'],
+            ['xl/workbook.xml', `${declaration}<workbook xmlns="${main}" xmlns:r="${relationships}">` +
+                `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`],
+            ['xl/_rels/workbook.xml.rels', `${declaration}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${relationships}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                `<Relationship Id="rId2" Type="${relationships}/styles" Target="styles.xml"/>` +
+                '</Relationships>'],
+            // Style 1 is the bold header row
+            ['xl/styles.xml', `${declaration}<styleSheet xmlns="${main}">` +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>'],
+            ['xl/worksheets/sheet1.xml', `${declaration}<worksheet xmlns="${main}">` +
+                '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+                `<sheetData>${rows.join('')}</sheetData></worksheet>`]
+        ]);
+    },
+
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    },
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    // files: [[path, text]]. Entries are stored without compression
+    zip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(([path, text]) => {
+            const name = encoder.encode(path);
+            const data = encoder.encode(text);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+
+            parts.push(new Uint8Array(local.buffer), name, data);
+            central.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const chunks = [...parts, ...central, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+        let position = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, position);
+            position += chunk.length;
+        });
+        return output;
+    }
+};
+
+// ============================================
+// GEOMETRY
+// ============================================
+
+// Points are [latitude, longitude] in degrees, as in campusLocations.coords,
+// and a boundary is a list of such points. Campus distances are small enough
+// to measure on a flat projection centred on the point being tested.
+const Geo = {
+    metresPerDegree: 111320,
+
+    // [east, north] in metres from origin
+    project(point, origin) {
+        const scale = Math.cos(origin[0] * Math.PI / 180);
+        return [(point[1] - origin[1]) * this.metresPerDegree * scale, (point[0] - origin[0]) * this.metresPerDegree];
+    },
+
+    isPoint(point) {
+        return Array.isArray(point) && point.length === 2 &&
+            Number.isFinite(point[0]) && Math.abs(point[0]) <= 90 &&
+            Number.isFinite(point[1]) && Math.abs(point[1]) <= 180;
+    },
+
+    isPolygon(boundary) {
+        return Array.isArray(boundary) && boundary.length >= 3 && boundary.every(point => this.isPoint(point));
+    },
+
+    // 0 inside the polygon, otherwise metres to its nearest edge
+    distanceToPolygon(point, polygon) {
+        const vertices = polygon.map(vertex => this.project(vertex, point));
+        let inside = false;
+        let nearest = Infinity;
+
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            const [xi, yi] = vertices[i];
+            const [xj, yj] = vertices[j];
+
+            // Ray cast east from the point, which is the origin
+            if ((yi > 0) !== (yj > 0) && (xj - xi) * -yi / (yj - yi) + xi > 0) {
+                inside = !inside;
+            }
+            nearest = Math.min(nearest, this.distanceToSegment(vertices[j], vertices[i]));
+        }
+        return inside ? 0 : nearest;
+    },
+
+    // Distance from the origin to the segment between a and b
+    distanceToSegment([ax, ay], [bx, by]) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+        return Math.hypot(ax + t * dx, ay + t * dy);
+    },
+
+    squareAround([latitude, longitude], halfWidth) {
+        const dLat = halfWidth / this.metresPerDegree;
+        const dLng = dLat / Math.cos(latitude * Math.PI / 180);
+        return [
+            [latitude - dLat, longitude - dLng],
+            [latitude - dLat, longitude + dLng],
+            [latitude + dLat, longitude + dLng],
+            [latitude + dLat, longitude - dLng]
+        ];
+    }
+};
+
+// ============================================
+// FULL-TEXT SEARCH
+// ============================================
+
+// In-memory inverted index. Each term maps to the documents it occurs in and
+// the character ranges it covers there, so hits can be highlighted without
+// tokenizing the text again. Documents keep a copy of their record (minus
+// credentials) for visibility checks; callers re-read records for output.
+class SearchIndex {
+    constructor() {
+        this.documents = new Map();
+        this.postings = new Map();
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /[\p{L}\p{N}]+/gu;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            tokens.push({ term: SearchIndex.normalize(match[0]), start: match.index, end: match.index + match[0].length });
+        }
+        return tokens;
+    }
+
+    // Case and accents are ignored: "Café" and "cafe" are the same term
+    static normalize(word) {
+        return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+    }
+
+    static documentId(storeName, key) {
+        return `${storeName}:${StorageKeys.serialize(key)}`;
+    }
+
+    add(storeName, key, record, weights) {
+        const id = SearchIndex.documentId(storeName, key);
+        this.remove(storeName, key);
+
+        const document = { storeName, key, record, weights, fields: {}, terms: new Set(), length: 0 };
+        Object.keys(weights).forEach(field => {
+            const value = record[field];
+            if (value === null || value === undefined || value === '') return;
+
+            const text = Array.isArray(value) ? value.join(', ') : String(value);
+            document.fields[field] = text;
+            SearchIndex.tokenize(text).forEach(token => {
+                if (!this.postings.has(token.term)) this.postings.set(token.term, new Map());
+                const occurrences = this.postings.get(token.term);
+                if (!occurrences.has(id)) occurrences.set(id, []);
+
+                occurrences.get(id).push({ field, start: token.start, end: token.end });
+                document.terms.add(token.term);
+                document.length++;
+            });
+        });
+        this.documents.set(id, document);
+    }
+
+    remove(storeName, key) {
+        const id = SearchIndex.documentId(storeName, key);
+        const document = this.documents.get(id);
+        if (!document) return;
+
+        document.terms.forEach(term => {
+            const occurrences = this.postings.get(term);
+            occurrences.delete(id);
+            if (occurrences.size === 0) this.postings.delete(term);
+        });
+        this.documents.delete(id);
+    }
+
+    removeStore(storeName) {
+        Array.from(this.documents.values())
+            .filter(document => document.storeName === storeName)
+            .forEach(document => this.remove(storeName, document.key));
+    }
+
+    // Index terms a query word can stand for, with how much a hit counts:
+    // the word itself, words it is a prefix of, then words within one edit
+    // (two for long words)
+    expand(word) {
+        const matches = [];
+        const maxDistance = word.length >= 8 ? 2 : 1;
+
+        this.postings.forEach((occurrences, term) => {
+            if (term === word) {
+                matches.push({ term, quality: 1 });
+            } else if (word.length >= 2 && term.startsWith(word)) {
+                matches.push({ term, quality: 0.8 });
+            } else if (word.length >= NERIST_SEARCH.minFuzzyLength && Math.abs(term.length - word.length) <= maxDistance) {
+                const distance = SearchIndex.editDistance(word, term, maxDistance);
+                if (distance <= maxDistance) {
+                    matches.push({ term, quality: distance === 1 ? 0.6 : 0.4 });
+                }
+            }
+        });
+        return matches;
+    }
+
+    // Levenshtein distance, giving up once it must exceed max
+    static editDistance(a, b, max) {
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Every query word has to match. Scores add up, per word, the best
+    // match quality x term rarity x field weight, damped for long documents.
+    search(query, accept) {
+        const words = Array.from(new Set(SearchIndex.tokenize(query || '').map(token => token.term)));
+        if (words.length === 0) return [];
+
+        let candidates = null;
+        words.forEach(word => {
+            const scores = new Map();
+            this.expand(word).forEach(({ term, quality }) => {
+                const occurrences = this.postings.get(term);
+                const rarity = Math.log(1 + this.documents.size / occurrences.size);
+
+                occurrences.forEach((ranges, id) => {
+                    const weight = Math.max(...ranges.map(range => this.documents.get(id).weights[range.field]));
+                    const score = quality * rarity * weight * (1 + Math.log(ranges.length));
+                    const best = scores.get(id);
+                    if (!best || score > best.score) {
+                        scores.set(id, { score, ranges: best ? best.ranges.concat(ranges) : ranges });
+                    } else {
+                        best.ranges = best.ranges.concat(ranges);
+                    }
+                });
+            });
+
+            const next = new Map();
+            scores.forEach((match, id) => {
+                if (candidates && !candidates.has(id)) return;
+                const previous = candidates?.get(id) || { score: 0, ranges: [] };
+                next.set(id, { score: previous.score + match.score, ranges: previous.ranges.concat(match.ranges) });
+            });
+            candidates = next;
+        });
+
+        const results = [];
+        candidates.forEach((match, id) => {
+            const document = this.documents.get(id);
+            if (!accept(document)) return;
+
+            results.push({
+                storeName: document.storeName,
+                key: document.key,
+                score: match.score / (1 + Math.log(1 + document.length) / 4),
+                highlights: this.highlight(document, match.ranges)
+            });
+        });
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    // [{ field, text, ranges: [[start, end]] }] with overlapping ranges merged
+    highlight(document, ranges) {
+        const byField = {};
+        ranges.forEach(range => {
+            (byField[range.field] = byField[range.field] || []).push([range.start, range.end]);
+        });
+
+        return Object.keys(byField).sort((a, b) => document.weights[b] - document.weights[a]).map(field => {
+            const merged = [];
+            byField[field].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+                const last = merged[merged.length - 1];
+                if (last && start <= last[1]) {
+                    last[1] = Math.max(last[1], end);
+                } else {
+                    merged.push([start, end]);
+                }
+            });
+            return { field, text: document.fields[field], ranges: merged };
+        });
+    }
+}
+
+class NERISTBackend {
+    constructor(options = {}) {
+        this.storage = options.storage || new IndexedDBStorageAdapter();
+        this.sessionStore = options.sessionStore ||
+            (typeof localStorage !== 'undefined' ? localStorage : new MemoryKeyValueStore());
+        this.environment = {
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : 'unknown',
+            ...options.environment
+        };
+        this.crypto = options.crypto || globalThis.crypto ||
+            (typeof require === 'function' ? require('crypto').webcrypto : undefined);
+        this.dbName = options.dbName || 'NERIST_One_DB';
+        this.dbVersion = NERIST_MIGRATIONS[NERIST_MIGRATIONS.length - 1].version;
+        this.currentUser = null;
+        this.passwordHashIterations = 310000;
+        this.sessionSigningKey = null;
+        this.secretSettingKeys = ['session_signing_secret', 'sync_auth_token'];
+        this.roleCache = null;
+        this.dummyPasswordHash = null;
+        this.mailTransport = new OutboxMailTransport(this);
+        this.encryptedFields = {};
+        this.encryptionKey = null;
+        this.encryptionUnlockedBy = null;
+        this.pendingDataKeys = new Map();
+        this.events = {};
+        this.instanceId = this.generateSessionId();
+        this.broadcastOption = options.broadcastChannel;
+        this.syncChannel = null;
+        this.syncConfig = null;
+        this.syncTransport = options.syncTransport || null;
+        this.syncDeviceId = null;
+        this.syncRun = null;
+        this.auditQueue = Promise.resolve();
+        this.auditHead = null;
+        this.searchIndex = null;
+        this.searchIndexBuild = null;
+        this.backgroundSyncEnabled = options.backgroundSync !== false;
+        this.backgroundSyncTimer = null;
+        this.initPromise = null;
+        this.isInitialized = false;
+
+        // Initialize immediately unless the caller awaits initialize() itself.
+        // Failures are logged there and rethrown to whoever awaits it.
+        if (options.autoInitialize !== false) {
+            this.initialize().catch(() => {});
+        }
+    }
+
+    // ============================================
+    // INITIALIZATION
+    // ============================================
+
+    async initialize() {
+        if (this.isInitialized) return this;
+
+        // The constructor and initializeNERISTBackend() share a single run
+        if (!this.initPromise) {
+            this.initPromise = this.performInitialization().catch(error => {
+                this.initPromise = null;
+                throw error;
+            });
+        }
+        return this.initPromise;
+    }
+
+    async performInitialization() {
+        try {
+            // Open storage and bring the schema up to date
+            await this.initDatabase();
+
+            // Field encryption config is needed before any record is read
+            await this.loadEncryptionConfig();
+
+            // Writes are only queued for replication once a sync server is set
+            await this.loadSyncConfig();
+
+            // Check for existing session
+            await this.restoreSession();
+
+            // Seed initial data if needed
+            await this.seedInitialData();
+
+            // Make sure built-in roles exist, including on older databases
+            await this.ensureDefaultRoles();
+
+            // Backups used to live in localStorage
+            await this.migrateLegacyBackups();
+
+            this.isInitialized = true;
+            console.log('NERIST Backend initialized successfully');
+
+            // Make globally available
+            if (typeof window !== 'undefined') {
+                window.neristBackend = this;
+            }
+
+            // Keep other tabs of this origin in step
+            this.startCrossTabSync();
+
+            // Start background sync
+            this.startBackgroundSync();
+
+            return this;
+        } catch (error) {
+            console.error('Backend initialization failed:', error);
+            throw error;
+        }
+    }
+
+    initDatabase() {
+        return this.storage.open(this.dbName, this.dbVersion,
+            (schema, oldVersion, newVersion) => this.runMigrations(schema, oldVersion, newVersion));
+    }
+
+    async runMigrations(schema, oldVersion, newVersion, migrations = NERIST_MIGRATIONS) {
+        this.validateMigrations(migrations);
+
+        const pending = migrations.filter(migration =>
+            migration.version > oldVersion && migration.version <= newVersion
+        );
+
+        for (const migration of pending) {
+            console.log(`Applying schema migration ${migration.version}: ${migration.description}`);
+            await migration.up(schema);
+        }
+
+        // Recorded inside the upgrade transaction so it can never disagree with the schema
+        if (pending.length > 0) {
+            await schema.putRecord('systemSettings', {
+                key: 'schema_version',
+                value: String(newVersion),
+                updatedAt: new Date().toISOString()
+            });
+        }
+
+        return pending.map(migration => migration.version);
+    }
+
+    validateMigrations(migrations) {
+        migrations.forEach((migration, index) => {
+            if (!Number.isInteger(migration.version) || typeof migration.up !== 'function') {
+                throw new Error(`Invalid migration at position ${index}`);
+            }
+            if (index > 0 && migration.version <= migrations[index - 1].version) {
+                throw new Error(`Migrations must be in ascending version order (${migration.version})`);
+            }
+        });
+    }
+
+    // ============================================
+    // DATABASE OPERATION HELPERS
+    // ============================================
+
+    executeTransaction(storeNames, mode, operation) {
+        return this.storage.transaction([].concat(storeNames), mode, operation);
+    }
+
+    // Runs fn(tx) in one storage transaction: every write made through tx
+    // commits together, and a throw anywhere rolls all of them back.
+    // Pass { replicate: false } to keep writes out of the change queue.
+    async withTransaction(storeNames, mode, fn, options = {}) {
+        const stores = [].concat(storeNames);
+        const replicate = mode === 'readwrite' && options.replicate !== false &&
+            this.isSyncEnabled() && stores.some(storeName => this.isReplicatedStore(storeName));
+        const scope = replicate && !stores.includes('changeQueue') ? [...stores, 'changeQueue'] : stores;
+        let context = null;
+
+        const result = await this.executeTransaction(scope, mode, transaction => {
+            context = new TransactionContext(this, transaction, scope, mode, replicate);
+            return fn(context);
+        });
+
+        await this.updateSearchIndex(context.changes);
+        context.events.forEach(event => this.dispatchEvent(event));
+        if (context.changes.length > 0 || context.events.length > 0) {
+            this.broadcast({
+                changes: context.changes.map(({ type, storeName, key }) => ({ type, storeName, key })),
+                events: context.events
+            });
+        }
+        return result;
+    }
+
+    query(storeName) {
+        return new StorageQuery(this, storeName);
+    }
+
+    // The CRUD helpers take an optional TransactionContext as their last
+    // argument; without one each call is its own transaction
+
+    async getObject(storeName, key, tx = null) {
+        if (tx) return tx.get(storeName, key);
+
+        const record = await this.executeTransaction(storeName, 'readonly', transaction => transaction.get(storeName, key));
+        return this.openRecord(storeName, record);
+    }
+
+    async getAllObjects(storeName, indexName = null, query = null, tx = null) {
+        if (tx) return tx.getAll(storeName, indexName, query);
+
+        const records = await this.executeTransaction(storeName, 'readonly',
+            transaction => transaction.getAll(storeName, indexName, query));
+
+        return Promise.all(records.map(record => this.openRecord(storeName, record)));
+    }
+
+    async putObject(storeName, data, tx = null) {
+        if (tx) return tx.put(storeName, data);
+
+        const record = await this.sealRecord(storeName, data);
+        return this.withTransaction(storeName, 'readwrite', context => context.put(storeName, record));
+    }
+
+    async deleteObject(storeName, key, tx = null) {
+        if (tx) {
+            await tx.delete(storeName, key);
+        } else {
+            await this.withTransaction(storeName, 'readwrite', context => context.delete(storeName, key));
+        }
+        return true;
+    }
+
+    async countObjects(storeName, indexName = null, query = null, tx = null) {
+        if (tx) return tx.count(storeName, indexName, query);
+
+        return this.executeTransaction(storeName, 'readonly',
+            transaction => transaction.count(storeName, indexName, query));
+    }
+
+    // ============================================
+    // ENCRYPTION AT REST
+    // ============================================
+
+    // Configured fields are stored as AES-GCM envelopes. One random data key
+    // encrypts everything; copies of it are wrapped with a key derived from the
+    // admin master key and, once a user has signed in while the data key was
+    // available, with a key derived from that user's password. Fields used by
+    // keyPaths or indexes can never be encrypted, so lookups keep working.
+
+    getDefaultEncryptedFields() {
+        return {
+            results: ['subjects', 'sgpa', 'creditsEarned', 'totalCredits'],
+            attendanceReports: ['details', 'evidence', 'resolution'],
+            studentApplications: ['studentData']
+        };
+    }
+
+    async loadEncryptionConfig() {
+        const setting = await this.getObject('systemSettings', 'encrypted_fields');
+        this.encryptedFields = setting ? JSON.parse(setting.value) : {};
+    }
+
+    isEncryptionEnabled() {
+        return Object.keys(this.encryptedFields).length > 0;
+    }
+
+    async enableEncryption(masterKey, fields = null) {
+        try {
+            const currentUser = await this.authorize('encryption.manage');
+
+            if (this.isEncryptionEnabled()) {
+                throw new Error('Encryption is already enabled');
+            }
+            if (!masterKey || masterKey.length < 12) {
+                throw new Error('Master key must be at least 12 characters');
+            }
+
+            const config = fields || this.getDefaultEncryptedFields();
+            this.validateEncryptedFields(config);
+
+            this.encryptionKey = await this.crypto.subtle.generateKey(
+                { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']
+            );
+            this.encryptionUnlockedBy = 'master';
+            await this.putObject('encryptionKeys', await this.wrapDataKey('master', masterKey));
+
+            await this.saveSystemSetting('encrypted_fields', JSON.stringify(config));
+            this.encryptedFields = config;
+
+            // Encrypt what is already stored
+            const resealed = await this.resealStores(Object.keys(config));
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'enable_encryption',
+                `Enabled field encryption for ${Object.keys(config).join(', ')} (${resealed} records)`);
+
+            return { stores: Object.keys(config), records: resealed };
+        } catch (error) {
+            console.error('Enable encryption error:', error);
+            throw error;
+        }
+    }
+
+    async unlockEncryption(masterKey) {
+        try {
+            const currentUser = await this.authorize('encryption.manage');
+
+            const entry = await this.getObject('encryptionKeys', 'master');
+            if (!entry) {
+                throw new Error('Encryption is not enabled');
+            }
+
+            this.encryptionKey = await this.unwrapDataKey(entry, masterKey);
+            this.encryptionUnlockedBy = 'master';
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'unlock_encryption', 'Unlocked encrypted data with master key');
+
+            return true;
+        } catch (error) {
+            console.error('Unlock encryption error:', error);
+            throw new Error(error.name === 'OperationError' ? 'Invalid master key' : error.message);
+        }
+    }
+
+    lockEncryption() {
+        this.encryptionKey = null;
+        this.encryptionUnlockedBy = null;
+    }
+
+    async setEncryptedFields(fields) {
+        try {
+            const currentUser = await this.authorize('encryption.manage');
+
+            if (!this.encryptionKey) {
+                throw new Error('Unlock encrypted data first');
+            }
+            this.validateEncryptedFields(fields);
+
+            const affectedStores = [...new Set([
+                ...Object.keys(this.encryptedFields),
+                ...Object.keys(fields)
+            ])];
+
+            // Read everything in clear with the old config, then write with the new one
+            const snapshot = {};
+            for (const storeName of affectedStores) {
+                snapshot[storeName] = await this.getAllObjects(storeName);
+            }
+
+            this.encryptedFields = fields;
+            await this.saveSystemSetting('encrypted_fields', JSON.stringify(fields));
+
+            let resealed = 0;
+            for (const storeName of affectedStores) {
+                for (const record of snapshot[storeName]) {
+                    await this.putObject(storeName, record);
+                    resealed++;
+                }
+            }
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'update_encrypted_fields',
+                `Encrypted fields now cover ${Object.keys(fields).join(', ') || 'nothing'}`);
+
+            return { stores: Object.keys(fields), records: resealed };
+        } catch (error) {
+            console.error('Set encrypted fields error:', error);
+            throw error;
+        }
+    }
+
+    validateEncryptedFields(fields) {
+        Object.entries(fields).forEach(([storeName, storeFields]) => {
+            if (!this.storage.hasStore(storeName)) {
+                throw new Error(`Unknown store: ${storeName}`);
+            }
+
+            const indexed = this.getIndexedFields(storeName);
+            const blocked = storeFields.filter(field => indexed.includes(field));
+            if (blocked.length > 0) {
+                throw new Error(`Indexed fields cannot be encrypted: ${storeName}.${blocked.join(', ')}`);
+            }
+        });
+    }
+
+    getIndexedFields(storeName) {
+        const schema = this.storage.getStoreSchema(storeName);
+        const keyPaths = [schema.keyPath, ...schema.indexes.map(index => index.keyPath)];
+
+        return keyPaths.flat().filter(Boolean);
+    }
+
+    async resealStores(storeNames) {
+        let count = 0;
+        for (const storeName of storeNames) {
+            const records = await this.getAllObjects(storeName);
+            for (const record of records) {
+                await this.putObject(storeName, record);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    async sealRecord(storeName, record) {
+        const fields = this.encryptedFields[storeName];
+        if (!fields || !record) return record;
+
+        const { encryptedFieldsLocked, ...sealed } = record;
+
+        // Fields that came back locked keep their stored ciphertext unless replaced
+        if (encryptedFieldsLocked && encryptedFieldsLocked.length > 0) {
+            const { keyPath } = this.storage.getStoreSchema(storeName);
+            const stored = await this.executeTransaction(storeName, 'readonly',
+                tx => tx.get(storeName, record[keyPath]));
+
+            encryptedFieldsLocked.forEach(field => {
+                if (sealed[field] === null && stored && this.isEnvelope(stored[field])) {
+                    sealed[field] = stored[field];
+                }
+            });
+        }
+
+        for (const field of fields) {
+            if (sealed[field] === undefined || this.isEnvelope(sealed[field])) continue;
+
+            if (!this.encryptionKey) {
+                throw new Error('Encrypted data is locked. Sign in again or ask an administrator to unlock it.');
+            }
+
+            const iv = this.crypto.getRandomValues(new Uint8Array(12));
+            const ciphertext = await this.crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(`${storeName}.${field}`) },
+                this.encryptionKey,
+                new TextEncoder().encode(JSON.stringify(sealed[field]))
+            );
+
+            sealed[field] = {
+                __encrypted: 'AES-GCM',
+                iv: this.bytesToBase64(iv),
+                data: this.bytesToBase64(new Uint8Array(ciphertext))
+            };
+        }
+
+        return sealed;
+    }
+
+    async openRecord(storeName, record) {
+        const fields = this.encryptedFields[storeName];
+        if (!fields || !record) return record;
+
+        const opened = { ...record };
+        const locked = [];
+
+        for (const field of fields) {
+            const envelope = opened[field];
+            if (!this.isEnvelope(envelope)) continue;
+
+            if (!this.encryptionKey) {
+                opened[field] = null;
+                locked.push(field);
+                continue;
+            }
+
+            const plaintext = await this.crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: this.base64ToBytes(envelope.iv),
+                    additionalData: new TextEncoder().encode(`${storeName}.${field}`)
+                },
+                this.encryptionKey,
+                this.base64ToBytes(envelope.data)
+            );
+            opened[field] = JSON.parse(new TextDecoder().decode(plaintext));
+        }
+
+        if (locked.length > 0) {
+            opened.encryptedFieldsLocked = locked;
+        }
+
+        return opened;
+    }
+
+    isEnvelope(value) {
+        return !!value && typeof value === 'object' && value.__encrypted === 'AES-GCM';
+    }
+
+    // Writes inside withTransaction() cannot encrypt, so they must arrive sealed
+    assertSealed(storeName, record) {
+        const fields = this.encryptedFields[storeName];
+        if (!fields || !record) return;
+
+        const plain = fields.filter(field =>
+            record[field] !== undefined && record[field] !== null && !this.isEnvelope(record[field]));
+        if (plain.length > 0 || record.encryptedFieldsLocked) {
+            throw new Error(`Seal ${storeName} records with sealRecord() before the transaction`);
+        }
+    }
+
+    async openUserDataKey(user, password) {
+        if (!this.isEncryptionEnabled()) return null;
+
+        const entryId = `user:${user.id}`;
+        const entry = await this.getObject('encryptionKeys', entryId);
+
+        // Only users allowed to read encrypted data hold a copy of its key
+        if (!(await this.hasPermission(user, 'encryption.use', null))) {
+            if (entry) {
+                await this.deleteObject('encryptionKeys', entryId);
+            }
+            return null;
+        }
+
+        if (entry) {
+            try {
+                return await this.unwrapDataKey(entry, password);
+            } catch (error) {
+                // Stale copy from before a password reset
+                await this.deleteObject('encryptionKeys', entryId);
+            }
+        }
+
+        // Hand the user their own copy while the data key is available on this device
+        if (this.encryptionKey) {
+            await this.putObject('encryptionKeys', await this.wrapDataKey(entryId, password, user.id));
+            return this.encryptionKey;
+        }
+
+        return null;
+    }
+
+    // Returns the user's key copy wrapped with the new password, for the caller to store
+    async rewrapUserDataKey(user, oldPassword, newPassword) {
+        const entry = await this.getObject('encryptionKeys', `user:${user.id}`);
+        if (!entry) return null;
+
+        const dataKey = await this.unwrapDataKey(entry, oldPassword);
+        const previousKey = this.encryptionKey;
+        this.encryptionKey = dataKey;
+        try {
+            return await this.wrapDataKey(entry.id, newPassword, user.id);
+        } finally {
+            this.encryptionKey = previousKey || dataKey;
+        }
+    }
+
+    async wrapDataKey(entryId, secret, userId = null) {
+        const salt = this.crypto.getRandomValues(new Uint8Array(16));
+        const iv = this.crypto.getRandomValues(new Uint8Array(12));
+        const iterations = await this.getPasswordHashIterations();
+        const wrappingKey = await this.deriveWrappingKey(secret, salt, iterations);
+        const rawKey = await this.crypto.subtle.exportKey('raw', this.encryptionKey);
+        const wrapped = await this.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, rawKey);
+
+        return {
+            id: entryId,
+            userId: userId,
+            salt: this.bytesToBase64(salt),
+            iv: this.bytesToBase64(iv),
+            iterations: iterations,
+            wrappedKey: this.bytesToBase64(new Uint8Array(wrapped)),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    async unwrapDataKey(entry, secret) {
+        const wrappingKey = await this.deriveWrappingKey(secret, this.base64ToBytes(entry.salt), entry.iterations);
+        const rawKey = await this.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBytes(entry.iv) },
+            wrappingKey,
+            this.base64ToBytes(entry.wrappedKey)
+        );
+
+        return this.crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+    }
+
+    async deriveWrappingKey(secret, salt, iterations) {
+        const keyMaterial = await this.crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']
+        );
+        return this.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // ============================================
+    // USER MANAGEMENT
+    // ============================================
+
+    async registerUser(userData) {
+        try {
+            // Validate required fields
+            if (!userData.username || !userData.password || !userData.email || !userData.role) {
+                throw new Error('Missing required fields');
+            }
+
+            // Only self-registration as a student is open; other roles are granted
+            if (userData.role !== 'student') {
+                await this.authorize('users.manage');
+            }
+
+            // Check if username or email already exists
+            const existingUser = await this.getUserByUsername(userData.username);
+            if (existingUser) {
+                throw new Error('Username already exists');
+            }
+
+            const existingEmail = await this.getUserByEmail(userData.email);
+            if (existingEmail) {
+                throw new Error('Email already registered');
+            }
+
+            // Create user object
+            const user = this.buildUserRecord(userData, await this.hashPassword(userData.password));
+
+            // Save to database
+            await this.putObject('users', user);
+
+            // Log activity
+            await this.logActivity(user.id, 'register', 'User registered');
+
+            await this.sendVerificationEmail(user);
+
+            // Return user without password
+            return this.sanitizeUser(user);
+        } catch (error) {
+            console.error('Registration error:', error);
+            throw error;
+        }
+    }
+
+    buildUserRecord(userData, passwordHash) {
+        return {
+            id: `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            username: userData.username,
+            password: passwordHash,
+            email: userData.email,
+            name: userData.name || userData.username,
+            role: userData.role,
+            department: userData.department || '',
+            year: userData.year || '',
+            avatarColor: userData.avatarColor || 'primary',
+            emailPreferences: userData.emailPreferences || {
+                attendance: true,
+                mess: true,
+                career: true,
+                alerts: true
+            },
+            notificationSettings: userData.notificationSettings || {
+                pushEnabled: true,
+                soundEnabled: true,
+                vibrationEnabled: true
+            },
+            createdAt: new Date().toISOString(),
+            lastLogin: null,
+            emailVerified: false,
+            isActive: true
+        };
+    }
+
+    async login(username, password) {
+        try {
+            const attemptKeys = [
+                `user:${String(username).toLowerCase()}`,
+                `device:${this.getDeviceId()}`
+            ];
+
+            // Refuse early while either counter is backing off
+            await this.checkLoginThrottle(attemptKeys, username);
+
+            // Get user by username
+            const user = await this.getUserByUsername(username);
+
+            // Unknown usernames still pay for a hash so timing does not reveal them
+            // Accounts pulled from another device have no password on this one
+            const storedHash = user && user.password ? user.password : await this.getDummyPasswordHash();
+            const { valid, needsRehash } = await this.verifyPassword(password, storedHash);
+
+            // A locked account answers like a wrong password so it does not
+            // confirm the username exists; only the audit log says why
+            if (user && user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+                await this.logActivity(user.id, 'login_blocked',
+                    `Login attempt on locked account from device ${this.getDeviceId()}`);
+                throw new Error('Invalid username or password');
+            }
+
+            if (!user || !user.password || !valid) {
+                await this.recordFailedLogin(username, user, attemptKeys);
+                throw new Error('Invalid username or password');
+            }
+
+            if (!user.isActive) {
+                throw new Error('Account is deactivated');
+            }
+
+            // Accounts created before verification existed have no flag and pass
+            if (user.emailVerified === false &&
+                await this.getSystemSetting('require_email_verification') === 'true') {
+                throw new Error('Email address not verified');
+            }
+
+            // Upgrade legacy or weaker hashes now that we have the plain password
+            if (needsRehash) {
+                user.password = await this.hashPassword(password);
+                await this.putObject('users', user);
+            }
+
+            // The password is also what unlocks this user's copy of the data key
+            const dataKey = await this.openUserDataKey(user, password);
+
+            // Second step: the caller must follow up with completeTwoFactorLogin()
+            if (user.twoFactor?.enabled) {
+                const challengeToken = await this.createAuthToken(user.id, 'two_factor_login',
+                    5 * 60 * 1000, { attemptKeys, failures: 0 });
+                if (dataKey) {
+                    this.pendingDataKeys.set(challengeToken, dataKey);
+                }
+
+                await this.logActivity(user.id, 'login_two_factor_challenge',
+                    'Password accepted, awaiting second factor');
+
+                return { twoFactorRequired: true, challengeToken };
+            }
+
+            return await this.completeLogin(user, attemptKeys, dataKey);
+        } catch (error) {
+            console.error('Login error:', error);
+            throw error;
+        }
+    }
+
+    async completeLogin(user, attemptKeys, dataKey = null) {
+        await this.recordSuccessfulLogin(user, attemptKeys);
+
+        // A key left in memory by whoever was signed in before is not this user's
+        this.lockEncryption();
+        if (dataKey) {
+            this.encryptionKey = dataKey;
+            this.encryptionUnlockedBy = user.id;
+        }
+
+        // Update last login
+        user.lastLogin = new Date().toISOString();
+        await this.putObject('users', user);
+
+        // Create session
+        await this.createSession(user);
+
+        // Log activity
+        await this.logActivity(user.id, 'login', 'User logged in');
+
+        // Return user without password
+        this.currentUser = this.sanitizeUser(user);
+        this.emit(NERIST_EVENTS.SESSION_LOGIN, { userId: user.id }, this.currentUser);
+
+        return this.currentUser;
+    }
+
+    async logout() {
+        try {
+            const user = this.currentUser;
+            if (this.currentUser) {
+                await this.logActivity(this.currentUser.id, 'logout', 'User logged out');
+            }
+
+            // Invalidate the session record so the token cannot be reused
+            const localSession = this.getLocalSession();
+            if (localSession) {
+                const session = await this.getObject('sessions', localSession.sessionId);
+                if (session && !session.revokedAt) {
+                    session.revokedAt = new Date().toISOString();
+                    session.revokedReason = 'logout';
+                    await this.putObject('sessions', session);
+                }
+            }
+
+            this.clearLocalSession();
+            this.dropUserState();
+
+            if (user) {
+                this.emit(NERIST_EVENTS.SESSION_LOGOUT, { userId: user.id }, user);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Logout error:', error);
+            throw error;
+        }
+    }
+
+    dropUserState() {
+        this.currentUser = null;
+
+        // The data key leaves with the user, whether it came from their
+        // password or from an administrator's master key
+        this.lockEncryption();
+    }
+
+    async getCurrentUser() {
+        try {
+            // Every call re-validates the token so expiry and revocation apply immediately
+            const session = await this.validateSession(this.sessionStore.getItem('nerist_token'));
+            if (!session) {
+                this.clearLocalSession();
+                this.dropUserState();
+                return null;
+            }
+
+            // Check if already in memory
+            if (this.currentUser && this.currentUser.id === session.userId) {
+                return this.currentUser;
+            }
+
+            const user = await this.getUserById(session.userId);
+
+            if (user && user.isActive) {
+                this.currentUser = this.sanitizeUser(user);
+                return this.currentUser;
+            }
+
+            this.clearLocalSession();
+            this.dropUserState();
+            return null;
+        } catch (error) {
+            console.error('Get current user error:', error);
+            return null;
+        }
+    }
+
+    async getUserById(userId) {
+        return this.getObject('users', userId);
+    }
+
+    async getUserByUsername(username) {
+        const users = await this.getAllObjects('users', 'username', username);
+        return users[0] || null;
+    }
+
+    async getUserByEmail(email) {
+        const users = await this.getAllObjects('users', 'email', email);
+        return users[0] || null;
+    }
+
+    async updateUserProfile(userId, updates) {
+        try {
+            await this.authorize('profile.edit', { ownerId: userId });
+
+            const user = await this.getUserById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            // Prevent updating certain fields
+            const restrictedFields = [
+                'id', 'username', 'role', 'createdAt', 'password',
+                'emailVerified', 'emailVerifiedAt', 'lockedUntil', 'knownDevices', 'twoFactor'
+            ];
+            restrictedFields.forEach(field => {
+                if (field in updates) {
+                    delete updates[field];
+                }
+            });
+
+            // A new email address has to be verified again
+            const emailChanged = updates.email && updates.email !== user.email;
+            if (emailChanged) {
+                const existingEmail = await this.getUserByEmail(updates.email);
+                if (existingEmail) {
+                    throw new Error('Email already registered');
+                }
+                updates.emailVerified = false;
+                updates.emailVerifiedAt = null;
+            }
+
+            // Update user
+            const updatedUser = { ...user, ...updates };
+            await this.putObject('users', updatedUser);
+
+            // Log activity
+            await this.logActivity(userId, 'update_profile', 'Profile updated',
+                { target: { storeName: 'users', key: userId }, before: user, after: updatedUser });
+
+            if (emailChanged) {
+                await this.sendVerificationEmail(updatedUser);
+            }
+
+            // Return without password
+            return this.sanitizeUser(updatedUser);
+        } catch (error) {
+            console.error('Update profile error:', error);
+            throw error;
+        }
+    }
+
+    async changePassword(userId, oldPassword, newPassword) {
+        try {
+            await this.authorize('profile.edit', { ownerId: userId });
+
+            const user = await this.getUserById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            // Verify old password
+            const { valid } = await this.verifyPassword(oldPassword, user.password);
+            if (!valid) {
+                throw new Error('Current password is incorrect');
+            }
+
+            // Update password
+            user.password = await this.hashPassword(newPassword);
+            const wrappedKey = await this.rewrapUserDataKey(user, oldPassword, newPassword);
+
+            await this.withTransaction(['users', 'encryptionKeys', 'sessions'], 'readwrite', async (tx) => {
+                await this.putObject('users', user, tx);
+                if (wrappedKey) {
+                    await this.putObject('encryptionKeys', wrappedKey, tx);
+                }
+
+                // Sign out every other device that knew the old password
+                await this.revokeUserSessions(userId, this.getLocalSession()?.sessionId, 'password_changed', tx);
+            });
+
+            // Log activity
+            await this.logActivity(userId, 'change_password', 'Password changed');
+
+            return true;
+        } catch (error) {
+            console.error('Change password error:', error);
+            throw error;
+        }
+    }
+
+    // ============================================
+    // ADMIN USER MANAGEMENT
+    // ============================================
+
+    async listUsers(filters = {}, options = {}) {
+        try {
+            await this.authorize('users.manage');
+
+            const page = Math.max(1, parseInt(options.page, 10) || 1);
+            const pageSize = Math.min(200, Math.max(1, parseInt(options.pageSize, 10) || 25));
+
+            // Narrow with an index where one applies
+            let users;
+            if (filters.role) {
+                users = await this.getAllObjects('users', 'role', filters.role);
+            } else if (filters.department) {
+                users = await this.getAllObjects('users', 'department', filters.department);
+            } else {
+                users = await this.getAllObjects('users');
+            }
+
+            if (filters.department) {
+                users = users.filter(user => user.department === filters.department);
+            }
+
+            if (filters.year) {
+                users = users.filter(user => user.year === filters.year);
+            }
+
+            if (filters.isActive !== undefined && filters.isActive !== null) {
+                users = users.filter(user => user.isActive === filters.isActive);
+            }
+
+            if (filters.search) {
+                const searchTerm = filters.search.toLowerCase();
+                users = users.filter(user =>
+                    (user.name || '').toLowerCase().includes(searchTerm) ||
+                    (user.username || '').toLowerCase().includes(searchTerm) ||
+                    (user.email || '').toLowerCase().includes(searchTerm)
+                );
+            }
+
+            // Sort by name
+            users.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+            const total = users.length;
+            const start = (page - 1) * pageSize;
+
+            return {
+                users: users.slice(start, start + pageSize).map(user => this.sanitizeUser(user)),
+                total,
+                page,
+                pageSize,
+                totalPages: Math.ceil(total / pageSize)
+            };
+        } catch (error) {
+            console.error('List users error:', error);
+            throw error;
+        }
+    }
+
+    async changeUserRole(userId, newRole) {
+        try {
+            const currentUser = await this.authorize('roles.assign');
+
+            if (userId === currentUser.id) {
+                throw new Error('You cannot change your own role');
+            }
+
+            const [user, role] = await Promise.all([
+                this.getUserById(userId),
+                this.getObject('roles', newRole)
+            ]);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (!role) {
+                throw new Error('Role not found');
+            }
+
+            const previousRole = user.role;
+            if (previousRole === newRole) {
+                return this.sanitizeUser(user);
+            }
+
+            const before = { ...user };
+            user.role = newRole;
+            user.roleChangedAt = new Date().toISOString();
+            user.roleChangedBy = currentUser.id;
+
+            await this.withTransaction(['users', 'sessions'], 'readwrite', async (tx) => {
+                await this.putObject('users', user, tx);
+
+                // Open sessions carry the old role; make the user sign in again
+                await this.revokeUserSessions(userId, null, 'role_changed', tx);
+            });
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'change_role',
+                `Changed role of ${user.username} from ${previousRole} to ${newRole}`,
+                { target: { storeName: 'users', key: userId }, before, after: user });
+
+            return this.sanitizeUser(user);
+        } catch (error) {
+            console.error('Change user role error:', error);
+            throw error;
+        }
+    }
+
+    async deactivateUser(userId, reason = '') {
+        return this.setUserActive(userId, false, reason);
+    }
+
+    async reactivateUser(userId) {
+        return this.setUserActive(userId, true);
+    }
+
+    async setUserActive(userId, isActive, reason = '') {
+        try {
+            const currentUser = await this.authorize('users.manage');
+
+            if (userId === currentUser.id && !isActive) {
+                throw new Error('You cannot deactivate your own account');
+            }
+
+            const user = await this.getUserById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const before = { ...user };
+            user.isActive = isActive;
+            user.deactivatedAt = isActive ? null : new Date().toISOString();
+            user.deactivationReason = isActive ? null : reason;
+
+            await this.withTransaction(['users', 'sessions'], 'readwrite', async (tx) => {
+                await this.putObject('users', user, tx);
+
+                if (!isActive) {
+                    await this.revokeUserSessions(userId, null, 'deactivated', tx);
+                }
+            });
+
+            // Log activity
+            await this.logActivity(currentUser.id, isActive ? 'reactivate_user' : 'deactivate_user',
+                `${isActive ? 'Reactivated' : 'Deactivated'} ${user.username}${reason ? `: ${reason}` : ''}`,
+                { target: { storeName: 'users', key: userId }, before, after: user });
+
+            return this.sanitizeUser(user);
+        } catch (error) {
+            console.error('Set user active error:', error);
+            throw error;
+        }
+    }
+
+    // Expected header: username,email,name,department,year[,password]
+    // Rows without a password get an emailed invitation to set one.
+    async importStudentsFromCSV(csvText, options = {}) {
+        try {
+            const currentUser = await this.authorize('users.manage');
+            const dryRun = options.dryRun === true;
+
+            const rows = this.parseCSV(csvText);
+            if (rows.length < 2) {
+                throw new Error('CSV must contain a header row and at least one student');
+            }
+
+            const header = rows[0].map(column => column.trim().toLowerCase());
+            const missingColumns = ['username', 'email', 'name'].filter(column => !header.includes(column));
+            if (missingColumns.length > 0) {
+                throw new Error(`Missing CSV columns: ${missingColumns.join(', ')}`);
+            }
+
+            const seenUsernames = new Set();
+            const seenEmails = new Set();
+            const errors = [];
+            const validRows = [];
+
+            for (let i = 1; i < rows.length; i++) {
+                const values = rows[i];
+                if (values.every(value => value.trim() === '')) continue;
+
+                const record = {};
+                header.forEach((column, index) => {
+                    record[column] = (values[index] || '').trim();
+                });
+
+                // Row numbers match the line in the spreadsheet, header being row 1
+                const rowNumber = i + 1;
+                const rowErrors = [];
+
+                if (!record.username) rowErrors.push('username is required');
+                if (!record.email) rowErrors.push('email is required');
+                if (!record.name) rowErrors.push('name is required');
+                if (record.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(record.email)) {
+                    rowErrors.push(`invalid email "${record.email}"`);
+                }
+
+                const username = record.username.toLowerCase();
+                const email = record.email.toLowerCase();
+                if (record.username && seenUsernames.has(username)) {
+                    rowErrors.push(`duplicate username "${record.username}" in file`);
+                }
+                if (record.email && seenEmails.has(email)) {
+                    rowErrors.push(`duplicate email "${record.email}" in file`);
+                }
+                if (record.username && await this.getUserByUsername(record.username)) {
+                    rowErrors.push(`username "${record.username}" already exists`);
+                }
+                if (record.email && await this.getUserByEmail(record.email)) {
+                    rowErrors.push(`email "${record.email}" already registered`);
+                }
+
+                seenUsernames.add(username);
+                seenEmails.add(email);
+
+                if (rowErrors.length > 0) {
+                    errors.push({ row: rowNumber, username: record.username, errors: rowErrors });
+                } else {
+                    validRows.push({ row: rowNumber, record });
+                }
+            }
+
+            const created = [];
+            if (!dryRun) {
+                const inviteDays = await this.getNumericSetting('account_invite_token_days', 7);
+
+                for (const { record } of validRows) {
+                    const user = this.buildUserRecord({
+                        username: record.username,
+                        email: record.email,
+                        name: record.name,
+                        department: record.department,
+                        year: record.year,
+                        role: 'student'
+                    }, record.password ? await this.hashPassword(record.password) : null);
+
+                    user.importedBy = currentUser.id;
+                    await this.putObject('users', user);
+
+                    if (!record.password) {
+                        const token = await this.createAuthToken(user.id, 'password_reset',
+                            inviteDays * 24 * 60 * 60 * 1000, { email: user.email });
+
+                        await this.sendMail({
+                            to: user.email,
+                            subject: 'Your NERIST ONE account',
+                            text: `Hello ${user.name},\n\n` +
+                                `An account has been created for you with username ${user.username}. ` +
+                                `Use this code to set your password:\n\n${token}\n\n` +
+                                `The code expires in ${inviteDays} days.`,
+                            template: 'account_invite',
+                            userId: user.id
+                        });
+                    } else {
+                        await this.sendVerificationEmail(user);
+                    }
+
+                    created.push(user.id);
+                }
+
+                // Log activity
+                await this.logActivity(currentUser.id, 'import_students',
+                    `Imported ${created.length} students from CSV (${errors.length} rows rejected)`);
+            }
+
+            return {
+                dryRun,
+                totalRows: validRows.length + errors.length,
+                valid: validRows.length,
+                created: created.length,
+                createdUserIds: created,
+                errors
+            };
+        } catch (error) {
+            console.error('Import students from CSV error:', error);
+            throw error;
+        }
+    }
+
+    // ============================================
+    // PASSWORD RESET AND EMAIL VERIFICATION
+    // ============================================
+
+    async requestPasswordReset(email) {
+        try {
+            const user = await this.getUserByEmail(email);
+
+            // Same response whether or not the address is registered
+            if (user && user.isActive) {
+                const minutes = await this.getNumericSetting('password_reset_token_minutes', 30);
+                const token = await this.createAuthToken(user.id, 'password_reset', minutes * 60 * 1000,
+                    { email: user.email });
+
+                await this.sendMail({
+                    to: user.email,
+                    subject: 'NERIST ONE password reset',
+                    text: `Hello ${user.name},\n\n` +
+                        `Use this code to reset your NERIST ONE password:\n\n${token}\n\n` +
+                        `The code expires in ${minutes} minutes and can be used once. ` +
+                        'If you did not ask for a reset, you can ignore this message.',
+                    template: 'password_reset',
+                    userId: user.id
+                });
+
+                await this.logActivity(user.id, 'request_password_reset', 'Password reset requested');
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Request password reset error:', error);
+            throw error;
+        }
+    }
+
+    async resetPassword(token, newPassword) {
+        try {
+            if (!newPassword) {
+                throw new Error('Missing required fields');
+            }
+
+            const tokenId = token ? await this.sha256Hex(token) : null;
+            const passwordHash = await this.hashPassword(newPassword);
+
+            // The token is only spent if the new password is stored as well
+            const user = await this.withTransaction(
+                ['authTokens', 'users', 'loginAttempts', 'encryptionKeys', 'sessions'], 'readwrite', async (tx) => {
+                    const record = await this.redeemAuthToken(tokenId, 'password_reset', tx);
+                    const user = await this.getObject('users', record.userId, tx);
+                    if (!user) {
+                        throw new Error('Invalid or expired token');
+                    }
+
+                    user.password = passwordHash;
+                    user.lockedUntil = null;
+
+                    // Redeeming a token mailed to the current address proves ownership of it
+                    if (user.emailVerified === false && record.email === user.email) {
+                        user.emailVerified = true;
+                        user.emailVerifiedAt = new Date().toISOString();
+                    }
+                    await this.putObject('users', user, tx);
+                    await this.deleteObject('loginAttempts', `user:${user.username.toLowerCase()}`, tx);
+
+                    // The data key copy was wrapped with the old password and is now useless
+                    await this.deleteObject('encryptionKeys', `user:${user.id}`, tx);
+
+                    // Whoever held the old password loses their sessions too
+                    await this.revokeUserSessions(user.id, null, 'password_reset', tx);
+
+                    return user;
+                });
+
+            // Log activity
+            await this.logActivity(user.id, 'reset_password', 'Password reset with emailed token');
+
+            return true;
+        } catch (error) {
+            console.error('Reset password error:', error);
+            throw error;
+        }
+    }
+
+    async resendVerificationEmail(userId) {
+        try {
+            await this.authorize('profile.edit', { ownerId: userId });
+
+            const user = await this.getUserById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            if (user.emailVerified !== false) {
+                throw new Error('Email address already verified');
+            }
+
+            await this.sendVerificationEmail(user);
+            return true;
+        } catch (error) {
+            console.error('Resend verification email error:', error);
+            throw error;
+        }
+    }
+
+    async verifyEmail(token) {
+        try {
+            const tokenId = token ? await this.sha256Hex(token) : null;
+
+            const user = await this.withTransaction(['authTokens', 'users'], 'readwrite', async (tx) => {
+                const record = await this.redeemAuthToken(tokenId, 'email_verification', tx);
+                const user = await this.getObject('users', record.userId, tx);
+
+                // The token is tied to the address it was sent to
+                if (!user || user.email !== record.email) {
+                    throw new Error('Invalid or expired token');
+                }
+
+                user.emailVerified = true;
+                user.emailVerifiedAt = new Date().toISOString();
+                await this.putObject('users', user, tx);
+
+                return user;
+            });
+
+            // Log activity
+            await this.logActivity(user.id, 'verify_email', `Verified ${user.email}`);
+
+            return true;
+        } catch (error) {
+            console.error('Verify email error:', error);
+            throw error;
+        }
+    }
+
+    async sendVerificationEmail(user) {
+        const hours = await this.getNumericSetting('email_verification_token_hours', 48);
+        const token = await this.createAuthToken(user.id, 'email_verification', hours * 60 * 60 * 1000,
+            { email: user.email });
+
+        await this.sendMail({
+            to: user.email,
+            subject: 'Verify your NERIST ONE email address',
+            text: `Hello ${user.name},\n\n` +
+                `Use this code to verify your email address:\n\n${token}\n\n` +
+                `The code expires in ${hours} hours.`,
+            template: 'email_verification',
+            userId: user.id
+        });
+    }
+
+    async createAuthToken(userId, purpose, ttlMs, extra = {}) {
+        const token = this.toBase64Url(this.crypto.getRandomValues(new Uint8Array(32)));
+        const tokenId = await this.sha256Hex(token);
+        const now = Date.now();
+
+        await this.withTransaction('authTokens', 'readwrite', async (tx) => {
+            // Only one live token per user and purpose
+            const existing = await this.getAllObjects('authTokens', 'userId', userId, tx);
+            for (const record of existing) {
+                if (record.purpose === purpose && !record.usedAt) {
+                    await this.deleteObject('authTokens', record.id, tx);
+                }
+            }
+
+            // Only the hash is stored, so a copy of the database cannot redeem tokens
+            await this.putObject('authTokens', {
+                ...extra,
+                id: tokenId,
+                userId: userId,
+                purpose: purpose,
+                createdAt: new Date(now).toISOString(),
+                expiresAt: new Date(now + ttlMs).toISOString(),
+                usedAt: null
+            }, tx);
+        });
+
+        return token;
+    }
+
+    async consumeAuthToken(token, purpose) {
+        const tokenId = token ? await this.sha256Hex(token) : null;
+        return this.withTransaction('authTokens', 'readwrite', tx => this.redeemAuthToken(tokenId, purpose, tx));
+    }
+
+    // Marks a token used inside the caller's transaction; tokenId is its sha256
+    async redeemAuthToken(tokenId, purpose, tx) {
+        const record = tokenId ? await this.getObject('authTokens', tokenId, tx) : null;
+
+        if (!record || record.purpose !== purpose || record.usedAt ||
+            new Date(record.expiresAt) < new Date()) {
+            throw new Error('Invalid or expired token');
+        }
+
+        record.usedAt = new Date().toISOString();
+        await this.putObject('authTokens', record, tx);
+
+        return record;
+    }
+
+    setMailTransport(transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error('Mail transport must provide a send(message) method');
+        }
+        this.mailTransport = transport;
+    }
+
+    async sendMail(message) {
+        const from = await this.getSystemSetting('mail_from') || 'noreply@nerist.ac.in';
+        return this.mailTransport.send({ from, ...message });
+    }
+
+    async getMailOutbox(limit = 50) {
+        try {
+            await this.authorize('mail.view');
+
+            return await this.query('mailOutbox').index('createdAt').reverse().limit(limit).toArray();
+        } catch (error) {
+            console.error('Get mail outbox error:', error);
+            throw error;
+        }
+    }
+
+    // ============================================
+    // TWO-FACTOR AUTHENTICATION (TOTP, RFC 6238)
+    // ============================================
+
+    async completeTwoFactorLogin(challengeToken, code) {
+        try {
+            const tokenHash = challengeToken ? await this.sha256Hex(challengeToken) : null;
+            const challenge = tokenHash ? await this.getObject('authTokens', tokenHash) : null;
+
+            if (!challenge || challenge.purpose !== 'two_factor_login' || challenge.usedAt ||
+                new Date(challenge.expiresAt) < new Date()) {
+                throw new Error('Login challenge expired. Please sign in again.');
+            }
+
+            const user = await this.getUserById(challenge.userId);
+            if (!user || !user.isActive || !user.twoFactor?.enabled) {
+                throw new Error('Login challenge expired. Please sign in again.');
+            }
+
+            // The code is hashed up front; the transaction would not survive the await
+            const factor = await this.matchSecondFactor(user, code);
+
+            // The challenge and the code are checked and spent together, so two
+            // concurrent calls cannot both redeem the same challenge
+            const twoFactor = await this.withTransaction(['authTokens', 'users'], 'readwrite', async (tx) => {
+                const current = await this.getObject('authTokens', tokenHash, tx);
+                if (!current || current.usedAt || new Date(current.expiresAt) < new Date()) {
+                    throw new Error('Login challenge expired. Please sign in again.');
+                }
+
+                const stored = await this.getObject('users', user.id, tx);
+                if (!factor || !stored?.twoFactor?.enabled || !this.spendSecondFactor(stored, factor)) {
+                    // A handful of tries per challenge, then the password step starts over
+                    current.failures = (current.failures || 0) + 1;
+                    if (current.failures >= 5) {
+                        current.usedAt = new Date().toISOString();
+                    }
+                    await this.putObject('authTokens', current, tx);
+                    return null;
+                }
+
+                current.usedAt = new Date().toISOString();
+                await this.putObject('authTokens', current, tx);
+                await this.putObject('users', stored, tx);
+                return stored.twoFactor;
+            });
+
+            if (!twoFactor) {
+                await this.recordFailedLogin(user.username, user, challenge.attemptKeys);
+                throw new Error('Invalid verification code');
+            }
+
+            // completeLogin() writes this copy back, so it must carry the spent code
+            user.twoFactor = twoFactor;
+            if (factor.recoveryCode) {
+                await this.logActivity(user.id, 'use_recovery_code',
+                    `Recovery code used (${twoFactor.recoveryCodes.length} left)`);
+            }
+
+            const dataKey = this.pendingDataKeys.get(challengeToken) || null;
+            this.pendingDataKeys.delete(challengeToken);
+
+            return await this.completeLogin(user, challenge.attemptKeys, dataKey);
+        } catch (error) {
+            console.error('Complete two-factor login error:', error);
+            throw error;
+        }
+    }
+
+    async beginTwoFactorSetup() {
+        try {
+            const currentUser = await this.getCurrentUser();
+            if (!currentUser) {
+                throw new Error('Not authenticated');
+            }
+
+            const user = await this.getUserById(currentUser.id);
+            if (user.twoFactor?.enabled) {
+                throw new Error('Two-factor authentication is already enabled');
+            }
+
+            const secret = this.base32Encode(this.crypto.getRandomValues(new Uint8Array(20)));
+            user.twoFactor = { enabled: false, pendingSecret: secret };
+            await this.putObject('users', user);
+
+            const issuer = 'NERIST ONE';
+            const label = encodeURIComponent(`${issuer}:${user.username}`);
+            const otpauthUri = `otpauth://totp/${label}?secret=${secret}` +
+                `&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=30`;
+
+            // The URI is what the authenticator app scans as a QR code
+            return { secret, otpauthUri };
+        } catch (error) {
+            console.error('Begin two-factor setup error:', error);
+            throw error;
+        }
+    }
+
+    async confirmTwoFactorSetup(code) {
+        try {
+            const currentUser = await this.getCurrentUser();
+            if (!currentUser) {
+                throw new Error('Not authenticated');
+            }
+
+            const user = await this.getUserById(currentUser.id);
+            const pendingSecret = user.twoFactor?.pendingSecret;
+            if (!pendingSecret) {
+                throw new Error('Start two-factor setup first');
+            }
+
+            const step = await this.verifyTotp(pendingSecret, code, -1);
+            if (step === null) {
+                throw new Error('Invalid verification code');
+            }
+
+            const recoveryCodes = this.generateRecoveryCodes();
+            user.twoFactor = {
+                enabled: true,
+                secret: pendingSecret,
+                lastUsedStep: step,
+                recoveryCodes: await Promise.all(recoveryCodes.map(recoveryCode => this.sha256Hex(recoveryCode))),
+                enabledAt: new Date().toISOString()
+            };
+            await this.putObject('users', user);
+            this.currentUser = this.sanitizeUser(user);
+
+            // Log activity
+            await this.logActivity(user.id, 'enable_two_factor', 'Two-factor authentication enabled');
+
+            // Shown to the user once; only hashes are stored
+            return { recoveryCodes };
+        } catch (error) {
+            console.error('Confirm two-factor setup error:', error);
+            throw error;
+        }
+    }
+
+    async disableTwoFactor(password) {
+        try {
+            const currentUser = await this.getCurrentUser();
+            if (!currentUser) {
+                throw new Error('Not authenticated');
+            }
+
+            const user = await this.getUserById(currentUser.id);
+            const { valid } = await this.verifyPassword(password, user.password);
+            if (!valid) {
+                throw new Error('Current password is incorrect');
+            }
+
+            user.twoFactor = { enabled: false };
+            await this.putObject('users', user);
+            this.currentUser = this.sanitizeUser(user);
+
+            // Log activity
+            await this.logActivity(user.id, 'disable_two_factor', 'Two-factor authentication disabled');
+
+            return true;
+        } catch (error) {
+            console.error('Disable two-factor error:', error);
+            throw error;
+        }
+    }
+
+    async regenerateRecoveryCodes(code) {
+        try {
+            const currentUser = await this.getCurrentUser();
+            if (!currentUser) {
+                throw new Error('Not authenticated');
+            }
+
+            const user = await this.getUserById(currentUser.id);
+            if (!user.twoFactor?.enabled) {
+                throw new Error('Two-factor authentication is not enabled');
+            }
+
+            const step = await this.verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+            if (step === null) {
+                throw new Error('Invalid verification code');
+            }
+
+            const recoveryCodes = this.generateRecoveryCodes();
+            user.twoFactor.lastUsedStep = step;
+            user.twoFactor.recoveryCodes = await Promise.all(
+                recoveryCodes.map(recoveryCode => this.sha256Hex(recoveryCode))
+            );
+            await this.putObject('users', user);
+
+            // Log activity
+            await this.logActivity(user.id, 'regenerate_recovery_codes', 'Recovery codes regenerated');
+
+            return { recoveryCodes };
+        } catch (error) {
+            console.error('Regenerate recovery codes error:', error);
+            throw error;
+        }
+    }
+
+    async resetTwoFactor(userId) {
+        try {
+            const currentUser = await this.authorize('users.manage');
+
+            const user = await this.getUserById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            user.twoFactor = { enabled: false };
+            await this.putObject('users', user);
+            await this.revokeUserSessions(userId, null, 'two_factor_reset');
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'reset_two_factor',
+                `Reset two-factor authentication for ${user.username}`);
+
+            return true;
+        } catch (error) {
+            console.error('Reset two-factor error:', error);
+            throw error;
+        }
+    }
+
+    async getTwoFactorStatus() {
+        const currentUser = await this.getCurrentUser();
+        if (!currentUser) {
+            throw new Error('Not authenticated');
+        }
+
+        const user = await this.getUserById(currentUser.id);
+        return {
+            enabled: !!user.twoFactor?.enabled,
+            required: await this.isTwoFactorRequired(user),
+            recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+        };
+    }
+
+    async isTwoFactorRequired(user) {
+        const setting = await this.getSystemSetting('two_factor_required_roles') || '';
+        return setting.split(',').map(role => role.trim()).includes(user.role);
+    }
+
+    // Returns { step } for a valid TOTP code, { recoveryCode } with the hash
+    // of a known recovery code, or null. Nothing is spent yet.
+    async matchSecondFactor(user, code) {
+        const input = String(code || '').trim();
+
+        if (/^\d{6}$/.test(input)) {
+            const step = await this.verifyTotp(user.twoFactor.secret, input, user.twoFactor.lastUsedStep);
+            return step === null ? null : { step };
+        }
+
+        const hash = await this.sha256Hex(input.toLowerCase());
+        return (user.twoFactor.recoveryCodes || []).includes(hash) ? { recoveryCode: hash } : null;
+    }
+
+    // Spends a matched factor on the stored user; false if it was spent meanwhile
+    spendSecondFactor(user, factor) {
+        if (factor.step !== undefined) {
+            // Each time step is accepted once, so an observed code cannot be replayed
+            if (factor.step <= (user.twoFactor.lastUsedStep ?? -Infinity)) return false;
+            user.twoFactor.lastUsedStep = factor.step;
+            return true;
+        }
+
+        // Recovery codes are single-use
+        const index = (user.twoFactor.recoveryCodes || []).indexOf(factor.recoveryCode);
+        if (index === -1) return false;
+        user.twoFactor.recoveryCodes.splice(index, 1);
+        return true;
+    }
+
+    async verifyTotp(secret, code, lastUsedStep) {
+        const currentStep = Math.floor(Date.now() / 30000);
+
+        // Allow one step of clock drift either way
+        for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+            if (step <= lastUsedStep) continue;
+            if (this.timingSafeEqual(await this.generateTotp(secret, step), String(code))) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    async generateTotp(secret, step) {
+        const counter = new Uint8Array(8);
+        let value = step;
+        for (let i = 7; i >= 0; i--) {
+            counter[i] = value & 0xff;
+            value = Math.floor(value / 256);
+        }
+
+        const key = await this.crypto.subtle.importKey(
+            'raw', this.base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']
+        );
+        const hmac = new Uint8Array(await this.crypto.subtle.sign('HMAC', key, counter));
+
+        // Dynamic truncation (RFC 4226 section 5.3)
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+
+        return String(binary % 1000000).padStart(6, '0');
+    }
+
+    generateRecoveryCodes(count = 10) {
+        return Array.from({ length: count }, () => {
+            const hex = this.generateSessionId().slice(0, 10);
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+    }
+
+    // ============================================
+    // LOGIN THROTTLING AND LOCKOUT
+    // ============================================
+
+    async checkLoginThrottle(attemptKeys, username) {
+        const now = new Date();
+
+        for (const key of attemptKeys) {
+            const attempt = await this.getObject('loginAttempts', key);
+            if (attempt && attempt.nextAttemptAt && new Date(attempt.nextAttemptAt) > now) {
+                await this.logActivity(null, 'login_throttled',
+                    `Throttled login for "${username}" (${key})`);
+                throw new Error('Too many failed attempts. Please try again later.');
+            }
+        }
+    }
+
+    async recordFailedLogin(username, user, attemptKeys) {
+        const now = new Date();
+        const [baseSeconds, maxSeconds, lockoutThreshold, lockoutMinutes] = await Promise.all([
+            this.getNumericSetting('login_backoff_base_seconds', 1),
+            this.getNumericSetting('login_backoff_max_seconds', 300),
+            this.getNumericSetting('login_lockout_threshold', 5),
+            this.getNumericSetting('login_lockout_minutes', 15)
+        ]);
+
+        // Counters and the lock are read and bumped together, so parallel attempts cannot lose a failure
+        const userFailures = await this.withTransaction(['loginAttempts', 'users'], 'readwrite', async (tx) => {
+            let userFailures = 0;
+            for (const key of attemptKeys) {
+                const attempt = await this.getObject('loginAttempts', key, tx) || {
+                    key: key,
+                    failures: 0,
+                    firstFailureAt: now.toISOString()
+                };
+
+                // Exponential backoff: 1s, 2s, 4s, ... capped
+                attempt.failures += 1;
+                attempt.lastFailureAt = now.toISOString();
+                const delaySeconds = Math.min(baseSeconds * Math.pow(2, attempt.failures - 1), maxSeconds);
+                attempt.nextAttemptAt = new Date(now.getTime() + delaySeconds * 1000).toISOString();
+
+                await this.putObject('loginAttempts', attempt, tx);
+
+                if (key.startsWith('user:')) {
+                    userFailures = attempt.failures;
+                }
+            }
+
+            if (user && userFailures >= lockoutThreshold) {
+                const stored = await this.getObject('users', user.id, tx);
+                if (stored) {
+                    stored.lockedUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000).toISOString();
+                    await this.putObject('users', stored, tx);
+                    user.lockedUntil = stored.lockedUntil;
+                }
+            }
+
+            return userFailures;
+        });
+
+        await this.logActivity(user ? user.id : null, 'login_failed',
+            `Failed login for "${username}" from device ${this.getDeviceId()} (${userFailures} consecutive)`);
+
+        if (user && userFailures >= lockoutThreshold) {
+            await this.logActivity(user.id, 'account_locked',
+                `Account locked for ${lockoutMinutes} minutes after ${userFailures} failed logins`);
+        }
+    }
+
+    async recordSuccessfulLogin(user, attemptKeys) {
+        const userAttempt = await this.getObject('loginAttempts', attemptKeys[0]);
+        const deviceId = this.getDeviceId();
+        const knownDevices = user.knownDevices || [];
+
+        // Flag logins that follow a run of failures or come from an unseen device
+        const reasons = [];
+        if (userAttempt && userAttempt.failures >= 3) {
+            reasons.push(`${userAttempt.failures} failed attempts before success`);
+        }
+        if (knownDevices.length > 0 && !knownDevices.includes(deviceId)) {
+            reasons.push(`new device ${deviceId}`);
+        }
+        if (reasons.length > 0) {
+            await this.logActivity(user.id, 'suspicious_login', reasons.join('; '));
+        }
+
+        if (!knownDevices.includes(deviceId)) {
+            user.knownDevices = [deviceId, ...knownDevices].slice(0, 10);
+        }
+        user.lockedUntil = null;
+
+        await this.withTransaction('loginAttempts', 'readwrite', async (tx) => {
+            for (const key of attemptKeys) {
+                await this.deleteObject('loginAttempts', key, tx);
+            }
+        });
+    }
+
+    async unlockAccount(userId) {
+        try {
+            const currentUser = await this.authorize('users.manage');
+
+            const user = await this.getUserById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            user.lockedUntil = null;
+            await this.withTransaction(['users', 'loginAttempts'], 'readwrite', async (tx) => {
+                await this.putObject('users', user, tx);
+                await this.deleteObject('loginAttempts', `user:${user.username.toLowerCase()}`, tx);
+            });
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'unlock_account',
+                `Unlocked account ${user.username}`);
+
+            return true;
+        } catch (error) {
+            console.error('Unlock account error:', error);
+            throw error;
+        }
+    }
+
+    async getLoginAuditLog(limit = 100) {
+        try {
+            await this.authorize('audit.view');
+
+            const actions = ['login_failed', 'login_throttled', 'login_blocked', 'account_locked', 'suspicious_login'];
+            const entries = await Promise.all(actions.map(action =>
+                this.query('activityLog').index('action_timestamp').prefix([action]).reverse().limit(limit).toArray()
+            ));
+
+            return entries
+                .flat()
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+                .slice(0, limit);
+        } catch (error) {
+            console.error('Get login audit log error:', error);
+            throw error;
+        }
+    }
+
+    getDeviceId() {
+        let deviceId = this.sessionStore.getItem('nerist_device_id');
+        if (!deviceId) {
+            deviceId = this.generateSessionId();
+            this.sessionStore.setItem('nerist_device_id', deviceId);
+        }
+        return deviceId;
+    }
+
+    async getDummyPasswordHash() {
+        if (!this.dummyPasswordHash) {
+            this.dummyPasswordHash = await this.hashPassword(this.generateSessionId());
+        }
+        return this.dummyPasswordHash;
+    }
+
+    // ============================================
+    // SESSION MANAGEMENT
+    // ============================================
+
+    async validateSession(token) {
+        if (!token) return null;
+
+        const [sessionId, signature] = token.split('.');
+        if (!sessionId || !signature) return null;
+
+        const session = await this.getObject('sessions', sessionId);
+        if (!session || session.revokedAt) return null;
+
+        const expected = await this.signSessionToken(session.id, session.userId);
+        if (!this.timingSafeEqual(expected, token)) return null;
+
+        const now = new Date();
+        const idleTimeout = await this.getSessionSettingMs('session_idle_timeout_minutes', 60, 60 * 1000);
+
+        if (new Date(session.expiresAt) < now) {
+            await this.endSession(session, 'expired');
+            return null;
+        }
+
+        if (now - new Date(session.lastActiveAt) > idleTimeout) {
+            await this.endSession(session, 'idle_timeout');
+            return null;
+        }
+
+        // Sliding renewal, written at most once a minute to avoid a write per call
+        if (now - new Date(session.lastActiveAt) > 60 * 1000) {
+            const lifetime = await this.getSessionSettingMs('session_lifetime_hours', 24, 60 * 60 * 1000);
+            const maxLifetime = await this.getSessionSettingMs('session_max_lifetime_days', 7, 24 * 60 * 60 * 1000);
+            const hardLimit = new Date(session.createdAt).getTime() + maxLifetime;
+
+            session.lastActiveAt = now.toISOString();
+            session.expiresAt = new Date(Math.min(now.getTime() + lifetime, hardLimit)).toISOString();
+            await this.putObject('sessions', session);
+        }
+
+        return session;
+    }
+
+    async listSessions(userId = null) {
+        try {
+            const currentUser = await this.getCurrentUser();
+            if (!currentUser) {
+                throw new Error('Not authenticated');
+            }
+
+            const targetUserId = userId || currentUser.id;
+            if (targetUserId !== currentUser.id) {
+                await this.authorize('sessions.manage');
+            }
+
+            const now = new Date();
+            const currentSessionId = this.getLocalSession()?.sessionId;
+            const sessions = await this.getAllObjects('sessions', 'userId', targetUserId);
+
+            return sessions
+                .filter(session => !session.revokedAt && new Date(session.expiresAt) > now)
+                .map(session => ({ ...session, current: session.id === currentSessionId }))
+                .sort((a, b) => new Date(b.lastActiveAt) - new Date(a.lastActiveAt));
+        } catch (error) {
+            console.error('List sessions error:', error);
+            throw error;
+        }
+    }
+
+    async revokeSession(sessionId) {
+        try {
+            const currentUser = await this.getCurrentUser();
+            if (!currentUser) {
+                throw new Error('Not authenticated');
+            }
+
+            const session = await this.getObject('sessions', sessionId);
+            if (!session) {
+                throw new Error('Session not found');
+            }
+
+            if (session.userId !== currentUser.id) {
+                await this.authorize('sessions.manage');
+            }
+
+            await this.endSession(session, 'revoked');
+
+            // Revoking this device's own session is a logout
+            if (sessionId === this.getLocalSession()?.sessionId) {
+                this.clearLocalSession();
+                this.dropUserState();
+            }
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'revoke_session',
+                `Revoked session ${sessionId} of ${session.userId}`);
+
+            return true;
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            throw error;
+        }
+    }
+
+    async revokeOtherSessions() {
+        try {
+            const currentUser = await this.getCurrentUser();
+            if (!currentUser) {
+                throw new Error('Not authenticated');
+            }
+
+            const revoked = await this.revokeUserSessions(currentUser.id, this.getLocalSession()?.sessionId);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'revoke_sessions',
+                `Revoked ${revoked} other sessions`);
+
+            return revoked;
+        } catch (error) {
+            console.error('Revoke other sessions error:', error);
+            throw error;
+        }
+    }
+
+    async revokeUserSessions(userId, exceptSessionId = null, reason = 'revoked', tx = null) {
+        if (!tx) {
+            return this.withTransaction('sessions', 'readwrite',
+                context => this.revokeUserSessions(userId, exceptSessionId, reason, context));
+        }
+
+        const sessions = await this.getAllObjects('sessions', 'userId', userId, tx);
+        let revoked = 0;
+
+        for (const session of sessions) {
+            if (session.id === exceptSessionId || session.revokedAt) continue;
+            await this.endSession(session, reason, tx);
+            revoked++;
+        }
+
+        return revoked;
+    }
+
+    async endSession(session, reason, tx = null) {
+        session.revokedAt = new Date().toISOString();
+        session.revokedReason = reason;
+        await this.putObject('sessions', session, tx);
+    }
+
+    // ============================================
+    // ACCESS CONTROL
+    // ============================================
+
+    // Role permissions are "<area>.<action>" strings. A suffix narrows the grant:
+    //   "@own"        only for resources whose ownerId is the acting user
+    //   "@<scope>"    only where a role assignment of that scope type
+    //                 (course, hostel, department, ...) matches the resource
+    // "*" and "<area>.*" are wildcards.
+
+    async authorize(permission, resource = {}) {
+        const currentUser = await this.getCurrentUser();
+        if (!currentUser) {
+            throw new Error('Not authenticated');
+        }
+
+        // Privileged roles may be required to enroll in 2FA before doing anything
+        if (!currentUser.twoFactor?.enabled && await this.isTwoFactorRequired(currentUser)) {
+            throw new Error('Two-factor authentication setup required');
+        }
+
+        if (!(await this.hasPermission(currentUser, permission, resource))) {
+            await this.logActivity(currentUser.id, 'access_denied',
+                `Denied ${permission}`);
+            throw new Error('Permission denied');
+        }
+
+        return currentUser;
+    }
+
+    async hasPermission(user, permission, resource = {}) {
+        const [roles, assignments] = await Promise.all([
+            this.getRoleMap(),
+            this.getAllObjects('roleAssignments', 'userId', user.id)
+        ]);
+
+        // The user's primary role is an unscoped grant; assignments add scoped ones
+        const grants = [{ role: user.role, scopeType: null, scopeId: null }, ...assignments];
+
+        return grants.some(grant => {
+            const role = roles[grant.role];
+            if (!role) return false;
+
+            return role.permissions.some(entry => {
+                const [name, scope] = entry.split('@');
+                if (!this.permissionMatches(name, permission)) return false;
+                if (!scope) return true;
+
+                // Without a concrete resource, any grant of the permission counts
+                if (resource === null) {
+                    return scope === 'own' || grant.scopeType === scope;
+                }
+
+                if (scope === 'own') {
+                    return resource.ownerId === user.id;
+                }
+
+                return grant.scopeType === scope &&
+                    resource[scope] !== undefined &&
+                    resource[scope] === grant.scopeId;
+            });
+        });
+    }
+
+    permissionMatches(granted, requested) {
+        if (granted === '*' || granted === requested) return true;
+        return granted.endsWith('.*') && requested.startsWith(granted.slice(0, -1));
+    }
+
+    async getRoleMap() {
+        if (!this.roleCache) {
+            const roles = await this.getAllObjects('roles');
+            this.roleCache = {};
+            roles.forEach(role => {
+                this.roleCache[role.id] = role;
+            });
+        }
+        return this.roleCache;
+    }
+
+    async getRoles() {
+        return Object.values(await this.getRoleMap());
+    }
+
+    async saveRole(roleData) {
+        try {
+            const currentUser = await this.authorize('roles.manage');
+
+            if (!roleData.id || !Array.isArray(roleData.permissions)) {
+                throw new Error('Role id and permissions are required');
+            }
+
+            const existing = await this.getObject('roles', roleData.id);
+            const role = {
+                id: roleData.id,
+                name: roleData.name || roleData.id,
+                description: roleData.description || '',
+                permissions: roleData.permissions,
+                builtIn: existing?.builtIn || false,
+                createdAt: existing?.createdAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            await this.putObject('roles', role);
+            this.roleCache = null;
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'save_role',
+                `Saved role ${role.id} with ${role.permissions.length} permissions`,
+                { target: { storeName: 'roles', key: role.id }, before: existing, after: role });
+
+            return role;
+        } catch (error) {
+            console.error('Save role error:', error);
+            throw error;
+        }
+    }
+
+    async deleteRole(roleId) {
+        try {
+            const currentUser = await this.authorize('roles.manage');
+
+            const role = await this.getObject('roles', roleId);
+            if (!role) {
+                throw new Error('Role not found');
+            }
+
+            if (role.builtIn) {
+                throw new Error('Built-in roles cannot be deleted');
+            }
+
+            await this.deleteObject('roles', roleId);
+            this.roleCache = null;
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'delete_role', `Deleted role ${roleId}`,
+                { target: { storeName: 'roles', key: roleId }, before: role });
+
+            return true;
+        } catch (error) {
+            console.error('Delete role error:', error);
+            throw error;
+        }
+    }
+
+    async assignRole(userId, roleId, scope = null) {
+        try {
+            const currentUser = await this.authorize('roles.assign');
+
+            const [user, role] = await Promise.all([
+                this.getUserById(userId),
+                this.getObject('roles', roleId)
+            ]);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (!role) {
+                throw new Error('Role not found');
+            }
+
+            const assignment = {
+                userId: userId,
+                role: roleId,
+                scopeType: scope?.type || null,
+                scopeId: scope?.id ?? null,
+                assignedBy: currentUser.id,
+                assignedAt: new Date().toISOString()
+            };
+
+            const result = await this.putObject('roleAssignments', assignment);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'assign_role',
+                `Assigned ${roleId}${scope ? ` (${scope.type}: ${scope.id})` : ''} to ${userId}`,
+                { target: { storeName: 'roleAssignments', key: result }, after: assignment });
+
+            return { id: result, ...assignment };
+        } catch (error) {
+            console.error('Assign role error:', error);
+            throw error;
+        }
+    }
+
+    async revokeRoleAssignment(assignmentId) {
+        try {
+            const currentUser = await this.authorize('roles.assign');
+
+            const assignment = await this.getObject('roleAssignments', assignmentId);
+            if (!assignment) {
+                throw new Error('Role assignment not found');
+            }
+
+            await this.deleteObject('roleAssignments', assignmentId);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'revoke_role',
+                `Revoked ${assignment.role} from ${assignment.userId}`,
+                { target: { storeName: 'roleAssignments', key: assignmentId }, before: assignment });
+
+            return true;
+        } catch (error) {
+            console.error('Revoke role assignment error:', error);
+            throw error;
+        }
+    }
+
+    async getRoleAssignments(userId) {
+        return this.getAllObjects('roleAssignments', 'userId', userId);
+    }
+
+    async getAttendanceResource(attendance) {
+        const student = await this.getUserById(attendance.studentId);
+        return {
+            ownerId: attendance.studentId,
+            course: attendance.subject,
+            department: student?.department
+        };
+    }
+
+    async ensureDefaultRoles() {
+        const viewer = ['home.view', 'navigation.view', 'safety.view', 'profile.edit@own'];
+        const defaults = [
+            {
+                id: 'student',
+                name: 'Student',
+                permissions: [
+                    ...viewer, 'attendance.view@own', 'attendance.report', 'mess.view',
+                    'mess.book@own', 'mess.feedback@own', 'career.view', 'career.apply@own',
+                    'safety.sos', 'results.view@own'
+                ]
+            },
+            {
+                id: 'admin',
+                name: 'Administrator',
+                permissions: ['*']
+            },
+            {
+                id: 'mess',
+                name: 'Mess Secretary',
+                permissions: [...viewer, 'mess.view', 'mess.manage']
+            },
+            {
+                id: 'faculty',
+                name: 'Faculty',
+                permissions: [
+                    ...viewer, 'career.view', 'attendance.view@course', 'attendance.mark@course',
+                    'attendance.edit@course', 'attendance.review@course', 'results.view@course',
+                    'encryption.use'
+                ]
+            },
+            {
+                id: 'warden',
+                name: 'Hostel Warden',
+                permissions: [...viewer, 'mess.view', 'safety.manage@hostel', 'users.view@hostel']
+            },
+            {
+                id: 'security',
+                name: 'Security Officer',
+                permissions: [...viewer, 'safety.manage', 'safety.sos']
+            },
+            {
+                id: 'placement',
+                name: 'Placement Officer',
+                permissions: [...viewer, 'career.view', 'career.manage', 'career.review', 'encryption.use']
+            },
+            {
+                id: 'hod',
+                name: 'Head of Department',
+                permissions: [
+                    ...viewer, 'career.view', 'attendance.view@department',
+                    'attendance.mark@department', 'attendance.edit@department',
+                    'attendance.delete@department', 'attendance.review@department',
+                    'results.view@department', 'results.publish@department', 'encryption.use'
+                ]
+            }
+        ];
+
+        const existing = await this.getRoleMap();
+        for (const role of defaults) {
+            if (existing[role.id]) continue;
+
+            await this.putObject('roles', {
+                ...role,
+                description: '',
+                builtIn: true,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            });
+        }
+        this.roleCache = null;
+    }
+
+    // ============================================
+    // COURSES AND TIMETABLE
+    // ============================================
+
+    // Days are ISO weekdays: 1 is Monday, 7 is Sunday
+    getWeekday(date) {
+        const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+        if (Number.isNaN(day)) {
+            throw new Error(`Invalid date: ${date}`);
+        }
+        return day === 0 ? 7 : day;
+    }
+
+    async saveCourse(courseData) {
+        try {
+            const currentUser = await this.authorize('courses.manage');
+
+            const code = String(courseData.code || '').trim().toUpperCase();
+            if (!/^[A-Z0-9-]+$/.test(code)) {
+                throw new Error('Course code may only contain letters, digits and hyphens');
+            }
+            if (!courseData.title) {
+                throw new Error('Course title is required');
+            }
+            if (courseData.credits !== undefined && !(Number(courseData.credits) >= 0)) {
+                throw new Error('Credits must be a non-negative number');
+            }
+
+            const existing = await this.getObject('courses', code);
+            const course = {
+                code: code,
+                title: courseData.title,
+                department: courseData.department || null,
+                semester: courseData.semester ?? null,
+                credits: courseData.credits !== undefined ? Number(courseData.credits) : null,
+                createdAt: existing?.createdAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            await this.putObject('courses', course);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'save_course', `Saved course ${code}`,
+                { target: { storeName: 'courses', key: code }, before: existing, after: course });
+
+            return course;
+        } catch (error) {
+            console.error('Save course error:', error);
+            throw error;
+        }
+    }
+
+    async getCourses(filters = {}) {
+        try {
+            const query = this.query('courses');
+            if (filters.department) {
+                query.index('department').equals(filters.department);
+            }
+
+            const courses = await query.filter(course =>
+                filters.semester === undefined || course.semester === filters.semester
+            ).toArray();
+
+            return courses.sort((a, b) => a.code.localeCompare(b.code));
+        } catch (error) {
+            console.error('Get courses error:', error);
+            throw error;
+        }
+    }
+
+    async saveSection(sectionData) {
+        try {
+            const currentUser = await this.authorize('courses.manage');
+
+            const course = await this.getObject('courses', sectionData.courseCode);
+            if (!course) {
+                throw new Error(`Unknown course: ${sectionData.courseCode}`);
+            }
+            if (!sectionData.name) {
+                throw new Error('Section name is required');
+            }
+
+            const id = `${course.code}-${sectionData.name}`;
+            const existing = await this.getObject('sections', id);
+            const section = {
+                id: id,
+                courseCode: course.code,
+                name: sectionData.name,
+                semester: sectionData.semester ?? course.semester,
+                branch: sectionData.branch || null,
+                academicYear: sectionData.academicYear || null,
+                createdAt: existing?.createdAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            await this.putObject('sections', section);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'save_section', `Saved section ${id}`,
+                { target: { storeName: 'sections', key: id }, before: existing, after: section });
+
+            return section;
+        } catch (error) {
+            console.error('Save section error:', error);
+            throw error;
+        }
+    }
+
+    async getSections(courseCode) {
+        try {
+            return await this.getAllObjects('sections', 'courseCode', courseCode);
+        } catch (error) {
+            console.error('Get sections error:', error);
+            throw error;
+        }
+    }
+
+    // Teaching a section grants the faculty role scoped to its course, which
+    // is what lets them mark and edit that course's attendance
+    async assignFaculty(sectionId, facultyId) {
+        try {
+            const currentUser = await this.authorize('courses.manage');
+
+            const [section, faculty] = await Promise.all([
+                this.getObject('sections', sectionId),
+                this.getUserById(facultyId)
+            ]);
+            if (!section) {
+                throw new Error('Section not found');
+            }
+            if (!faculty) {
+                throw new Error('User not found');
+            }
+
+            const id = `${sectionId}:${facultyId}`;
+            const assignment = await this.withTransaction(['facultyAssignments', 'roleAssignments'], 'readwrite', async tx => {
+                const existing = await tx.get('facultyAssignments', id);
+                if (existing) return existing;
+
+                // Teaching another section of the course already granted the role.
+                // Grants made through assignRole() are left alone.
+                const teaching = await tx.getAll('facultyAssignments', 'facultyId', facultyId);
+                const shared = teaching.find(entry => entry.courseCode === section.courseCode);
+
+                const created = {
+                    id: id,
+                    sectionId: sectionId,
+                    courseCode: section.courseCode,
+                    facultyId: facultyId,
+                    roleAssignmentId: shared ? shared.roleAssignmentId : await tx.put('roleAssignments', {
+                        userId: facultyId,
+                        role: 'faculty',
+                        scopeType: 'course',
+                        scopeId: section.courseCode,
+                        assignedBy: currentUser.id,
+                        assignedAt: new Date().toISOString()
+                    }),
+                    assignedBy: currentUser.id,
+                    assignedAt: new Date().toISOString()
+                };
+                await tx.put('facultyAssignments', created);
+                return created;
+            });
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'assign_faculty', `Assigned ${facultyId} to ${sectionId}`,
+                { target: { storeName: 'facultyAssignments', key: id }, after: assignment });
+
+            return assignment;
+        } catch (error) {
+            console.error('Assign faculty error:', error);
+            throw error;
+        }
+    }
+
+    async unassignFaculty(sectionId, facultyId) {
+        try {
+            const currentUser = await this.authorize('courses.manage');
+
+            const id = `${sectionId}:${facultyId}`;
+            const assignment = await this.withTransaction(['facultyAssignments', 'roleAssignments'], 'readwrite', async tx => {
+                const existing = await tx.get('facultyAssignments', id);
+                if (!existing) {
+                    throw new Error('Faculty assignment not found');
+                }
+                await tx.delete('facultyAssignments', id);
+
+                // The course role goes once no other section of the course is theirs
+                const remaining = await tx.getAll('facultyAssignments', 'facultyId', facultyId);
+                if (!remaining.some(entry => entry.roleAssignmentId === existing.roleAssignmentId)) {
+                    await tx.delete('roleAssignments', existing.roleAssignmentId);
+                }
+                return existing;
+            });
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'unassign_faculty', `Removed ${facultyId} from ${sectionId}`,
+                { target: { storeName: 'facultyAssignments', key: id }, before: assignment });
+
+            return true;
+        } catch (error) {
+            console.error('Unassign faculty error:', error);
+            throw error;
+        }
+    }
+
+    // A student is in at most one section of a course at a time
+    async enrollStudent(sectionId, studentId) {
+        try {
+            const currentUser = await this.authorize('courses.manage');
+
+            const [section, student] = await Promise.all([
+                this.getObject('sections', sectionId),
+                this.getUserById(studentId)
+            ]);
+            if (!section) {
+                throw new Error('Section not found');
+            }
+            if (!student || student.role !== 'student') {
+                throw new Error('Student not found');
+            }
+
+            const id = `${sectionId}:${studentId}`;
+            const enrollment = await this.withTransaction('enrollments', 'readwrite', async tx => {
+                const current = await tx.getAll('enrollments', 'student_course', [studentId, section.courseCode]);
+                const other = current.find(entry => entry.status === 'active' && entry.sectionId !== sectionId);
+                if (other) {
+                    throw new Error(`${studentId} is already enrolled in ${other.sectionId}`);
+                }
+
+                const existing = current.find(entry => entry.id === id);
+                if (existing?.status === 'active') return existing;
+
+                const created = {
+                    id: id,
+                    sectionId: sectionId,
+                    courseCode: section.courseCode,
+                    studentId: studentId,
+                    status: 'active',
+                    enrolledBy: currentUser.id,
+                    enrolledAt: new Date().toISOString()
+                };
+                await tx.put('enrollments', created);
+                return created;
+            });
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'enroll_student', `Enrolled ${studentId} in ${sectionId}`,
+                { target: { storeName: 'enrollments', key: id }, after: enrollment });
+
+            return enrollment;
+        } catch (error) {
+            console.error('Enroll student error:', error);
+            throw error;
+        }
+    }
+
+    // Dropped enrollments are kept so past attendance still has its section
+    async dropEnrollment(sectionId, studentId) {
+        try {
+            const currentUser = await this.authorize('courses.manage');
+
+            const id = `${sectionId}:${studentId}`;
+            const enrollment = await this.getObject('enrollments', id);
+            if (!enrollment || enrollment.status !== 'active') {
+                throw new Error('Enrollment not found');
+            }
+
+            const dropped = { ...enrollment, status: 'dropped', droppedBy: currentUser.id, droppedAt: new Date().toISOString() };
+            await this.putObject('enrollments', dropped);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'drop_enrollment', `Dropped ${studentId} from ${sectionId}`,
+                { target: { storeName: 'enrollments', key: id }, before: enrollment, after: dropped });
+
+            return dropped;
+        } catch (error) {
+            console.error('Drop enrollment error:', error);
+            throw error;
+        }
+    }
+
+    async getSectionEnrollments(sectionId) {
+        try {
+            const section = await this.getObject('sections', sectionId);
+            if (!section) {
+                throw new Error('Section not found');
+            }
+            await this.authorize('attendance.view', { course: section.courseCode });
+
+            return await this.query('enrollments').index('sectionId').equals(sectionId)
+                .filter(enrollment => enrollment.status === 'active').toArray();
+        } catch (error) {
+            console.error('Get section enrollments error:', error);
+            throw error;
+        }
+    }
+
+    // slotData: { sectionId, day (1-7), period, startTime, endTime, room }.
+    // A section has one slot per day and period, and a room hosts one class
+    // per day and period.
+    async saveTimetableSlot(slotData) {
+        try {
+            const currentUser = await this.authorize('courses.manage');
+
+            const section = await this.getObject('sections', slotData.sectionId);
+            if (!section) {
+                throw new Error('Section not found');
+            }
+
+            const day = Number(slotData.day);
+            const period = Number(slotData.period);
+            if (!Number.isInteger(day) || day < 1 || day > 7) {
+                throw new Error('Day must be 1 (Monday) to 7 (Sunday)');
+            }
+            if (!Number.isInteger(period) || period < 1) {
+                throw new Error('Period must be a positive whole number');
+            }
+
+            const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+            if (!time.test(slotData.startTime || '') || !time.test(slotData.endTime || '') ||
+                slotData.startTime >= slotData.endTime) {
+                throw new Error('Start and end times must be HH:MM with the start first');
+            }
+
+            const id = `${section.id}:${day}:${period}`;
+            const slot = {
+                id: id,
+                sectionId: section.id,
+                courseCode: section.courseCode,
+                day: day,
+                period: period,
+                startTime: slotData.startTime,
+                endTime: slotData.endTime,
+                room: slotData.room || null,
+                locationId: slotData.locationId || null,
+                updatedAt: new Date().toISOString()
+            };
+
+            const before = await this.withTransaction('timetableSlots', 'readwrite', async tx => {
+                if (slot.room) {
+                    const sameTime = await tx.getAll('timetableSlots', 'day_period', [day, period]);
+                    const clash = sameTime.find(entry => entry.room === slot.room && entry.id !== id);
+                    if (clash) {
+                        throw new Error(`${slot.room} is already used by ${clash.sectionId} in that period`);
+                    }
+                }
+
+                const existing = await tx.get('timetableSlots', id);
+                await tx.put('timetableSlots', slot);
+                return existing;
+            });
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'save_timetable_slot', `Scheduled ${section.id} on day ${day}, period ${period}`,
+                { target: { storeName: 'timetableSlots', key: id }, before, after: slot });
+
+            return slot;
+        } catch (error) {
+            console.error('Save timetable slot error:', error);
+            throw error;
+        }
+    }
+
+    async deleteTimetableSlot(slotId) {
+        try {
+            const currentUser = await this.authorize('courses.manage');
+
+            const slot = await this.getObject('timetableSlots', slotId);
+            if (!slot) {
+                throw new Error('Timetable slot not found');
+            }
+
+            await this.deleteObject('timetableSlots', slotId);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'delete_timetable_slot', `Removed slot ${slotId}`,
+                { target: { storeName: 'timetableSlots', key: slotId }, before: slot });
+
+            return true;
+        } catch (error) {
+            console.error('Delete timetable slot error:', error);
+            throw error;
+        }
+    }
+
+    // The class a student's attendance is for: their section of the course
+    // and its slot on that date
+    async getScheduledClass(studentId, courseCode, date, period = null) {
+        const course = await this.getObject('courses', courseCode);
+        if (!course) {
+            throw new Error(`Unknown course: ${courseCode}`);
+        }
+
+        const enrollment = await this.query('enrollments').index('student_course')
+            .equals([studentId, course.code])
+            .filter(entry => entry.status === 'active')
+            .first();
+        if (!enrollment) {
+            throw new Error(`${studentId} is not enrolled in ${course.code}`);
+        }
+
+        const [section, slots] = await Promise.all([
+            this.getObject('sections', enrollment.sectionId),
+            this.getAllObjects('timetableSlots', 'section_day', [enrollment.sectionId, this.getWeekday(date)])
+        ]);
+        if (slots.length === 0) {
+            throw new Error(`${section.id} has no class on ${date}`);
+        }
+
+        if (period !== null && period !== undefined) {
+            const slot = slots.find(entry => entry.period === Number(period));
+            if (!slot) {
+                throw new Error(`${section.id} has no class in period ${period} on ${date}`);
+            }
+            return { course, section, slot };
+        }
+
+        if (slots.length > 1) {
+            throw new Error(`${section.id} meets ${slots.length} times on ${date}; specify the period`);
+        }
+        return { course, section, slot: slots[0] };
+    }
+
+    // Monday to Sunday, each with its slots in time order. Students get the
+    // sections they are enrolled in, faculty the sections they teach.
+    async getMyTimetable() {
+        try {
+            const currentUser = await this.getCurrentUser();
+            if (!currentUser) {
+                throw new Error('Not authenticated');
+            }
+
+            const [enrollments, teaching] = await Promise.all([
+                this.query('enrollments').index('studentId').equals(currentUser.id)
+                    .filter(enrollment => enrollment.status === 'active').toArray(),
+                this.getAllObjects('facultyAssignments', 'facultyId', currentUser.id)
+            ]);
+            const roles = new Map();
+            enrollments.forEach(enrollment => roles.set(enrollment.sectionId, 'student'));
+            teaching.forEach(assignment => roles.set(assignment.sectionId, 'faculty'));
+
+            const slots = [];
+            for (const [sectionId, role] of roles) {
+                const section = await this.getObject('sections', sectionId);
+                const course = section ? await this.getObject('courses', section.courseCode) : null;
+                const sectionSlots = await this.getAllObjects('timetableSlots', 'sectionId', sectionId);
+
+                sectionSlots.forEach(slot => slots.push({
+                    ...slot,
+                    courseTitle: course?.title || slot.courseCode,
+                    sectionName: section?.name || null,
+                    role: role
+                }));
+            }
+
+            const names = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+            return names.map((name, index) => ({
+                day: index + 1,
+                name: name,
+                slots: slots.filter(slot => slot.day === index + 1)
+                    .sort((a, b) => a.startTime.localeCompare(b.startTime) || a.period - b.period)
+            }));
+        } catch (error) {
+            console.error('Get timetable error:', error);
+            throw error;
+        }
+    }
+
+    // ============================================
+    // ATTENDANCE SYSTEM
+    // ============================================
+
+    // subject is a course code. The student must be enrolled in a section of
+    // the course and the section must meet on the date; period picks the
+    // class when the section meets more than once that day.
+    async markAttendance(attendanceData) {
+        try {
+            const student = await this.getUserById(attendanceData.studentId);
+            const currentUser = await this.authorize('attendance.mark', {
+                ownerId: attendanceData.studentId,
+                course: attendanceData.subject,
+                department: student?.department
+            });
+
+            const status = attendanceData.status || 'present';
+            if (!ATTENDANCE_STATUSES.includes(status)) {
+                throw new Error(`Invalid attendance status: ${status}`);
+            }
+
+            const date = attendanceData.date || new Date().toISOString().split('T')[0];
+            const { course, section, slot } = await this.getScheduledClass(attendanceData.studentId,
+                attendanceData.subject, date, attendanceData.period);
+
+            const duplicate = await this.query('attendance').index('student_date_subject_period')
+                .equals([attendanceData.studentId, date, course.code, slot.period]).first();
+            if (duplicate) {
+                throw new Error(`Attendance for ${attendanceData.studentId} in ${course.code} ` +
+                    `period ${slot.period} on ${date} is already marked`);
+            }
+
+            const attendance = {
+                studentId: attendanceData.studentId,
+                date: date,
+                subject: course.code,
+                sectionId: section.id,
+                period: slot.period,
+                status: status,
+                time: attendanceData.time || new Date().toLocaleTimeString('en-IN'),
+                markedBy: currentUser.id,
+                timestamp: new Date().toISOString(),
+                semester: section.semester,
+                branch: section.branch,
+                remarks: attendanceData.remarks || ''
+            };
+
+            attendance.id = await this.putObject('attendance', attendance);
+            this.emit(NERIST_EVENTS.ATTENDANCE_MARKED, { attendance }, currentUser);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'mark_attendance',
+                `Marked ${attendance.status} for ${attendance.studentId}`,
+                { target: { storeName: 'attendance', key: attendance.id }, after: attendance });
+
+            await this.checkAttendanceShortage(attendance.studentId, currentUser);
+
+            return attendance;
+        } catch (error) {
+            console.error('Mark attendance error:', error);
+            throw error;
+        }
+    }
+
+    async getAttendanceForStudent(studentId, startDate = null, endDate = null) {
+        try {
+            // Newest first; an empty array sorts after every date
+            return await this.query('attendance')
+                .index('student_date')
+                .between([studentId, startDate || ''], [studentId, endDate || []])
+                .reverse()
+                .toArray();
+        } catch (error) {
+            console.error('Get attendance error:', error);
+            throw error;
+        }
+    }
+
+    async getAttendanceByDate(date, subject = null) {
+        try {
+            if (subject) {
+                return await this.query('attendance').index('date_subject').equals([date, subject]).toArray();
+            }
+
+            return await this.query('attendance').index('date').equals(date).toArray();
+        } catch (error) {
+            console.error('Get attendance by date error:', error);
+            throw error;
+        }
+    }
+
+    // period is 'week' (last 7 days), 'month' (last 30), 'semester' (since
+    // the semester_start_date setting, or the last 182 days without one),
+    // 'all', or { from, to } with inclusive ISO dates. The top-level figures
+    // are overall; subjects has the same figures per subject.
+    async getAttendanceStats(studentId, period = 'month') {
+        try {
+            const [range, rules] = await Promise.all([
+                this.getAttendancePeriod(period),
+                this.getAttendanceRules()
+            ]);
+            const attendance = await this.getAttendanceForStudent(studentId, range.from, range.to);
+
+            const bySubject = {};
+            attendance.forEach(record => {
+                (bySubject[record.subject] = bySubject[record.subject] || []).push(record);
+            });
+
+            const subjects = [];
+            for (const [subject, records] of Object.entries(bySubject)) {
+                const course = await this.getObject('courses', subject);
+                subjects.push({ subject, title: course?.title || subject, ...this.summarizeAttendance(records, rules) });
+            }
+            subjects.sort((a, b) => a.subject.localeCompare(b.subject));
+
+            return {
+                ...this.summarizeAttendance(attendance, rules),
+                threshold: rules.threshold,
+                weights: rules.weights,
+                period: range,
+                subjects
+            };
+        } catch (error) {
+            console.error('Get attendance stats error:', error);
+            throw error;
+        }
+    }
+
+    // attended counts late and excused classes at their weights. With t the
+    // threshold and T and A the classes held and attended, reaching t takes
+    // ceil((t*T - A) / (1 - t)) more classes in a row, and staying at or
+    // above it allows floor((A - t*T) / t) more misses.
+    summarizeAttendance(records, rules) {
+        const counts = { present: 0, absent: 0, late: 0, excused: 0 };
+        records.forEach(record => {
+            if (record.status in counts) counts[record.status]++;
+        });
+
+        const total = records.length;
+        const attended = counts.present + counts.late * rules.weights.late + counts.excused * rules.weights.excused;
+        const t = rules.threshold / 100;
+        const shortfall = t * total - attended;
+        // Weighted counts are fractional; keep float noise from tipping a boundary case
+        const epsilon = 1e-9;
+
+        let classesNeeded = 0;
+        let canMiss = 0;
+        if (total > 0 && shortfall > epsilon) {
+            classesNeeded = t < 1 ? Math.ceil(shortfall / (1 - t) - epsilon) : null;
+        } else if (total > 0) {
+            canMiss = t > 0 ? Math.floor(-shortfall / t + epsilon) : null;
+        }
+
+        return {
+            total,
+            ...counts,
+            attended: Math.round(attended * 100) / 100,
+            percentage: total > 0 ? Math.round(attended / total * 1000) / 10 : 0,
+            belowThreshold: total > 0 && shortfall > epsilon,
+            classesNeeded,
+            canMiss
+        };
+    }
+
+    async getAttendancePeriod(period) {
+        const today = new Date().toISOString().split('T')[0];
+        const daysBack = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+        if (period && typeof period === 'object') {
+            const date = /^\d{4}-\d{2}-\d{2}$/;
+            if ((period.from && !date.test(period.from)) || (period.to && !date.test(period.to))) {
+                throw new Error('A custom period needs from and to as YYYY-MM-DD');
+            }
+            return { name: 'custom', from: period.from || null, to: period.to || null };
+        }
+
+        switch (period) {
+            case 'week':
+                return { name: period, from: daysBack(6), to: today };
+            case 'month':
+                return { name: period, from: daysBack(29), to: today };
+            case 'semester':
+                return { name: period, from: await this.getSystemSetting('semester_start_date') || daysBack(181), to: today };
+            case 'all':
+                return { name: period, from: null, to: null };
+            default:
+                throw new Error(`Unknown attendance period: ${period}`);
+        }
+    }
+
+    // Weights are between 0 (counts as absent) and 1 (counts as present)
+    async getAttendanceRules() {
+        const [threshold, late, excused] = await Promise.all([
+            this.getNumericSetting('attendance_threshold', 75),
+            this.getNumericSetting('attendance_late_weight', 0.5),
+            this.getNumericSetting('attendance_excused_weight', 1)
+        ]);
+        return { threshold, weights: { late, excused } };
+    }
+
+    // Warns a student once per subject when their semester attendance there
+    // falls below the threshold, after attendance_shortage_min_classes
+    // classes. The warning re-arms once they are back above it. Never throws:
+    // a failed check must not fail the attendance write that triggered it.
+    async checkAttendanceShortage(studentIds, actor = this.currentUser) {
+        try {
+            const minClasses = await this.getNumericSetting('attendance_shortage_min_classes', 5);
+
+            for (const studentId of [].concat(studentIds)) {
+                const stats = await this.getAttendanceStats(studentId, 'semester');
+
+                for (const subject of stats.subjects) {
+                    const id = `${studentId}:${subject.subject}`;
+                    const short = subject.belowThreshold && subject.total >= minClasses;
+                    const now = new Date().toISOString();
+
+                    // Read and written together so two tabs never both send the warning
+                    const warn = await this.withTransaction('attendanceWarnings', 'readwrite', async tx => {
+                        const warning = await tx.get('attendanceWarnings', id);
+                        if (short && !warning?.active) {
+                            await tx.put('attendanceWarnings', {
+                                id, studentId, subject: subject.subject, active: true, percentage: subject.percentage, warnedAt: now
+                            });
+                            return true;
+                        }
+                        if (!short && warning?.active) {
+                            await tx.put('attendanceWarnings', { ...warning, active: false, recoveredAt: now });
+                        }
+                        return false;
+                    });
+                    if (!warn) continue;
+
+                    this.emit(NERIST_EVENTS.ATTENDANCE_SHORTAGE, {
+                        studentId,
+                        subject: subject.subject,
+                        percentage: subject.percentage,
+                        threshold: stats.threshold,
+                        classesNeeded: subject.classesNeeded
+                    }, actor);
+
+                    const student = await this.getUserById(studentId);
+                    if (student?.email && student.emailPreferences?.attendance !== false) {
+                        await this.sendMail({
+                            to: student.email,
+                            subject: `Attendance shortage in ${subject.title}`,
+                            text: `Hello ${student.name},\n\n` +
+                                `Your attendance in ${subject.title} this semester is ${subject.percentage}%, ` +
+                                `below the required ${stats.threshold}%. ` +
+                                (subject.classesNeeded !== null
+                                    ? `Attend the next ${subject.classesNeeded} classes to get back to it.`
+                                    : 'Every class counts from here on.'),
+                            template: 'attendance_shortage',
+                            userId: studentId
+                        });
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Attendance shortage check error:', error);
+        }
+    }
+
+    async updateAttendance(attendanceId, updates) {
+        try {
+            const attendance = await this.getObject('attendance', attendanceId);
+            if (!attendance) {
+                throw new Error('Attendance record not found');
+            }
+
+            const currentUser = await this.authorize('attendance.edit',
+                await this.getAttendanceResource(attendance));
+            await this.assertSessionEditable(attendance.sessionId);
+
+            // The student, class and date were checked against enrollments and
+            // the timetable when the record was marked; only the outcome can change
+            const fixed = Object.keys(updates || {}).filter(field => field !== 'status' && field !== 'remarks');
+            if (fixed.length > 0) {
+                throw new Error(`Only status and remarks can be updated, not ${fixed.join(', ')}`);
+            }
+            if ('status' in updates && !ATTENDANCE_STATUSES.includes(updates.status)) {
+                throw new Error(`Invalid attendance status: ${updates.status}`);
+            }
+
+            // Update record
+            const updatedAttendance = {
+                ...attendance,
+                ...updates,
+                updatedAt: new Date().toISOString(),
+                updatedBy: currentUser.id
+            };
+
+            await this.putObject('attendance', updatedAttendance);
+            this.emit(NERIST_EVENTS.ATTENDANCE_UPDATED,
+                { attendance: updatedAttendance, previous: attendance }, currentUser);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'update_attendance',
+                `Updated attendance record ${attendanceId}`,
+                { target: { storeName: 'attendance', key: attendanceId }, before: attendance, after: updatedAttendance });
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+            await this.checkAttendanceShortage(attendance.studentId, currentUser);
+
+            return updatedAttendance;
+        } catch (error) {
+            console.error('Update attendance error:', error);
+            throw error;
+        }
     }
 
-    async deleteObject(storeName, key) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([storeName], 'readwrite');
-            const store = transaction.objectStore(storeName);
-            const request = store.delete(key);
+    async deleteAttendance(attendanceId) {
+        try {
+            const attendance = await this.getObject('attendance', attendanceId);
+            if (!attendance) {
+                throw new Error('Attendance record not found');
+            }
 
-            request.onsuccess = () => resolve(true);
-            request.onerror = () => reject(request.error);
-        });
-    }
+            const currentUser = await this.authorize('attendance.delete',
+                await this.getAttendanceResource(attendance));
+            await this.assertSessionEditable(attendance.sessionId);
 
-    async countObjects(storeName, indexName = null, query = null) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([storeName], 'readonly');
-            const store = transaction.objectStore(storeName);
+            await this.deleteObject('attendance', attendanceId);
+            this.emit(NERIST_EVENTS.ATTENDANCE_DELETED, { attendanceId, attendance }, currentUser);
 
-            let request;
-            if (indexName && query) {
-                const index = store.index(indexName);
-                request = index.count(query);
-            } else if (indexName) {
-                const index = store.index(indexName);
-                request = index.count();
-            } else {
-                request = store.count();
-            }
+            // Log activity
+            await this.logActivity(currentUser.id, 'delete_attendance',
+                `Deleted attendance record ${attendanceId}`,
+                { target: { storeName: 'attendance', key: attendanceId }, before: attendance });
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+            await this.checkAttendanceShortage(attendance.studentId, currentUser);
+
+            return true;
+        } catch (error) {
+            console.error('Delete attendance error:', error);
+            throw error;
+        }
     }
 
     // ============================================
-    // USER MANAGEMENT
+    // ATTENDANCE SESSIONS
     // ============================================
 
-    async registerUser(userData) {
+    // A session is one meeting of a section: a date and a period. Its roster
+    // starts with every enrolled student present; faculty change the
+    // exceptions, then submit, which writes the whole roster in one
+    // transaction. Sessions and their records can be changed until
+    // attendance_session_lock_hours (default 48) after the class ends.
+
+    async openAttendanceSession(sectionId, date, period) {
         try {
-            // Validate required fields
-            if (!userData.username || !userData.password || !userData.email || !userData.role) {
-                throw new Error('Missing required fields');
+            const section = await this.getObject('sections', sectionId);
+            if (!section) {
+                throw new Error('Section not found');
             }
+            const currentUser = await this.authorize('attendance.mark', await this.getSectionResource(section));
 
-            // Check if username or email already exists
-            const existingUser = await this.getUserByUsername(userData.username);
-            if (existingUser) {
-                throw new Error('Username already exists');
+            const slot = await this.getObject('timetableSlots', `${sectionId}:${this.getWeekday(date)}:${Number(period)}`);
+            if (!slot) {
+                throw new Error(`${sectionId} has no class in period ${period} on ${date}`);
             }
 
-            const existingEmail = await this.getUserByEmail(userData.email);
-            if (existingEmail) {
-                throw new Error('Email already registered');
+            const id = `${sectionId}:${date}:${slot.period}`;
+            const existing = await this.getObject('attendanceSessions', id);
+            if (existing) {
+                return await this.describeAttendanceSession(existing);
             }
 
-            // Generate user ID
-            const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-            // Create user object
-            const user = {
-                id: userId,
-                username: userData.username,
-                password: this.hashPassword(userData.password), // In production, use proper hashing
-                email: userData.email,
-                name: userData.name || userData.username,
-                role: userData.role,
-                department: userData.department || '',
-                year: userData.year || '',
-                avatarColor: userData.avatarColor || 'primary',
-                emailPreferences: userData.emailPreferences || {
-                    attendance: true,
-                    mess: true,
-                    career: true,
-                    alerts: true
-                },
-                notificationSettings: userData.notificationSettings || {
-                    pushEnabled: true,
-                    soundEnabled: true,
-                    vibrationEnabled: true
-                },
-                createdAt: new Date().toISOString(),
-                lastLogin: null,
-                isActive: true
+            const session = {
+                id: id,
+                sectionId: sectionId,
+                courseCode: section.courseCode,
+                date: date,
+                period: slot.period,
+                startTime: slot.startTime,
+                endTime: slot.endTime,
+                status: 'open',
+                roster: {},
+                openedBy: currentUser.id,
+                openedAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString(),
+                submittedBy: null,
+                submittedAt: null
             };
+            await this.assertSessionEditable(session);
 
-            // Save to database
-            await this.putObject('users', user);
+            const enrollments = await this.query('enrollments').index('sectionId').equals(sectionId)
+                .filter(enrollment => enrollment.status === 'active').toArray();
+            enrollments.forEach(enrollment => {
+                session.roster[enrollment.studentId] = 'present';
+            });
+
+            await this.putObject('attendanceSessions', session);
 
             // Log activity
-            await this.logActivity(userId, 'register', 'User registered');
+            await this.logActivity(currentUser.id, 'open_attendance_session',
+                `Opened attendance for ${id} with ${enrollments.length} students`);
 
-            // Return user without password
-            const { password, ...userWithoutPassword } = user;
-            return userWithoutPassword;
+            return await this.describeAttendanceSession(session);
         } catch (error) {
-            console.error('Registration error:', error);
+            console.error('Open attendance session error:', error);
             throw error;
         }
     }
 
-    async login(username, password) {
+    async getAttendanceSession(sessionId) {
         try {
-            // Get user by username
-            const user = await this.getUserByUsername(username);
-
-            if (!user) {
-                throw new Error('User not found');
-            }
-
-            if (!user.isActive) {
-                throw new Error('Account is deactivated');
-            }
-
-            // Verify password (in production, use proper password verification)
-            const hashedPassword = this.hashPassword(password);
-            if (user.password !== hashedPassword) {
-                throw new Error('Invalid password');
+            const session = await this.getObject('attendanceSessions', sessionId);
+            if (!session) {
+                throw new Error('Attendance session not found');
             }
+            await this.authorize('attendance.view', await this.getSectionResource(session));
 
-            // Update last login
-            user.lastLogin = new Date().toISOString();
-            await this.putObject('users', user);
-
-            // Create session
-            await this.createSession(user);
-
-            // Log activity
-            await this.logActivity(user.id, 'login', 'User logged in');
-
-            // Return user without password
-            const { password: _, ...userWithoutPassword } = user;
-            this.currentUser = userWithoutPassword;
-
-            return userWithoutPassword;
+            return await this.describeAttendanceSession(session);
         } catch (error) {
-            console.error('Login error:', error);
+            console.error('Get attendance session error:', error);
             throw error;
         }
     }
 
-    async logout() {
+    // statuses is { studentId: status } for the students to change. A
+    // submitted session goes back to open until it is submitted again.
+    async updateAttendanceSession(sessionId, statuses) {
         try {
-            if (this.currentUser) {
-                await this.logActivity(this.currentUser.id, 'logout', 'User logged out');
+            const session = await this.getObject('attendanceSessions', sessionId);
+            if (!session) {
+                throw new Error('Attendance session not found');
             }
+            const currentUser = await this.authorize('attendance.mark', await this.getSectionResource(session));
+            await this.assertSessionEditable(session);
 
-            localStorage.removeItem('nerist_session');
-            localStorage.removeItem('nerist_token');
-            this.currentUser = null;
+            Object.entries(statuses || {}).forEach(([studentId, status]) => {
+                if (!(studentId in session.roster)) {
+                    throw new Error(`${studentId} is not on the roster of ${sessionId}`);
+                }
+                if (!ATTENDANCE_STATUSES.includes(status)) {
+                    throw new Error(`Invalid attendance status: ${status}`);
+                }
+            });
 
-            return true;
+            const updated = {
+                ...session,
+                roster: { ...session.roster, ...statuses },
+                status: 'open',
+                updatedAt: new Date().toISOString()
+            };
+            await this.putObject('attendanceSessions', updated);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'update_attendance_session',
+                `Changed ${Object.keys(statuses || {}).length} students in ${sessionId}`,
+                { target: { storeName: 'attendanceSessions', key: sessionId }, before: session, after: updated });
+
+            return await this.describeAttendanceSession(updated);
         } catch (error) {
-            console.error('Logout error:', error);
+            console.error('Update attendance session error:', error);
             throw error;
         }
     }
 
-    async getCurrentUser() {
+    // Writes one attendance record per roster entry, updating the records of
+    // an earlier submit. Either every record is written or none is.
+    async submitAttendanceSession(sessionId) {
         try {
-            // Check if already in memory
-            if (this.currentUser) {
-                return this.currentUser;
-            }
-
-            // Check session
-            const session = localStorage.getItem('nerist_session');
+            let session = await this.getObject('attendanceSessions', sessionId);
             if (!session) {
-                return null;
+                throw new Error('Attendance session not found');
             }
+            const section = await this.getObject('sections', session.sectionId);
+            const currentUser = await this.authorize('attendance.mark', await this.getSectionResource(section || session));
+            await this.assertSessionEditable(session);
 
-            const sessionData = JSON.parse(session);
-            const user = await this.getUserById(sessionData.userId);
+            // QR check-ins pulled since the roster was last saved count too
+            if (await this.settleCheckIns(sessionId) > 0) {
+                session = await this.getObject('attendanceSessions', sessionId);
+            }
 
-            if (user && user.isActive) {
-                const { password, ...userWithoutPassword } = user;
-                this.currentUser = userWithoutPassword;
-                return userWithoutPassword;
+            // Encryption has to happen before the transaction opens
+            const now = new Date().toISOString();
+            const records = {};
+            for (const [studentId, status] of Object.entries(session.roster)) {
+                records[studentId] = await this.sealRecord('attendance', {
+                    studentId: studentId,
+                    date: session.date,
+                    subject: session.courseCode,
+                    sectionId: session.sectionId,
+                    period: session.period,
+                    sessionId: session.id,
+                    status: status,
+                    time: session.startTime,
+                    markedBy: currentUser.id,
+                    timestamp: now,
+                    semester: section?.semester,
+                    branch: section?.branch,
+                    remarks: ''
+                });
             }
 
-            return null;
+            const submitted = { ...session, status: 'submitted', submittedBy: currentUser.id, submittedAt: now, updatedAt: now };
+            const counts = await this.withTransaction(['attendanceSessions', 'attendance'], 'readwrite', async tx => {
+                const stored = await tx.get('attendanceSessions', sessionId);
+                if (!stored || stored.updatedAt !== session.updatedAt) {
+                    throw new Error('The session changed while it was being submitted; try again');
+                }
+
+                const result = { created: 0, updated: 0, unchanged: 0 };
+                for (const [studentId, record] of Object.entries(records)) {
+                    const [existing] = await tx.getAll('attendance', 'student_date_subject_period',
+                        [studentId, session.date, session.courseCode, session.period]);
+
+                    if (!existing) {
+                        await tx.put('attendance', record);
+                        result.created++;
+                    } else if (existing.status === record.status && existing.sessionId === sessionId) {
+                        result.unchanged++;
+                    } else {
+                        await tx.put('attendance', {
+                            ...existing,
+                            status: record.status,
+                            sessionId: sessionId,
+                            updatedAt: now,
+                            updatedBy: currentUser.id
+                        });
+                        result.updated++;
+                    }
+                }
+
+                await tx.put('attendanceSessions', submitted);
+                tx.emit(NERIST_EVENTS.ATTENDANCE_SESSION_SUBMITTED, { session: submitted, counts: result }, currentUser);
+                return result;
+            });
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'submit_attendance_session',
+                `Submitted ${sessionId}: ${counts.created} new, ${counts.updated} changed`,
+                { target: { storeName: 'attendanceSessions', key: sessionId }, before: session, after: submitted });
+
+            await this.checkAttendanceShortage(Object.keys(session.roster), currentUser);
+
+            return { session: await this.describeAttendanceSession(submitted), counts };
         } catch (error) {
-            console.error('Get current user error:', error);
-            return null;
+            console.error('Submit attendance session error:', error);
+            throw error;
         }
     }
 
-    async getUserById(userId) {
-        return this.getObject('users', userId);
+    async getSectionResource(section) {
+        const course = await this.getObject('courses', section.courseCode);
+        return { course: section.courseCode, department: course?.department };
     }
 
-    async getUserByUsername(username) {
-        const users = await this.getAllObjects('users', 'username', username);
-        return users[0] || null;
+    // The roster as a list with names, plus when the session locks
+    async describeAttendanceSession(session) {
+        const roster = [];
+        for (const [studentId, status] of Object.entries(session.roster)) {
+            const student = await this.getUserById(studentId);
+            roster.push({ studentId, name: student?.name || studentId, status });
+        }
+        roster.sort((a, b) => a.name.localeCompare(b.name));
+
+        return { ...session, roster, lockAt: (await this.getSessionLockTime(session)).toISOString() };
     }
 
-    async getUserByEmail(email) {
-        const users = await this.getAllObjects('users', 'email', email);
-        return users[0] || null;
+    async getSessionLockTime(session) {
+        const hours = await this.getNumericSetting('attendance_session_lock_hours', 48);
+        const classEnd = new Date(`${session.date}T${session.endTime}:00`);
+        return new Date(classEnd.getTime() + hours * 60 * 60 * 1000);
     }
 
-    async updateUserProfile(userId, updates) {
+    // Takes a session or its id; records marked outside a session have none
+    async assertSessionEditable(session) {
+        if (typeof session === 'string') {
+            session = await this.getObject('attendanceSessions', session);
+        }
+        if (!session) return;
+
+        const lockAt = await this.getSessionLockTime(session);
+        if (new Date() >= lockAt) {
+            throw new Error(`Attendance for ${session.id} was locked at ${lockAt.toISOString()}`);
+        }
+    }
+
+    // ============================================
+    // QR CHECK-IN
+    // ============================================
+
+    // A check-in window belongs to an attendance session. The projector shows
+    // getCheckInToken() as a QR code; each token is "<windowId>.<step>.<sig>",
+    // signed with the window's ECDSA key and valid for its step and the one
+    // after it. Windows replicate without their private key, so a student's
+    // own device verifies the token and records the check-in in checkIns;
+    // the faculty's device verifies it again when it folds check-ins into
+    // the session roster on close or submit.
+
+    async startCheckInWindow(sessionId, options = {}) {
         try {
-            const user = await this.getUserById(userId);
-            if (!user) {
-                throw new Error('User not found');
+            const session = await this.getObject('attendanceSessions', sessionId);
+            if (!session) {
+                throw new Error('Attendance session not found');
             }
+            const currentUser = await this.authorize('attendance.mark', await this.getSectionResource(session));
+            await this.assertSessionEditable(session);
 
-            // Prevent updating certain fields
-            const restrictedFields = ['id', 'username', 'role', 'createdAt'];
-            restrictedFields.forEach(field => {
-                if (updates[field]) {
-                    delete updates[field];
-                }
-            });
+            const { durationMinutes = 10, rotateSeconds = 10 } = options;
+            if (!(durationMinutes > 0 && durationMinutes <= 60)) {
+                throw new Error('A check-in window lasts between 1 and 60 minutes');
+            }
+            if (!Number.isInteger(rotateSeconds) || rotateSeconds < 5 || rotateSeconds > 60) {
+                throw new Error('Codes rotate every 5 to 60 seconds');
+            }
 
-            // Update user
-            const updatedUser = { ...user, ...updates };
-            await this.putObject('users', updatedUser);
+            const keyPair = await this.crypto.subtle.generateKey(
+                { name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']
+            );
+            const [publicKey, privateKey] = await Promise.all([
+                this.crypto.subtle.exportKey('spki', keyPair.publicKey),
+                this.crypto.subtle.exportKey('pkcs8', keyPair.privateKey)
+            ]);
+
+            const now = new Date();
+            const checkInWindow = {
+                id: this.generateSessionId(),
+                sessionId: sessionId,
+                publicKey: this.bytesToBase64(new Uint8Array(publicKey)),
+                privateKey: this.bytesToBase64(new Uint8Array(privateKey)),
+                rotateSeconds: rotateSeconds,
+                startedBy: currentUser.id,
+                startedAt: now.toISOString(),
+                endsAt: new Date(now.getTime() + durationMinutes * 60 * 1000).toISOString(),
+                closedAt: null
+            };
+
+            await this.withTransaction(['attendanceSessions', 'checkInWindows'], 'readwrite', async tx => {
+                const stored = await tx.get('attendanceSessions', sessionId);
+
+                // Students marked present by default are absent until they check in
+                const roster = {};
+                Object.entries(stored.roster).forEach(([studentId, status]) => {
+                    roster[studentId] = status === 'present' ? 'absent' : status;
+                });
+
+                await tx.put('attendanceSessions', { ...stored, roster, status: 'open', updatedAt: now.toISOString() });
+                await tx.put('checkInWindows', checkInWindow);
+            });
 
             // Log activity
-            await this.logActivity(userId, 'update_profile', 'Profile updated');
+            await this.logActivity(currentUser.id, 'start_check_in', `Started QR check-in for ${sessionId}`);
 
-            // Return without password
-            const { password, ...userWithoutPassword } = updatedUser;
-            return userWithoutPassword;
+            return await this.describeCheckInWindow(checkInWindow);
         } catch (error) {
-            console.error('Update profile error:', error);
+            console.error('Start check-in window error:', error);
             throw error;
         }
     }
 
-    async changePassword(userId, oldPassword, newPassword) {
+    // For the projector; call again when expiresAt passes
+    async getCheckInToken(windowId) {
         try {
-            const user = await this.getUserById(userId);
-            if (!user) {
-                throw new Error('User not found');
+            const checkInWindow = await this.getActiveCheckInWindow(windowId);
+            const session = await this.getObject('attendanceSessions', checkInWindow.sessionId);
+            await this.authorize('attendance.mark', await this.getSectionResource(session));
+            if (!checkInWindow.privateKey) {
+                throw new Error('Codes for this check-in are shown on the device that started it');
             }
 
-            // Verify old password
-            if (user.password !== this.hashPassword(oldPassword)) {
-                throw new Error('Current password is incorrect');
-            }
-
-            // Update password
-            user.password = this.hashPassword(newPassword);
-            await this.putObject('users', user);
-
-            // Log activity
-            await this.logActivity(userId, 'change_password', 'Password changed');
+            const step = this.getCheckInStep(checkInWindow, Date.now());
+            const stepMs = checkInWindow.rotateSeconds * 1000;
 
-            return true;
+            return {
+                token: `${checkInWindow.id}.${step}.${await this.signCheckInStep(checkInWindow, step)}`,
+                step: step,
+                expiresAt: new Date(Date.parse(checkInWindow.startedAt) + (step + 1) * stepMs).toISOString(),
+                endsAt: checkInWindow.endsAt
+            };
         } catch (error) {
-            console.error('Change password error:', error);
+            console.error('Get check-in token error:', error);
             throw error;
         }
     }
 
-    // ============================================
-    // ATTENDANCE SYSTEM
-    // ============================================
-
-    async markAttendance(attendanceData) {
+    // Called by the student with the scanned token and, where the device has
+    // one, position { latitude, longitude, accuracy } (accuracy in metres).
+    // A window started on another device is pulled first if it is not here
+    // yet, and the check-in is pushed straight after; one that cannot be
+    // pushed now goes with the next sync. An expired but genuine token is a
+    // replay and is flagged; so is a second student checking in from a
+    // device that already checked someone in. Check-ins that cannot be
+    // placed inside the classroom's building wait in attendanceReports as a
+    // geofence_review instead of counting.
+    async checkIn(token, position = null) {
         try {
             const currentUser = await this.getCurrentUser();
             if (!currentUser) {
                 throw new Error('Not authenticated');
             }
 
-            const attendance = {
-                studentId: attendanceData.studentId,
-                date: attendanceData.date || new Date().toISOString().split('T')[0],
-                subject: attendanceData.subject,
-                status: attendanceData.status || 'present',
-                time: attendanceData.time || new Date().toLocaleTimeString('en-IN'),
-                markedBy: currentUser.id,
-                timestamp: new Date().toISOString(),
-                semester: attendanceData.semester,
-                branch: attendanceData.branch,
-                remarks: attendanceData.remarks || ''
-            };
+            const match = this.parseCheckInToken(token);
+            let checkInWindow = match ? await this.getObject('checkInWindows', match.windowId) : null;
+            if (match && !checkInWindow && this.isSyncEnabled()) {
+                await this.syncNow();
+                checkInWindow = await this.getObject('checkInWindows', match.windowId);
+            }
+            if (!checkInWindow || !(await this.verifyCheckInStep(checkInWindow, match.step, match.signature))) {
+                throw new Error('Invalid check-in code');
+            }
+            const step = match.step;
+
+            const now = Date.now();
+            if (checkInWindow.closedAt || now >= Date.parse(checkInWindow.endsAt)) {
+                throw new Error('Check-in for this class has closed');
+            }
+
+            const currentStep = this.getCheckInStep(checkInWindow, now);
+            if (step > currentStep) {
+                throw new Error('Invalid check-in code');
+            }
+            if (currentStep - step > 1) {
+                await this.flagCheckIn(checkInWindow, currentUser.id, {
+                    type: 'replay',
+                    studentId: currentUser.id,
+                    detail: `Code from ${(currentStep - step) * checkInWindow.rotateSeconds}s earlier`
+                });
+                throw new Error('This check-in code has expired; scan the current one');
+            }
+
+            const session = await this.getObject('attendanceSessions', checkInWindow.sessionId);
+            if (!session || !(currentUser.id in session.roster)) {
+                throw new Error('You are not enrolled in this class');
+            }
+            await this.assertSessionEditable(session);
+
+            const geofence = await this.checkGeofence(session, position);
+            const deviceId = this.getDeviceId();
+            const result = await this.withTransaction(['checkIns', 'attendanceReports'], 'readwrite', async tx => {
+                const id = `${checkInWindow.id}:${currentUser.id}`;
+                const previous = await tx.get('checkIns', id);
+                const previousStatus = previous ? previous.status : null;
+                if (previousStatus === 'present' || (previousStatus === 'pending_review' && !geofence.passed)) {
+                    return { alreadyCheckedIn: true, flagged: false, pendingReview: previousStatus === 'pending_review' };
+                }
+
+                const checkedInAt = new Date(now).toISOString();
+                const record = {
+                    id: id,
+                    windowId: checkInWindow.id,
+                    sessionId: checkInWindow.sessionId,
+                    studentId: currentUser.id,
+                    token: `${checkInWindow.id}.${step}.${match.signature}`,
+                    step: step,
+                    at: checkedInAt,
+                    deviceId: deviceId,
+                    geofence: geofence.reason,
+                    status: 'present',
+                    reviewId: null,
+                    flags: previous ? previous.flags : [],
+                    settledAt: null
+                };
+
+                const sharedWith = (await tx.getAll('checkIns', 'windowId', checkInWindow.id))
+                    .filter(other => other.studentId !== currentUser.id && other.token && other.deviceId === deviceId)
+                    .map(other => other.studentId);
+                if (sharedWith.length > 0) {
+                    const flag = { type: 'shared_device', studentId: currentUser.id, deviceId, sharedWith, at: checkedInAt };
+                    record.flags = [...record.flags, flag];
+                    tx.emit(NERIST_EVENTS.CHECK_IN_FLAGGED,
+                        { windowId: checkInWindow.id, sessionId: checkInWindow.sessionId, facultyId: checkInWindow.startedBy, flag });
+                }
 
-            await this.putObject('attendance', attendance);
+                if (!geofence.passed) {
+                    const report = {
+                        type: 'geofence_review',
+                        studentId: currentUser.id,
+                        subject: session.courseCode,
+                        sessionId: session.id,
+                        windowId: checkInWindow.id,
+                        date: session.date,
+                        period: session.period,
+                        locationId: geofence.locationId,
+                        position: position,
+                        distanceMeters: geofence.distance,
+                        reason: geofence.reason,
+                        submittedAt: checkedInAt,
+                        status: 'pending',
+                        reviewedBy: null,
+                        reviewedAt: null,
+                        resolution: null
+                    };
+                    report.id = await tx.put('attendanceReports', report);
+                    await tx.put('checkIns', { ...record, status: 'pending_review', reviewId: report.id });
+                    tx.emit(NERIST_EVENTS.REPORT_SUBMITTED, { report }, currentUser);
+
+                    return { alreadyCheckedIn: false, flagged: sharedWith.length > 0, pendingReview: true, reportId: report.id };
+                }
+
+                await tx.put('checkIns', record);
+
+                return { alreadyCheckedIn: false, flagged: sharedWith.length > 0, pendingReview: false };
+            });
 
             // Log activity
-            await this.logActivity(currentUser.id, 'mark_attendance',
-                `Marked ${attendance.status} for ${attendance.studentId}`);
+            if (!result.alreadyCheckedIn) {
+                await this.logActivity(currentUser.id, 'check_in', result.pendingReview
+                    ? `Checked in to ${checkInWindow.sessionId} from outside the classroom (${geofence.reason})`
+                    : `Checked in to ${checkInWindow.sessionId}`);
 
-            return attendance;
+                if (this.isSyncEnabled()) {
+                    await this.syncNow().catch(error => console.error('Check-in sync error:', error));
+                }
+            }
+
+            return {
+                sessionId: checkInWindow.sessionId,
+                status: result.pendingReview ? 'pending_review' : 'present',
+                ...result
+            };
         } catch (error) {
-            console.error('Mark attendance error:', error);
+            console.error('Check in error:', error);
             throw error;
         }
     }
 
-    async getAttendanceForStudent(studentId, startDate = null, endDate = null) {
+    async getCheckInWindow(windowId) {
         try {
-            let attendance = await this.getAllObjects('attendance', 'studentId', studentId);
+            const checkInWindow = await this.getObject('checkInWindows', windowId);
+            if (!checkInWindow) {
+                throw new Error('Check-in window not found');
+            }
+            const session = await this.getObject('attendanceSessions', checkInWindow.sessionId);
+            await this.authorize('attendance.view', await this.getSectionResource(session));
+
+            return await this.describeCheckInWindow(checkInWindow);
+        } catch (error) {
+            console.error('Get check-in window error:', error);
+            throw error;
+        }
+    }
 
-            // Filter by date range
-            if (startDate) {
-                attendance = attendance.filter(a => a.date >= startDate);
+    // Ends the window early or after it has run out, and by default submits
+    // the session so the check-ins become attendance records. Check-ins
+    // still on their way from students' devices are pulled first.
+    async closeCheckInWindow(windowId, options = {}) {
+        try {
+            const checkInWindow = await this.getObject('checkInWindows', windowId);
+            if (!checkInWindow) {
+                throw new Error('Check-in window not found');
             }
-            if (endDate) {
-                attendance = attendance.filter(a => a.date <= endDate);
+            const session = await this.getObject('attendanceSessions', checkInWindow.sessionId);
+            const currentUser = await this.authorize('attendance.mark', await this.getSectionResource(session));
+
+            if (this.isSyncEnabled()) {
+                await this.syncNow().catch(error => console.error('Check-in sync error:', error));
             }
 
-            // Sort by date (newest first)
-            attendance.sort((a, b) => new Date(b.date) - new Date(a.date));
+            const closed = { ...checkInWindow, closedAt: checkInWindow.closedAt || new Date().toISOString() };
+            await this.putObject('checkInWindows', closed);
+            await this.settleCheckIns(closed.sessionId);
 
-            return attendance;
+            const described = await this.describeCheckInWindow(closed);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'close_check_in',
+                `Closed QR check-in for ${closed.sessionId}: ${Object.keys(described.checkIns).length} checked in`);
+
+            const submitted = options.submit === false ? null : await this.submitAttendanceSession(closed.sessionId);
+            return { window: described, submitted };
         } catch (error) {
-            console.error('Get attendance error:', error);
+            console.error('Close check-in window error:', error);
             throw error;
         }
     }
 
-    async getAttendanceByDate(date, subject = null) {
-        try {
-            let attendance = await this.getAllObjects('attendance', 'date', date);
+    // Counts the session's verified check-ins present on the roster. Each is
+    // settled once, so a faculty correction made afterwards stands.
+    async settleCheckIns(sessionId) {
+        const settled = [];
+        for (const checkInWindow of await this.getAllObjects('checkInWindows', 'sessionId', sessionId)) {
+            for (const checkIn of await this.getAllObjects('checkIns', 'windowId', checkInWindow.id)) {
+                if (checkIn.status === 'present' && !checkIn.settledAt &&
+                    await this.isValidCheckIn(checkInWindow, checkIn)) {
+                    settled.push(checkIn);
+                }
+            }
+        }
+        if (settled.length === 0) return 0;
+
+        await this.withTransaction(['attendanceSessions', 'checkIns'], 'readwrite', async tx => {
+            const stored = await tx.get('attendanceSessions', sessionId);
+            const now = new Date().toISOString();
+            const roster = { ...stored.roster };
+            settled.forEach(checkIn => {
+                if (checkIn.studentId in roster) roster[checkIn.studentId] = 'present';
+            });
 
-            if (subject) {
-                attendance = attendance.filter(a => a.subject === subject);
+            await tx.put('attendanceSessions', { ...stored, roster, updatedAt: now });
+            for (const checkIn of settled) {
+                await tx.put('checkIns', { ...checkIn, settledAt: now });
             }
+        });
+        return settled.length;
+    }
+
+    // A check-in pulled from another device counts only if its token is
+    // genuine and was scanned, before the window ended, no more than one
+    // step after it was shown
+    async isValidCheckIn(checkInWindow, checkIn) {
+        const match = this.parseCheckInToken(checkIn.token);
+        if (!match || match.windowId !== checkInWindow.id || match.step !== checkIn.step) {
+            return false;
+        }
+
+        const at = Date.parse(checkIn.at);
+        const endsAt = Math.min(Date.parse(checkInWindow.endsAt),
+            checkInWindow.closedAt ? Date.parse(checkInWindow.closedAt) : Infinity);
+        const stepAt = this.getCheckInStep(checkInWindow, at);
+        if (!(at < endsAt) || match.step > stepAt || stepAt - match.step > 1) {
+            return false;
+        }
+        return this.verifyCheckInStep(checkInWindow, match.step, match.signature);
+    }
 
-            return attendance;
-        } catch (error) {
-            console.error('Get attendance by date error:', error);
-            throw error;
+    async getActiveCheckInWindow(windowId) {
+        const checkInWindow = await this.getObject('checkInWindows', windowId);
+        if (!checkInWindow) {
+            throw new Error('Check-in window not found');
         }
+        if (checkInWindow.closedAt || Date.now() >= Date.parse(checkInWindow.endsAt)) {
+            throw new Error('Check-in for this class has closed');
+        }
+        return checkInWindow;
     }
 
-    async getAttendanceStats(studentId, period = 'month') {
-        try {
-            const attendance = await this.getAttendanceForStudent(studentId);
+    getCheckInStep(checkInWindow, time) {
+        return Math.floor((time - Date.parse(checkInWindow.startedAt)) / (checkInWindow.rotateSeconds * 1000));
+    }
 
-            if (attendance.length === 0) {
-                return {
-                    total: 0,
-                    present: 0,
-                    absent: 0,
-                    late: 0,
-                    percentage: 0
-                };
-            }
+    parseCheckInToken(token) {
+        const match = /^([0-9a-f]{32})\.(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(token || '').trim());
+        return match ? { windowId: match[1], step: Number(match[2]), signature: match[3] } : null;
+    }
 
-            const total = attendance.length;
-            const present = attendance.filter(a => a.status === 'present').length;
-            const absent = attendance.filter(a => a.status === 'absent').length;
-            const late = attendance.filter(a => a.status === 'late').length;
-            const percentage = Math.round((present / total) * 100);
+    // ECDSA P-256 over "<windowId>.<step>" with the window's private key
+    async signCheckInStep(checkInWindow, step) {
+        const key = await this.crypto.subtle.importKey(
+            'pkcs8', this.base64ToBytes(checkInWindow.privateKey), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']
+        );
+        const signature = await this.crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' }, key, new TextEncoder().encode(`${checkInWindow.id}.${step}`)
+        );
+        return this.toBase64Url(new Uint8Array(signature));
+    }
 
-            return {
-                total,
-                present,
-                absent,
-                late,
-                percentage
-            };
-        } catch (error) {
-            console.error('Get attendance stats error:', error);
-            throw error;
-        }
+    async verifyCheckInStep(checkInWindow, step, signature) {
+        if (!checkInWindow.publicKey) return false;
+
+        const key = await this.crypto.subtle.importKey(
+            'spki', this.base64ToBytes(checkInWindow.publicKey), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']
+        );
+        return this.crypto.subtle.verify(
+            { name: 'ECDSA', hash: 'SHA-256' }, key, this.fromBase64Url(signature),
+            new TextEncoder().encode(`${checkInWindow.id}.${step}`)
+        );
     }
 
-    async updateAttendance(attendanceId, updates) {
-        try {
-            const currentUser = await this.getCurrentUser();
-            if (!currentUser) {
-                throw new Error('Not authenticated');
-            }
+    // Flags live on the student's check-in record, which is created for them
+    // if they have not checked in yet
+    async flagCheckIn(checkInWindow, studentId, flag) {
+        await this.withTransaction('checkIns', 'readwrite', async tx => {
+            const id = `${checkInWindow.id}:${studentId}`;
+            const stored = await tx.get('checkIns', id) || {
+                id: id,
+                windowId: checkInWindow.id,
+                sessionId: checkInWindow.sessionId,
+                studentId: studentId,
+                token: null,
+                status: 'flagged',
+                flags: []
+            };
+            const recorded = { ...flag, at: new Date().toISOString() };
 
-            const attendance = await this.getObject('attendance', attendanceId);
-            if (!attendance) {
-                throw new Error('Attendance record not found');
+            await tx.put('checkIns', { ...stored, flags: [...stored.flags, recorded] });
+            tx.emit(NERIST_EVENTS.CHECK_IN_FLAGGED,
+                { windowId: checkInWindow.id, sessionId: checkInWindow.sessionId, facultyId: checkInWindow.startedBy, flag: recorded });
+        });
+    }
+
+    // checkIns maps each student who checked in to { at, step, deviceId,
+    // geofence, status, reviewId }; flags gathers every check-in's flags
+    async describeCheckInWindow(checkInWindow) {
+        const { privateKey, ...described } = checkInWindow;
+        const checkIns = {};
+        const flags = [];
+
+        for (const checkIn of await this.getAllObjects('checkIns', 'windowId', checkInWindow.id)) {
+            if (checkIn.token) {
+                const { at, step, deviceId, geofence, status, reviewId } = checkIn;
+                checkIns[checkIn.studentId] = { at, step, deviceId, geofence, status, reviewId };
             }
+            flags.push(...checkIn.flags);
+        }
+        return { ...described, checkIns, flags };
+    }
 
-            // Update record
-            const updatedAttendance = {
-                ...attendance,
-                ...updates,
-                updatedAt: new Date().toISOString(),
-                updatedBy: currentUser.id
-            };
+    // Where the session's slot names no location with a boundary there is
+    // nothing to check against, and the check-in passes as 'unchecked'.
+    // A position counts as inside when its accuracy circle reaches within
+    // geofence_tolerance_meters of the boundary.
+    async checkGeofence(session, position) {
+        const slot = await this.getObject('timetableSlots',
+            `${session.sectionId}:${this.getWeekday(session.date)}:${session.period}`);
+        const location = slot?.locationId ? await this.getObject('campusLocations', slot.locationId) : null;
+        // The squares seeded around each location's point are placeholders
+        // until an admin draws the real outline
+        if (!location || !Geo.isPolygon(location.boundary) || location.boundaryApproximate) {
+            return { passed: true, reason: 'unchecked', locationId: location?.id || null, distance: null };
+        }
 
-            await this.putObject('attendance', updatedAttendance);
+        const point = position ? [position.latitude, position.longitude] : null;
+        if (!Geo.isPoint(point)) {
+            return { passed: false, reason: 'no_location', locationId: location.id, distance: null };
+        }
 
-            // Log activity
-            await this.logActivity(currentUser.id, 'update_attendance',
-                `Updated attendance record ${attendanceId}`);
+        const [tolerance, maxAccuracy] = await Promise.all([
+            this.getNumericSetting('geofence_tolerance_meters', 25),
+            this.getNumericSetting('geofence_max_accuracy_meters', 100)
+        ]);
+        const accuracy = Number(position.accuracy) || 0;
+        const distance = Math.round(Geo.distanceToPolygon(point, location.boundary));
 
-            return updatedAttendance;
-        } catch (error) {
-            console.error('Update attendance error:', error);
-            throw error;
+        if (accuracy > maxAccuracy) {
+            return { passed: false, reason: 'low_accuracy', locationId: location.id, distance };
         }
+        if (distance > tolerance + accuracy) {
+            return { passed: false, reason: 'outside_boundary', locationId: location.id, distance };
+        }
+        return { passed: true, reason: distance === 0 ? 'inside' : 'within_tolerance', locationId: location.id, distance };
     }
 
-    async deleteAttendance(attendanceId) {
-        try {
-            const currentUser = await this.getCurrentUser();
-            if (!currentUser) {
-                throw new Error('Not authenticated');
+    // An approved geofence review counts the student present, in the session
+    // and in the attendance record if the session was already submitted. The
+    // report is saved in the same transaction.
+    async applyGeofenceReview(report, currentUser) {
+        const session = await this.getObject('attendanceSessions', report.sessionId);
+        if (session) {
+            await this.assertSessionEditable(session);
+        }
+
+        // Encryption has to happen before the transaction opens
+        const sealed = await this.sealRecord('attendanceReports', report);
+        const stores = ['attendanceReports', 'attendanceSessions', 'attendance', 'checkIns'];
+        await this.withTransaction(stores, 'readwrite', async tx => {
+            await tx.put('attendanceReports', sealed);
+            if (!session) return;
+
+            const stored = await tx.get('attendanceSessions', session.id);
+            const now = new Date().toISOString();
+            const checkIn = report.windowId ? await tx.get('checkIns', `${report.windowId}:${report.studentId}`) : null;
+            if (checkIn) {
+                await tx.put('checkIns', { ...checkIn, status: 'present', settledAt: now });
             }
 
-            await this.deleteObject('attendance', attendanceId);
+            await tx.put('attendanceSessions', {
+                ...stored,
+                roster: { ...stored.roster, [report.studentId]: 'present' },
+                updatedAt: now
+            });
 
-            // Log activity
-            await this.logActivity(currentUser.id, 'delete_attendance',
-                `Deleted attendance record ${attendanceId}`);
+            const [record] = await tx.getAll('attendance', 'student_date_subject_period',
+                [report.studentId, session.date, session.courseCode, session.period]);
+            if (record && record.status !== 'present') {
+                await tx.put('attendance', { ...record, status: 'present', updatedAt: now, updatedBy: currentUser.id });
+            }
+        });
 
-            return true;
-        } catch (error) {
-            console.error('Delete attendance error:', error);
-            throw error;
+        if (session) {
+            await this.checkAttendanceShortage(report.studentId, currentUser);
         }
     }
 
@@ -674,10 +5900,7 @@ class NERISTBackend {
 
     async saveMessMenu(date, mealData) {
         try {
-            const currentUser = await this.getCurrentUser();
-            if (!currentUser) {
-                throw new Error('Not authenticated');
-            }
+            const currentUser = await this.authorize('mess.manage');
 
             const menuId = `${date}_${mealData.mealType}`;
             const menu = {
@@ -695,6 +5918,7 @@ class NERISTBackend {
             };
 
             await this.putObject('messMenu', menu);
+            this.emit(NERIST_EVENTS.MENU_SAVED, { menu }, currentUser);
 
             // Log activity
             await this.logActivity(currentUser.id, 'save_mess_menu',
@@ -754,42 +5978,52 @@ class NERISTBackend {
 
     async bookMeal(date, mealType, studentId) {
         try {
+            await this.authorize('mess.book', { ownerId: studentId });
+
             const menuId = `${date}_${mealType}`;
-            const menu = await this.getObject('messMenu', menuId);
 
-            if (!menu) {
-                throw new Error('Menu not found');
-            }
+            // The menu's booking list and the booking record commit together
+            const menu = await this.withTransaction(['messMenu', 'mealBookings'], 'readwrite', async (tx) => {
+                const menu = await this.getObject('messMenu', menuId, tx);
 
-            if (!menu.active) {
-                throw new Error('This meal is not active');
-            }
+                if (!menu) {
+                    throw new Error('Menu not found');
+                }
 
-            // Check if already booked
-            const existingBooking = menu.bookings.find(b => b.studentId === studentId);
-            if (existingBooking) {
-                throw new Error('Already booked for this meal');
-            }
+                if (!menu.active) {
+                    throw new Error('This meal is not active');
+                }
 
-            // Add booking
-            menu.bookings.push({
-                studentId: studentId,
-                bookedAt: new Date().toISOString()
-            });
+                // Check if already booked
+                const existingBooking = menu.bookings.find(b => b.studentId === studentId);
+                if (existingBooking) {
+                    throw new Error('Already booked for this meal');
+                }
 
-            menu.bookedCount = menu.bookings.length;
-            menu.updatedAt = new Date().toISOString();
+                // Add booking
+                menu.bookings.push({
+                    studentId: studentId,
+                    bookedAt: new Date().toISOString()
+                });
 
-            await this.putObject('messMenu', menu);
+                menu.bookedCount = menu.bookings.length;
+                menu.updatedAt = new Date().toISOString();
 
-            // Log in meal bookings store
-            const bookingId = `${date}_${mealType}_${studentId}`;
-            await this.putObject('mealBookings', {
-                id: bookingId,
-                date: date,
-                mealType: mealType,
-                studentId: studentId,
-                bookedAt: new Date().toISOString()
+                await this.putObject('messMenu', menu, tx);
+
+                // Log in meal bookings store
+                const bookingId = `${date}_${mealType}_${studentId}`;
+                const booking = {
+                    id: bookingId,
+                    date: date,
+                    mealType: mealType,
+                    studentId: studentId,
+                    bookedAt: new Date().toISOString()
+                };
+                await this.putObject('mealBookings', booking, tx);
+                tx.emit(NERIST_EVENTS.MEAL_BOOKED, { booking, bookedCount: menu.bookedCount });
+
+                return menu;
             });
 
             // Log activity
@@ -805,6 +6039,8 @@ class NERISTBackend {
 
     async submitMealFeedback(date, mealType, studentId, rating, comment) {
         try {
+            await this.authorize('mess.feedback', { ownerId: studentId });
+
             const menuId = `${date}_${mealType}`;
             const menu = await this.getObject('messMenu', menuId);
 
@@ -842,13 +6078,11 @@ class NERISTBackend {
 
     async getMealBookings(studentId, date = null) {
         try {
-            let bookings = await this.getAllObjects('mealBookings', 'studentId', studentId);
-
             if (date) {
-                bookings = bookings.filter(b => b.date === date);
+                return await this.query('mealBookings').index('student_date').equals([studentId, date]).toArray();
             }
 
-            return bookings;
+            return await this.query('mealBookings').index('student_date').prefix([studentId]).toArray();
         } catch (error) {
             console.error('Get meal bookings error:', error);
             throw error;
@@ -861,10 +6095,7 @@ class NERISTBackend {
 
     async createCareerOpportunity(opportunityData) {
         try {
-            const currentUser = await this.getCurrentUser();
-            if (!currentUser) {
-                throw new Error('Not authenticated');
-            }
+            const currentUser = await this.authorize('career.manage');
 
             const opportunity = {
                 ...opportunityData,
@@ -876,6 +6107,7 @@ class NERISTBackend {
             };
 
             const result = await this.putObject('careerOpportunities', opportunity);
+            this.emit(NERIST_EVENTS.OPPORTUNITY_CREATED, { opportunity: { id: result, ...opportunity } }, currentUser);
 
             // Log activity
             await this.logActivity(currentUser.id, 'create_opportunity',
@@ -890,30 +6122,22 @@ class NERISTBackend {
 
     async getCareerOpportunities(filters = {}) {
         try {
-            let opportunities = await this.getAllObjects('careerOpportunities');
-
-            // Apply filters
-            if (filters.type) {
-                opportunities = opportunities.filter(opp => opp.type === filters.type);
-            }
-
+            // Narrow with an index where one applies
+            const query = this.query('careerOpportunities');
             if (filters.status) {
-                opportunities = opportunities.filter(opp => opp.status === filters.status);
-            }
-
-            if (filters.department) {
-                opportunities = opportunities.filter(opp =>
-                    !opp.eligibleDepartments ||
-                    opp.eligibleDepartments.includes(filters.department)
-                );
+                query.index('status').equals(filters.status);
+            } else if (filters.type) {
+                query.index('type').equals(filters.type);
             }
 
-            // Filter expired opportunities
             const now = new Date();
-            opportunities = opportunities.filter(opp => {
-                if (!opp.deadline) return true;
-                return new Date(opp.deadline) > now;
-            });
+            const opportunities = await query.filter(opp =>
+                (!filters.type || opp.type === filters.type) &&
+                (!filters.department || !opp.eligibleDepartments ||
+                    opp.eligibleDepartments.includes(filters.department)) &&
+                // Filter expired opportunities
+                (!opp.deadline || new Date(opp.deadline) > now)
+            ).toArray();
 
             // Sort by deadline (earliest first)
             opportunities.sort((a, b) => {
@@ -936,6 +6160,8 @@ class NERISTBackend {
                 throw new Error('Not authenticated');
             }
 
+            await this.authorize('career.apply', { ownerId: currentUser.id });
+
             // Get opportunity
             const opportunity = await this.getObject('careerOpportunities', opportunityId);
             if (!opportunity) {
@@ -947,14 +6173,6 @@ class NERISTBackend {
                 throw new Error('Application deadline has passed');
             }
 
-            // Check if already applied
-            const existingApplications = await this.getAllObjects('studentApplications', 'studentId', currentUser.id);
-            const alreadyApplied = existingApplications.some(app => app.opportunityId === opportunityId);
-
-            if (alreadyApplied) {
-                throw new Error('Already applied for this opportunity');
-            }
-
             // Create application
             const application = {
                 studentId: currentUser.id,
@@ -967,11 +6185,33 @@ class NERISTBackend {
                 lastUpdated: new Date().toISOString()
             };
 
-            const result = await this.putObject('studentApplications', application);
+            // studentData may be encrypted, which has to happen before the transaction opens
+            const sealed = await this.sealRecord('studentApplications', application);
+
+            // The application and the applicant counter commit together
+            const result = await this.withTransaction(['careerOpportunities', 'studentApplications'], 'readwrite', async (tx) => {
+                // Check if already applied
+                const existingApplications = await this.getAllObjects('studentApplications', 'studentId', currentUser.id, tx);
+                const alreadyApplied = existingApplications.some(app => app.opportunityId === opportunityId);
+
+                if (alreadyApplied) {
+                    throw new Error('Already applied for this opportunity');
+                }
+
+                const id = await this.putObject('studentApplications', sealed, tx);
+
+                // Update applicant count from the stored copy, not the one read earlier
+                const current = await this.getObject('careerOpportunities', opportunityId, tx);
+                if (!current) {
+                    throw new Error('Opportunity not found');
+                }
+                current.applicants = (current.applicants || 0) + 1;
+                await this.putObject('careerOpportunities', current, tx);
 
-            // Update applicant count
-            opportunity.applicants = (opportunity.applicants || 0) + 1;
-            await this.putObject('careerOpportunities', opportunity);
+                tx.emit(NERIST_EVENTS.APPLICATION_SUBMITTED,
+                    { application: { id, ...application }, applicants: current.applicants }, currentUser);
+                return id;
+            });
 
             // Log activity
             await this.logActivity(currentUser.id, 'apply_opportunity',
@@ -986,22 +6226,18 @@ class NERISTBackend {
 
     async getStudentApplications(studentId = null, status = null) {
         try {
-            let applications;
+            // Newest first, by application date
+            const query = this.query('studentApplications');
             if (studentId) {
-                applications = await this.getAllObjects('studentApplications', 'studentId', studentId);
+                query.index('student_applied').prefix([studentId]);
+                if (status) query.filter(app => app.status === status);
+            } else if (status) {
+                query.index('status_applied').prefix([status]);
             } else {
-                applications = await this.getAllObjects('studentApplications');
-            }
-
-            // Filter by status
-            if (status) {
-                applications = applications.filter(app => app.status === status);
+                query.index('appliedDate');
             }
 
-            // Sort by application date (newest first)
-            applications.sort((a, b) => new Date(b.appliedDate) - new Date(a.appliedDate));
-
-            return applications;
+            return await query.reverse().toArray();
         } catch (error) {
             console.error('Get student applications error:', error);
             throw error;
@@ -1010,10 +6246,7 @@ class NERISTBackend {
 
     async updateApplicationStatus(applicationId, status, reviewNotes = null) {
         try {
-            const currentUser = await this.getCurrentUser();
-            if (!currentUser) {
-                throw new Error('Not authenticated');
-            }
+            const currentUser = await this.authorize('career.review');
 
             const application = await this.getObject('studentApplications', applicationId);
             if (!application) {
@@ -1021,6 +6254,8 @@ class NERISTBackend {
             }
 
             // Update application
+            const before = { ...application };
+            const previousStatus = application.status;
             application.status = status;
             application.reviewedAt = new Date().toISOString();
             application.reviewedBy = currentUser.id;
@@ -1030,10 +6265,13 @@ class NERISTBackend {
             }
 
             await this.putObject('studentApplications', application);
+            this.emit(NERIST_EVENTS.APPLICATION_STATUS_CHANGED,
+                { application, previousStatus, status }, currentUser);
 
             // Log activity
             await this.logActivity(currentUser.id, 'update_application',
-                `Updated application ${applicationId} to ${status}`);
+                `Updated application ${applicationId} to ${status}`,
+                { target: { storeName: 'studentApplications', key: applicationId }, before, after: application });
 
             return application;
         } catch (error) {
@@ -1048,10 +6286,11 @@ class NERISTBackend {
 
     async saveStudentResults(studentId, semester, resultsData) {
         try {
-            const currentUser = await this.getCurrentUser();
-            if (!currentUser) {
-                throw new Error('Not authenticated');
-            }
+            const student = await this.getUserById(studentId);
+            const currentUser = await this.authorize('results.publish', {
+                ownerId: studentId,
+                department: student?.department
+            });
 
             const resultsId = `${studentId}_${semester}`;
             const results = {
@@ -1083,6 +6322,7 @@ class NERISTBackend {
             }
 
             await this.putObject('results', results);
+            this.emit(NERIST_EVENTS.RESULTS_PUBLISHED, { studentId, semester, sgpa: results.sgpa }, currentUser);
 
             // Log activity
             await this.logActivity(currentUser.id, 'save_results',
@@ -1103,10 +6343,8 @@ class NERISTBackend {
                 return await this.getObject('results', resultsId);
             } else {
                 // Get all semesters
-                const allResults = await this.getAllObjects('results', 'studentId', studentId);
-
-                // Sort by semester
-                allResults.sort((a, b) => a.semester - b.semester);
+                // Ordered by semester through the compound index
+                const allResults = await this.query('results').index('student_semester').prefix([studentId]).toArray();
 
                 // Calculate CGPA
                 let totalGradePoints = 0;
@@ -1199,11 +6437,17 @@ class NERISTBackend {
 
     async createCampusAlert(alertData) {
         try {
-            const currentUser = await this.getCurrentUser();
-            if (!currentUser) {
-                throw new Error('Not authenticated');
-            }
+            const currentUser = await this.authorize('safety.manage', { hostel: alertData.hostel });
+
+            return await this.insertCampusAlert(alertData, currentUser);
+        } catch (error) {
+            console.error('Create campus alert error:', error);
+            throw error;
+        }
+    }
 
+    async insertCampusAlert(alertData, currentUser) {
+        try {
             const alert = {
                 ...alertData,
                 createdAt: new Date().toISOString(),
@@ -1214,6 +6458,7 @@ class NERISTBackend {
             };
 
             const result = await this.putObject('campusAlerts', alert);
+            this.emit(NERIST_EVENTS.ALERT_CREATED, { alert: { id: result, ...alert } }, currentUser);
 
             // Log activity
             await this.logActivity(currentUser.id, 'create_alert',
@@ -1221,27 +6466,24 @@ class NERISTBackend {
 
             return { id: result, ...alert };
         } catch (error) {
-            console.error('Create campus alert error:', error);
+            console.error('Insert campus alert error:', error);
             throw error;
         }
     }
 
     async getActiveAlerts(priority = null) {
         try {
-            let alerts = await this.getAllObjects('campusAlerts');
+            // Narrow with the priority index where one is given
+            const query = this.query('campusAlerts');
+            if (priority) {
+                query.index('priority').equals(priority);
+            }
 
             // Filter active alerts
             const now = new Date();
-            alerts = alerts.filter(alert => {
-                if (!alert.isActive) return false;
-                if (alert.expiry && new Date(alert.expiry) < now) return false;
-                return true;
-            });
-
-            // Filter by priority
-            if (priority) {
-                alerts = alerts.filter(alert => alert.priority === priority);
-            }
+            const alerts = await query.filter(alert =>
+                alert.isActive && (!alert.expiry || new Date(alert.expiry) >= now)
+            ).toArray();
 
             // Sort by priority and date
             const priorityOrder = { high: 3, medium: 2, low: 1 };
@@ -1260,6 +6502,8 @@ class NERISTBackend {
 
     async markAlertAsRead(alertId) {
         try {
+            await this.authorize('safety.view');
+
             const alert = await this.getObject('campusAlerts', alertId);
             if (!alert) {
                 throw new Error('Alert not found');
@@ -1277,25 +6521,25 @@ class NERISTBackend {
 
     async deactivateAlert(alertId) {
         try {
-            const currentUser = await this.getCurrentUser();
-            if (!currentUser) {
-                throw new Error('Not authenticated');
-            }
-
             const alert = await this.getObject('campusAlerts', alertId);
             if (!alert) {
                 throw new Error('Alert not found');
             }
 
+            const currentUser = await this.authorize('safety.manage', { hostel: alert.hostel });
+
+            const before = { ...alert };
             alert.isActive = false;
             alert.deactivatedAt = new Date().toISOString();
             alert.deactivatedBy = currentUser.id;
 
             await this.putObject('campusAlerts', alert);
+            this.emit(NERIST_EVENTS.ALERT_DEACTIVATED, { alert }, currentUser);
 
             // Log activity
             await this.logActivity(currentUser.id, 'deactivate_alert',
-                `Deactivated alert: ${alert.title}`);
+                `Deactivated alert: ${alert.title}`,
+                { target: { storeName: 'campusAlerts', key: alertId }, before, after: alert });
 
             return alert;
         } catch (error) {
@@ -1310,12 +6554,12 @@ class NERISTBackend {
 
     async getEmergencyContacts(type = null) {
         try {
-            let contacts = await this.getAllObjects('emergencyContacts');
-
             // Filter by type if specified
+            const query = this.query('emergencyContacts');
             if (type) {
-                contacts = contacts.filter(contact => contact.type === type);
+                query.index('type').equals(type);
             }
+            const contacts = await query.toArray();
 
             // Sort by type and name
             contacts.sort((a, b) => {
@@ -1332,6 +6576,8 @@ class NERISTBackend {
 
     async logEmergencyCall(contactId, userId) {
         try {
+            await this.authorize('safety.view');
+
             const contact = await this.getObject('emergencyContacts', contactId);
             if (!contact) {
                 throw new Error('Contact not found');
@@ -1354,12 +6600,12 @@ class NERISTBackend {
 
     async getCampusLocations(type = null) {
         try {
-            let locations = await this.getAllObjects('campusLocations');
-
             // Filter by type if specified
+            const query = this.query('campusLocations');
             if (type) {
-                locations = locations.filter(location => location.type === type);
+                query.index('type').equals(type);
             }
+            const locations = await query.toArray();
 
             // Sort by name
             locations.sort((a, b) => a.name.localeCompare(b.name));
@@ -1371,6 +6617,7 @@ class NERISTBackend {
         }
     }
 
+    // Public substring match; ranked, signed-in search across stores is search()
     async searchCampusLocations(query) {
         try {
             const locations = await this.getCampusLocations();
@@ -1391,6 +6638,8 @@ class NERISTBackend {
 
     async logLocationVisit(locationId, userId) {
         try {
+            await this.authorize('navigation.view');
+
             const location = await this.getObject('campusLocations', locationId);
             if (!location) {
                 throw new Error('Location not found');
@@ -1407,17 +6656,175 @@ class NERISTBackend {
         }
     }
 
+    // boundary is a polygon of [latitude, longitude] points; null goes back
+    // to no boundary, which switches geofencing off for the location
+    async setLocationBoundary(locationId, boundary) {
+        try {
+            const currentUser = await this.authorize('navigation.manage');
+
+            const location = await this.getObject('campusLocations', locationId);
+            if (!location) {
+                throw new Error('Location not found');
+            }
+            if (boundary !== null && !Geo.isPolygon(boundary)) {
+                throw new Error('A boundary needs at least three [latitude, longitude] points');
+            }
+
+            const updated = { ...location, boundary, boundaryApproximate: false };
+            await this.putObject('campusLocations', updated);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'set_location_boundary',
+                `${boundary ? 'Set' : 'Removed'} the boundary of ${location.name}`,
+                { target: { storeName: 'campusLocations', key: locationId }, before: location, after: updated });
+
+            return updated;
+        } catch (error) {
+            console.error('Set location boundary error:', error);
+            throw error;
+        }
+    }
+
     // ============================================
-    // ATTENDANCE REPORTS SYSTEM
+    // SEARCH
     // ============================================
 
-    async submitAttendanceReport(reportData) {
+    // options: { sources, limit, offset }. Returns { total, results } with
+    // results ranked best first as { source, type, key, title, score,
+    // record, highlights }; see SearchIndex.highlight() for highlights.
+    async search(query, options = {}) {
         try {
             const currentUser = await this.getCurrentUser();
             if (!currentUser) {
                 throw new Error('Not authenticated');
             }
 
+            const { sources = Object.keys(NERIST_SEARCH.sources), limit = 20, offset = 0 } = options;
+            const unknown = sources.find(storeName => !NERIST_SEARCH.sources[storeName]);
+            if (unknown) {
+                throw new Error(`Unknown search source: ${unknown}`);
+            }
+
+            // Sources the caller may not read are dropped before matching, not after
+            const allowed = [];
+            for (const storeName of sources) {
+                if (await this.hasPermission(currentUser, NERIST_SEARCH.sources[storeName].permission)) {
+                    allowed.push(storeName);
+                }
+            }
+            if (allowed.length === 0) return { total: 0, results: [] };
+
+            const index = await this.getSearchIndex();
+            const matches = index.search(query, document => {
+                if (!allowed.includes(document.storeName)) return false;
+                const visible = NERIST_SEARCH.sources[document.storeName].visible;
+                return !visible || visible(document.record);
+            });
+
+            const results = [];
+            for (const match of matches.slice(offset, offset + limit)) {
+                const source = NERIST_SEARCH.sources[match.storeName];
+                const record = await this.getObject(match.storeName, match.key);
+                if (!record) continue;
+
+                results.push({
+                    source: match.storeName,
+                    type: source.type,
+                    key: match.key,
+                    title: record[source.title],
+                    score: match.score,
+                    record: match.storeName === 'users' ? this.sanitizeUser(record) : record,
+                    highlights: match.highlights
+                });
+            }
+
+            return { total: matches.length, results };
+        } catch (error) {
+            console.error('Search error:', error);
+            throw error;
+        }
+    }
+
+    // Built on first use, then kept current by updateSearchIndex()
+    async getSearchIndex() {
+        if (this.searchIndex) return this.searchIndex;
+
+        if (!this.searchIndexBuild) {
+            this.searchIndexBuild = (async () => {
+                const index = new SearchIndex();
+                for (const storeName of Object.keys(NERIST_SEARCH.sources)) {
+                    const keyPath = this.storage.getStoreSchema(storeName).keyPath;
+                    const records = await this.getAllObjects(storeName);
+                    records.forEach(record => this.indexSearchRecord(index, storeName, StorageKeys.extract(record, keyPath), record));
+                }
+                this.searchIndex = index;
+                return index;
+            })().finally(() => {
+                this.searchIndexBuild = null;
+            });
+        }
+        return this.searchIndexBuild;
+    }
+
+    // Encrypted fields are never indexed, so sealed and opened copies of a
+    // record index the same way
+    indexSearchRecord(index, storeName, key, record) {
+        const hidden = ['password', 'twoFactor', ...(this.encryptedFields[storeName] || [])];
+        const weights = {};
+        Object.entries(NERIST_SEARCH.sources[storeName].fields).forEach(([field, weight]) => {
+            if (!hidden.includes(field)) weights[field] = weight;
+        });
+
+        const kept = { ...record };
+        hidden.forEach(field => delete kept[field]);
+        index.add(storeName, key, kept, weights);
+    }
+
+    // Called with the changes of every committed transaction, local or from
+    // another tab. Other tabs only send keys, so those records are re-read.
+    async updateSearchIndex(changes) {
+        const relevant = changes.filter(change => NERIST_SEARCH.sources[change.storeName]);
+        const encryptionChanged = changes.some(change => change.storeName === 'systemSettings' &&
+            (change.key === 'encrypted_fields' || change.type === 'clear'));
+
+        if (encryptionChanged) {
+            this.searchIndex = null;
+            return;
+        }
+        if (relevant.length === 0 || (!this.searchIndex && !this.searchIndexBuild)) return;
+
+        try {
+            const index = await this.getSearchIndex();
+            for (const change of relevant) {
+                if (change.type === 'clear') {
+                    index.removeStore(change.storeName);
+                    continue;
+                }
+
+                const record = change.type === 'put'
+                    ? change.record || await this.getObject(change.storeName, change.key)
+                    : null;
+                if (record) {
+                    this.indexSearchRecord(index, change.storeName, change.key, record);
+                } else {
+                    index.remove(change.storeName, change.key);
+                }
+            }
+        } catch (error) {
+            console.error('Search index update error:', error);
+            // Rebuilt from the stores on the next search
+            this.searchIndex = null;
+        }
+    }
+
+    // ============================================
+    // ATTENDANCE REPORTS SYSTEM
+    // ============================================
+
+    async submitAttendanceReport(reportData) {
+        try {
+            const currentUser = await this.authorize('attendance.report');
+
             const report = {
                 ...reportData,
                 studentId: currentUser.id,
@@ -1429,6 +6836,7 @@ class NERISTBackend {
             };
 
             const result = await this.putObject('attendanceReports', report);
+            this.emit(NERIST_EVENTS.REPORT_SUBMITTED, { report: { id: result, ...report } }, currentUser);
 
             // Log activity
             await this.logActivity(currentUser.id, 'submit_attendance_report',
@@ -1443,22 +6851,18 @@ class NERISTBackend {
 
     async getAttendanceReports(studentId = null, status = null) {
         try {
-            let reports;
+            // Newest first, by submission date
+            const query = this.query('attendanceReports');
             if (studentId) {
-                reports = await this.getAllObjects('attendanceReports', 'studentId', studentId);
+                query.index('student_submitted').prefix([studentId]);
+                if (status) query.filter(report => report.status === status);
+            } else if (status) {
+                query.index('status_submitted').prefix([status]);
             } else {
-                reports = await this.getAllObjects('attendanceReports');
-            }
-
-            // Filter by status
-            if (status) {
-                reports = reports.filter(report => report.status === status);
+                query.index('submittedAt');
             }
 
-            // Sort by submission date (newest first)
-            reports.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
-
-            return reports;
+            return await query.reverse().toArray();
         } catch (error) {
             console.error('Get attendance reports error:', error);
             throw error;
@@ -1467,16 +6871,20 @@ class NERISTBackend {
 
     async updateReportStatus(reportId, status, resolution = null) {
         try {
-            const currentUser = await this.getCurrentUser();
-            if (!currentUser) {
-                throw new Error('Not authenticated');
-            }
-
             const report = await this.getObject('attendanceReports', reportId);
             if (!report) {
                 throw new Error('Report not found');
             }
 
+            const student = await this.getUserById(report.studentId);
+            const currentUser = await this.authorize('attendance.review', {
+                ownerId: report.studentId,
+                course: report.subject,
+                department: student?.department
+            });
+
+            const before = { ...report };
+            const previousStatus = report.status;
             report.status = status;
             report.reviewedAt = new Date().toISOString();
             report.reviewedBy = currentUser.id;
@@ -1485,11 +6893,17 @@ class NERISTBackend {
                 report.resolution = resolution;
             }
 
-            await this.putObject('attendanceReports', report);
+            if (report.type === 'geofence_review' && status === 'approved' && previousStatus !== 'approved') {
+                await this.applyGeofenceReview(report, currentUser);
+            } else {
+                await this.putObject('attendanceReports', report);
+            }
+            this.emit(NERIST_EVENTS.REPORT_STATUS_CHANGED, { report, previousStatus, status }, currentUser);
 
             // Log activity
             await this.logActivity(currentUser.id, 'update_report_status',
-                `Updated report ${reportId} to ${status}`);
+                `Updated report ${reportId} to ${status}`,
+                { target: { storeName: 'attendanceReports', key: reportId }, before, after: report });
 
             return report;
         } catch (error) {
@@ -1502,17 +6916,49 @@ class NERISTBackend {
     // SYSTEM SETTINGS
     // ============================================
 
+    // Secrets are never handed out here; internal callers use getSecretSetting()
     async getSystemSetting(key) {
         try {
+            if (this.secretSettingKeys.includes(key)) {
+                throw new Error(`${key} cannot be read`);
+            }
+
             const setting = await this.getObject('systemSettings', key);
             return setting ? setting.value : null;
         } catch (error) {
-            console.error('Get system setting error:', error);
+            console.error('Get system setting error:', error);
+            throw error;
+        }
+    }
+
+    async getSecretSetting(key) {
+        const setting = await this.getObject('systemSettings', key);
+        return setting ? setting.value : null;
+    }
+
+    async setSystemSetting(key, value) {
+        try {
+            const currentUser = await this.authorize('settings.manage');
+
+            if (NUMERIC_SETTINGS[key] && !this.isValidNumericSetting(key, this.parseNumericSetting(value))) {
+                throw new Error(`${key} must be ${this.describeNumericSetting(key)}`);
+            }
+
+            const before = await this.getObject('systemSettings', key);
+            const setting = await this.saveSystemSetting(key, value);
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'set_setting', `Set ${key}`,
+                { target: { storeName: 'systemSettings', key }, before, after: setting });
+
+            return setting;
+        } catch (error) {
+            console.error('Set system setting error:', error);
             throw error;
         }
     }
 
-    async setSystemSetting(key, value) {
+    async saveSystemSetting(key, value) {
         try {
             const setting = {
                 key: key,
@@ -1523,7 +6969,7 @@ class NERISTBackend {
             await this.putObject('systemSettings', setting);
             return setting;
         } catch (error) {
-            console.error('Set system setting error:', error);
+            console.error('Save system setting error:', error);
             throw error;
         }
     }
@@ -1533,9 +6979,11 @@ class NERISTBackend {
             const settings = await this.getAllObjects('systemSettings');
             const result = {};
 
-            settings.forEach(setting => {
-                result[setting.key] = setting.value;
-            });
+            settings
+                .filter(setting => !this.secretSettingKeys.includes(setting.key))
+                .forEach(setting => {
+                    result[setting.key] = setting.value;
+                });
 
             return result;
         } catch (error) {
@@ -1548,7 +6996,11 @@ class NERISTBackend {
     // ACTIVITY LOGGING
     // ============================================
 
-    async logActivity(userId, action, details) {
+    // audit is { target: { storeName, key }, before, after } for changes to a
+    // record; the entry keeps a field-by-field diff. Every entry carries the
+    // SHA-256 of the one before it, so editing or removing an entry breaks
+    // verifyAuditLog().
+    async logActivity(userId, action, details, audit = {}) {
         try {
             const logEntry = {
                 userId: userId,
@@ -1556,41 +7008,265 @@ class NERISTBackend {
                 details: details,
                 timestamp: new Date().toISOString(),
                 ip: 'local', // In production, get actual IP
-                userAgent: navigator.userAgent
+                userAgent: this.environment.userAgent,
+                targetStore: audit.target?.storeName ?? null,
+                targetKey: audit.target?.key ?? null,
+                changes: audit.before || audit.after
+                    ? this.diffAuditRecords(audit.target?.storeName, audit.before, audit.after)
+                    : null
             };
 
-            await this.putObject('activityLog', logEntry);
-            return logEntry;
+            return await this.queueAuditEntry(logEntry);
         } catch (error) {
             console.error('Log activity error:', error);
             // Don't throw error for logging failures
         }
     }
 
-    async getUserActivity(userId, limit = 50) {
+    // One append at a time, so entries chain in the order they were logged
+    queueAuditEntry(entry) {
+        const append = this.auditQueue.then(() => this.appendAuditEntry(entry));
+        this.auditQueue = append.catch(() => {});
+        return append;
+    }
+
+    async appendAuditEntry(entry) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const head = this.auditHead || await this.loadAuditHead();
+            const chained = { ...entry, seq: head.seq + 1, prevHash: head.hash };
+            chained.hash = await this.hashAuditEntry(chained);
+
+            // Another tab may have appended since the head was read
+            const appended = await this.withTransaction('activityLog', 'readwrite', async tx => {
+                if (await tx.count('activityLog', 'seq', chained.seq) > 0) return false;
+
+                chained.id = await tx.put('activityLog', chained);
+                return true;
+            });
+
+            if (appended) {
+                this.auditHead = { seq: chained.seq, hash: chained.hash };
+                return chained;
+            }
+            this.auditHead = null;
+        }
+        throw new Error('Audit log is busy; entry not written');
+    }
+
+    async loadAuditHead() {
+        const [latest, archived] = await Promise.all([
+            this.query('activityLog').index('seq').reverse().first(),
+            this.query('auditArchive').index('seq').reverse().first()
+        ]);
+        const head = [latest, archived].filter(Boolean).sort((a, b) => b.seq - a.seq)[0];
+
+        return head ? { seq: head.seq, hash: head.hash } : { seq: 0, hash: '0'.repeat(64) };
+    }
+
+    hashAuditEntry(entry) {
+        const fields = ['seq', 'prevHash', 'userId', 'action', 'details', 'timestamp', 'ip', 'userAgent',
+            'targetStore', 'targetKey', 'changes'];
+        return this.sha256Hex(this.canonicalJSON(fields.map(field => entry[field] ?? null)));
+    }
+
+    // JSON with sorted object keys, so a stored entry always hashes the same
+    canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJSON(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).filter(key => value[key] !== undefined).sort()
+                .map(key => `${JSON.stringify(key)}:${this.canonicalJSON(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    }
+
+    // Credentials, secrets and encrypted fields are marked changed without their values
+    diffAuditRecords(storeName, before = null, after = null) {
+        const hidden = ['password', 'twoFactor', ...(this.encryptedFields[storeName] || [])];
+        const settingKey = (before || after || {}).key;
+        if (storeName === 'systemSettings' && this.secretSettingKeys.includes(settingKey)) {
+            hidden.push('value');
+        }
+
+        const changes = {};
+        this.diffRecordFields(before || {}, after || {}).sort().forEach(field => {
+            changes[field] = hidden.includes(field)
+                ? { from: '[redacted]', to: '[redacted]' }
+                : { from: before?.[field] ?? null, to: after?.[field] ?? null };
+        });
+        return changes;
+    }
+
+    // Walks the archive and the live log in seq order. Only the newest entry
+    // can be dropped without breaking the chain, so keep headHash somewhere
+    // else if that matters.
+    async verifyAuditLog() {
         try {
-            let activities = await this.getAllObjects('activityLog', 'userId', userId);
+            await this.authorize('audit.view');
+
+            const [archived, live, total, chainedCount] = await Promise.all([
+                this.query('auditArchive').index('seq').toArray(),
+                this.query('activityLog').index('seq').toArray(),
+                this.countObjects('activityLog'),
+                this.countObjects('activityLog', 'seq')
+            ]);
+            // Archiving moves whole runs of seq, but merge by seq in case an older build did not
+            const entries = [...archived, ...live].sort((a, b) => a.seq - b.seq);
+            const result = { valid: true, checked: 0, unchained: total - chainedCount, headSeq: 0, headHash: null };
+
+            let previous = { seq: 0, hash: '0'.repeat(64) };
+            for (const entry of entries) {
+                let problem = null;
+                if (entry.seq !== previous.seq + 1) {
+                    problem = entry.seq === previous.seq + 2
+                        ? `Entry ${previous.seq + 1} is missing`
+                        : `Entries ${previous.seq + 1} to ${entry.seq - 1} are missing`;
+                } else if (entry.prevHash !== previous.hash) {
+                    problem = 'Link to the previous entry is broken';
+                } else if (await this.hashAuditEntry(entry) !== entry.hash) {
+                    problem = 'Entry was modified';
+                }
 
-            // Sort by timestamp (newest first)
-            activities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+                if (problem) {
+                    return { ...result, valid: false, brokenAt: entry.seq, reason: problem };
+                }
+
+                result.checked++;
+                previous = entry;
+            }
 
-            // Limit results
-            return activities.slice(0, limit);
+            return { ...result, headSeq: previous.seq, headHash: entries.length > 0 ? previous.hash : null };
         } catch (error) {
-            console.error('Get user activity error:', error);
+            console.error('Verify audit log error:', error);
             throw error;
         }
     }
 
-    async getRecentActivity(limit = 100) {
+    // filters: { actor, action, targetStore, targetKey, from, to, limit,
+    // after, archived }. from/to are ISO timestamps, both inclusive. Returns
+    // { items, nextCursor }, newest first; pass nextCursor back as after.
+    async searchAuditLog(filters = {}) {
+        try {
+            await this.authorize('audit.view');
+
+            const {
+                actor = null, action = null, targetStore = null, targetKey = null,
+                from = '', to = null, limit = 100, after = null, archived = false
+            } = filters;
+
+            // An empty array sorts after every string, so it stands in for "no upper bound"
+            const upper = to || [];
+            const query = this.query(archived ? 'auditArchive' : 'activityLog');
+            if (actor) {
+                query.index('user_timestamp').between([actor, from], [actor, upper]);
+            } else if (action) {
+                query.index('action_timestamp').between([action, from], [action, upper]);
+            } else if (targetStore && targetKey !== null) {
+                query.index('target').equals([targetStore, targetKey]);
+            } else {
+                query.index('timestamp').between(from, upper);
+            }
+
+            query.filter(entry =>
+                (!actor || entry.userId === actor) &&
+                (!action || entry.action === action) &&
+                (!targetStore || entry.targetStore === targetStore) &&
+                (targetKey === null || entry.targetKey === targetKey) &&
+                entry.timestamp >= from && (!to || entry.timestamp <= to));
+
+            if (after) query.after(after);
+            return await query.reverse().limit(limit).page();
+        } catch (error) {
+            console.error('Search audit log error:', error);
+            throw error;
+        }
+    }
+
+    async setAuditRetentionDays(days) {
         try {
-            let activities = await this.getAllObjects('activityLog');
+            const currentUser = await this.authorize('settings.manage');
+
+            if (!Number.isInteger(days) || days < 1) {
+                throw new Error('Retention must be a whole number of days');
+            }
+
+            const before = await this.getObject('systemSettings', 'audit_retention_days');
+            const setting = await this.saveSystemSetting('audit_retention_days', String(days));
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'set_audit_retention', `Audit entries stay live for ${days} days`, {
+                target: { storeName: 'systemSettings', key: 'audit_retention_days' }, before, after: setting
+            });
+
+            return days;
+        } catch (error) {
+            console.error('Set audit retention error:', error);
+            throw error;
+        }
+    }
+
+    // Moves entries older than audit_retention_days (default 365) to
+    // auditArchive. Only an unbroken run from the lowest seq moves, stopping at
+    // the first newer entry: timestamps need not follow seq (clock changes,
+    // imported entries), and the archive must hold a prefix of the chain.
+    // Each batch moves in one transaction, so an entry is always in exactly
+    // one of the two stores and the chain stays verifiable.
+    async archiveAuditLog() {
+        const days = await this.getNumericSetting('audit_retention_days', 365);
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        let archived = 0;
+
+        const move = async entries => {
+            await this.withTransaction(['activityLog', 'auditArchive'], 'readwrite', async tx => {
+                for (const entry of entries) {
+                    await tx.put('auditArchive', entry);
+                    await tx.delete('activityLog', entry.id);
+                }
+            });
+            archived += entries.length;
+        };
+
+        for (;;) {
+            const batch = await this.query('activityLog').index('seq').limit(500).toArray();
+            const newer = batch.findIndex(entry => entry.timestamp >= cutoff);
+            const run = newer === -1 ? batch : batch.slice(0, newer);
+
+            if (run.length > 0) await move(run);
+            if (newer !== -1 || batch.length < 500) break;
+        }
+
+        // Entries from before the chain existed have no seq and move by age alone
+        for (;;) {
+            const batch = await this.query('activityLog').index('timestamp').below(cutoff, true)
+                .filter(entry => entry.seq === undefined).limit(500).toArray();
+            if (batch.length === 0) break;
+
+            await move(batch);
+        }
 
-            // Sort by timestamp (newest first)
-            activities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        return archived;
+    }
+
+    async getUserActivity(userId, limit = 50) {
+        try {
+            // Newest first
+            return await this.query('activityLog')
+                .index('user_timestamp')
+                .prefix([userId])
+                .reverse()
+                .limit(limit)
+                .toArray();
+        } catch (error) {
+            console.error('Get user activity error:', error);
+            throw error;
+        }
+    }
 
-            // Limit results
-            return activities.slice(0, limit);
+    async getRecentActivity(limit = 100) {
+        try {
+            // Newest first
+            return await this.query('activityLog').index('timestamp').reverse().limit(limit).toArray();
         } catch (error) {
             console.error('Get recent activity error:', error);
             throw error;
@@ -1616,18 +7292,19 @@ class NERISTBackend {
                 this.countObjects('attendance'),
                 this.countObjects('careerOpportunities'),
                 this.countObjects('studentApplications'),
-                this.countObjects('campusAlerts', 'isActive', true)
+                // Booleans are not valid index keys, so isActive cannot be queried through its index
+                this.query('campusAlerts').filter(alert => alert.isActive).count()
             ]);
 
             // Get today's attendance
             const today = new Date().toISOString().split('T')[0];
-            const todayAttendance = await this.getAllObjects('attendance', 'date', today);
+            const todayAttendance = await this.countObjects('attendance', 'date', today);
 
             return {
                 totalUsers,
                 totalStudents,
                 totalAttendance,
-                todayAttendance: todayAttendance.length,
+                todayAttendance,
                 totalOpportunities,
                 totalApplications,
                 activeAlerts,
@@ -1654,10 +7331,9 @@ class NERISTBackend {
             ]);
 
             // Get attendance stats
-            const attendance = await this.getAllObjects('attendance', 'studentId', userId);
-            const presentCount = attendance.filter(a => a.status === 'present').length;
-            const attendancePercentage = attendance.length > 0 ?
-                Math.round((presentCount / attendance.length) * 100) : 0;
+            const presentCount = await this.countObjects('attendance', 'student_status', [userId, 'present']);
+            const attendancePercentage = attendanceCount > 0 ?
+                Math.round((presentCount / attendanceCount) * 100) : 0;
 
             return {
                 attendanceCount,
@@ -1700,7 +7376,7 @@ class NERISTBackend {
             ]);
 
             const exportData = {
-                user: user,
+                user: this.sanitizeUser(user),
                 attendance: attendance,
                 mealBookings: mealBookings,
                 applications: applications,
@@ -1709,9 +7385,6 @@ class NERISTBackend {
                 exportedAt: new Date().toISOString()
             };
 
-            // Remove password from export
-            delete exportData.user.password;
-
             return exportData;
         } catch (error) {
             console.error('Export user data error:', error);
@@ -1752,10 +7425,12 @@ class NERISTBackend {
             ]);
 
             // Remove passwords from users
-            const sanitizedUsers = users.map(user => {
-                const { password, ...userWithoutPassword } = user;
-                return userWithoutPassword;
-            });
+            const sanitizedUsers = users.map(user => this.sanitizeUser(user));
+
+            // Never export signing secrets
+            const exportedSettings = systemSettings.filter(setting =>
+                !this.secretSettingKeys.includes(setting.key)
+            );
 
             const exportData = {
                 metadata: {
@@ -1786,273 +7461,1317 @@ class NERISTBackend {
                     campusAlerts: campusAlerts,
                     emergencyContacts: emergencyContacts,
                     campusLocations: campusLocations,
-                    systemSettings: systemSettings,
+                    systemSettings: exportedSettings,
                     activityLog: activityLog,
                     mealBookings: mealBookings,
                     attendanceReports: attendanceReports
                 }
             };
 
-            return exportData;
+            return exportData;
+        } catch (error) {
+            console.error('Export data as JSON error:', error);
+            throw error;
+        }
+    }
+
+    // Field rules for every collection exportDataAsJSON() writes. A type may
+    // be a list of allowed types; 'date' is any string Date can parse.
+    getImportSchemas() {
+        const required = (type) => ({ type, required: true });
+        const optional = (type) => ({ type });
+
+        return {
+            users: {
+                id: required('string'), username: required('string'), email: required('string'),
+                role: required('string'), name: optional('string'), department: optional('string'),
+                isActive: optional('boolean')
+            },
+            attendance: {
+                id: optional('number'), studentId: required('string'), date: required('date'),
+                subject: required('string'), status: required('string')
+            },
+            messMenu: {
+                id: required('string'), date: required('date'), mealType: required('string'),
+                items: optional('array'), bookings: optional('array')
+            },
+            careerOpportunities: {
+                id: optional('number'), title: required('string'), type: optional('string'),
+                deadline: optional('date'), status: optional('string')
+            },
+            studentApplications: {
+                id: optional('number'), studentId: required('string'), opportunityId: required('number'),
+                status: optional('string'), appliedDate: optional('date')
+            },
+            results: {
+                id: required('string'), studentId: required('string'), semester: required(['string', 'number']),
+                subjects: optional('array')
+            },
+            campusAlerts: {
+                id: optional('number'), title: required('string'), message: optional('string'),
+                priority: optional('string'), isActive: optional('boolean'), expiry: optional('date')
+            },
+            emergencyContacts: {
+                id: required('string'), name: required('string'), type: optional('string'), number: optional('string')
+            },
+            campusLocations: {
+                id: required('string'), name: required('string'), type: optional('string'), coords: optional('array'),
+                boundary: optional('array')
+            },
+            systemSettings: {
+                key: required('string'), value: required(['string', 'number', 'boolean', 'object', 'array'])
+            },
+            activityLog: {
+                id: optional('number'), userId: optional('string'), action: required('string'), timestamp: required('date')
+            },
+            mealBookings: {
+                id: required('string'), studentId: required('string'), date: required('date'), mealType: required('string')
+            },
+            attendanceReports: {
+                id: optional('number'), studentId: required('string'), status: required('string'),
+                submittedAt: optional('date')
+            }
+        };
+    }
+
+    // Exports are version 1.x; anything else is refused before a record is read
+    checkImportVersion(data) {
+        if (!data || typeof data !== 'object' || !data.metadata || !data.data) {
+            throw new Error('Not a NERIST export: metadata and data are required');
+        }
+
+        const version = String(data.metadata.version || '');
+        if (!/^1(\.\d+)?$/.test(version)) {
+            throw new Error(`Unsupported export version "${version}"; this build imports version 1.x`);
+        }
+        return version;
+    }
+
+    validateImportRecord(record, schema) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return 'Record is not an object';
+        }
+
+        for (const [field, rule] of Object.entries(schema)) {
+            const value = record[field];
+            if (value === undefined || value === null) {
+                if (rule.required) return `Missing ${field}`;
+                continue;
+            }
+
+            const types = [].concat(rule.type);
+            const matches = types.some(type => {
+                if (type === 'array') return Array.isArray(value);
+                if (type === 'object') return typeof value === 'object' && !Array.isArray(value);
+                if (type === 'date') return typeof value === 'string' && !isNaN(new Date(value).getTime());
+                if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+                return typeof value === type;
+            });
+            if (!matches) {
+                return `${field} has the wrong type (expected ${types.join(' or ')})`;
+            }
+        }
+
+        return null;
+    }
+
+    // Returns the first unique index the record would collide on, if any
+    async findUniqueConflict(tx, storeName, record) {
+        const { keyPath, indexes } = this.storage.getStoreSchema(storeName);
+        const key = StorageKeys.extract(record, keyPath);
+
+        for (const index of indexes.filter(index => index.unique)) {
+            const value = StorageKeys.extract(record, index.keyPath);
+            if (value === undefined || !StorageKeys.isValid(value)) continue;
+
+            const [existing] = await tx.getAll(storeName, index.name, value);
+            if (existing && (key === undefined || StorageKeys.compare(StorageKeys.extract(existing, keyPath), key) !== 0)) {
+                return index.name;
+            }
+        }
+        return null;
+    }
+
+    // All or nothing: every record is validated and written in one
+    // transaction, and a single rejection leaves the database untouched. The
+    // report lists each record as accepted, rejected (with a reason) or
+    // skipped. Credentials are never imported - existing users keep their
+    // password and 2FA, and new users must reset their password.
+    async importData(jsonData) {
+        try {
+            const currentUser = await this.authorize('data.import');
+
+            const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+            const version = this.checkImportVersion(data);
+            const schemas = this.getImportSchemas();
+
+            const report = { success: false, version, imported: 0, stores: {}, records: [] };
+            const entries = [];
+            const note = (storeName, index, record, status, reason = null) => {
+                const key = record && typeof record === 'object' ? (record.id ?? record.key ?? null) : null;
+                const entry = { storeName, index, key, status, reason };
+                report.records.push(entry);
+
+                const counts = report.stores[storeName] || (report.stores[storeName] = { accepted: 0, rejected: 0, skipped: 0 });
+                counts[status]++;
+                return entry;
+            };
+
+            // Shape checks first; storage is not touched until everything passes
+            Object.entries(data.data).forEach(([storeName, records]) => {
+                if (!schemas[storeName]) {
+                    note(storeName, null, null, 'rejected', 'Unknown collection');
+                    return;
+                }
+                if (!Array.isArray(records)) {
+                    note(storeName, null, null, 'rejected', 'Collection is not an array');
+                    return;
+                }
+
+                const seen = new Set();
+                records.forEach((record, index) => {
+                    if (storeName === 'systemSettings' && record && this.isProtectedSetting(record.key)) {
+                        note(storeName, index, record, 'skipped', 'Protected setting');
+                        return;
+                    }
+
+                    const reason = this.validateImportRecord(record, schemas[storeName]);
+                    const { keyPath } = this.storage.getStoreSchema(storeName);
+                    const key = reason ? undefined : StorageKeys.extract(record, keyPath);
+                    const id = key === undefined ? null : StorageKeys.serialize(key);
+
+                    if (reason) {
+                        note(storeName, index, record, 'rejected', reason);
+                    } else if (id !== null && seen.has(id)) {
+                        note(storeName, index, record, 'rejected', 'Duplicate key in import');
+                    } else {
+                        if (id !== null) seen.add(id);
+                        entries.push({ storeName, index, record });
+                    }
+                });
+            });
+
+            // Nothing is written once any record is rejected; what was
+            // accepted so far is reported as skipped instead
+            const rejected = () => report.records.some(entry => entry.status === 'rejected');
+            const skipUnwritten = () => {
+                const noted = new Set(report.records.map(entry => `${entry.storeName}:${entry.index}`));
+                report.records.filter(entry => entry.status === 'accepted').forEach(entry => {
+                    report.stores[entry.storeName].accepted--;
+                    report.stores[entry.storeName].skipped++;
+                    entry.status = 'skipped';
+                    entry.reason = 'Not applied because the import was rejected';
+                });
+                entries
+                    .filter(({ storeName, index }) => !noted.has(`${storeName}:${index}`))
+                    .forEach(({ storeName, index, record }) =>
+                        note(storeName, index, record, 'skipped', 'Not applied because the import was rejected'));
+            };
+
+            if (rejected()) {
+                skipUnwritten();
+                return report;
+            }
+            if (entries.length === 0) {
+                report.success = true;
+                return report;
+            }
+
+            // Imported audit entries never overwrite the live hash chain;
+            // they are appended to it after the import commits
+            const auditEntries = entries.filter(entry => entry.storeName === 'activityLog');
+            const batch = entries.filter(entry => entry.storeName !== 'activityLog');
+
+            // Credentials are dropped here and merged back from storage below;
+            // encryption has to happen before the transaction opens
+            for (const entry of batch) {
+                if (entry.storeName === 'users') {
+                    const { password, twoFactor, ...profile } = entry.record;
+                    entry.record = profile;
+                }
+                entry.sealed = await this.sealRecord(entry.storeName, entry.record);
+            }
+
+            const storeNames = [...new Set(batch.map(entry => entry.storeName))];
+            const rollback = new Error('Import rejected');
+            let current = null;
+            try {
+                // An import of audit entries alone has nothing for the transaction
+                if (batch.length > 0) {
+                    await this.withTransaction(storeNames, 'readwrite', async tx => {
+                        for (const entry of batch) {
+                            current = entry;
+                            let record = entry.sealed;
+                            let reason = null;
+
+                            if (entry.storeName === 'users') {
+                                const existing = await tx.get('users', record.id);
+                                if (existing) {
+                                    record = { ...record, password: existing.password };
+                                    if (existing.twoFactor) record.twoFactor = existing.twoFactor;
+                                } else {
+                                    reason = 'Imported without credentials; a password reset is required';
+                                }
+                            }
+
+                            const conflict = await this.findUniqueConflict(tx, entry.storeName, record);
+                            if (conflict) {
+                                note(entry.storeName, entry.index, entry.record, 'rejected', `${conflict} is already used by another record`);
+                                continue;
+                            }
+
+                            await tx.put(entry.storeName, record);
+                            note(entry.storeName, entry.index, entry.record, 'accepted', reason);
+                        }
+                        current = null;
+
+                        if (rejected()) throw rollback;
+                    });
+                }
+            } catch (error) {
+                if (error !== rollback) {
+                    if (!current) throw error;
+                    note(current.storeName, current.index, current.record, 'rejected', error.message);
+                }
+                skipUnwritten();
+                return report;
+            }
+
+            for (const entry of auditEntries) {
+                const { userId = null, action, details = null, timestamp, ip = null, userAgent = null,
+                    targetStore = null, targetKey = null, changes = null } = entry.record;
+                await this.queueAuditEntry({
+                    userId, action, details, timestamp, ip, userAgent, targetStore, targetKey, changes,
+                    importedId: entry.record.id ?? null
+                });
+                note(entry.storeName, entry.index, entry.record, 'accepted', 'Appended to the audit log as a new entry');
+            }
+
+            report.success = true;
+            report.imported = entries.length;
+
+            // Cached state may no longer match what is stored
+            this.roleCache = null;
+            await this.loadEncryptionConfig();
+            await this.loadSyncConfig();
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'data_import',
+                `Imported ${entries.length} records into ${Object.keys(report.stores).length} collections`);
+
+            return report;
+        } catch (error) {
+            console.error('Import data error:', error);
+            throw error;
+        }
+    }
+
+    // ============================================
+    // SPREADSHEET EXPORTS
+    // ============================================
+
+    // Each export takes { format: 'csv' | 'xlsx', columns: [key, ...] } and
+    // returns a Blob (a File, named for download, where the runtime has one).
+    // Pass columns to pick and order columns by key; an unknown key throws
+    // and lists the available ones.
+
+    // One row per student, one column per class date. Cells hold P, A, L or E
+    // (late and excused), joined with "/" when a date had several periods.
+    async exportAttendanceRegister(subject, options = {}) {
+        try {
+            if (!subject) {
+                throw new Error('Subject is required');
+            }
+            await this.authorize('attendance.view', { course: subject, department: options.department });
+
+            const { startDate = '', endDate = null, department = null } = options;
+            const records = await this.query('attendance')
+                .index('subject')
+                .equals(subject)
+                .filter(record => record.date >= startDate && (!endDate || record.date <= endDate))
+                .toArray();
+
+            // Students enrolled in any section of the course appear even before
+            // their first record; anyone else with records for it (after
+            // dropping the course, say) keeps their row
+            const enrolled = [];
+            const sections = await this.query('sections').index('courseCode').equals(subject).toArray();
+            for (const section of sections) {
+                enrolled.push(...await this.query('enrollments').index('sectionId').equals(section.id)
+                    .filter(enrollment => enrollment.status === 'active').toArray());
+            }
+
+            const students = new Map();
+            for (const studentId of [...enrolled, ...records].map(entry => entry.studentId)) {
+                if (!students.has(studentId)) {
+                    students.set(studentId, await this.getObject('users', studentId) || { id: studentId });
+                }
+            }
+
+            // Late and excused classes are weighted as in getAttendanceStats()
+            const rules = await this.getAttendanceRules();
+            const codes = { present: 'P', absent: 'A', late: 'L', excused: 'E' };
+            const dates = [...new Set(records.map(record => record.date))].sort();
+            const rows = [...students.values()]
+                .filter(student => !department || student.department === department)
+                .sort((a, b) => a.id.localeCompare(b.id))
+                .map(student => {
+                    const own = records.filter(record => record.studentId === student.id);
+                    const summary = this.summarizeAttendance(own, rules);
+                    const row = {
+                        studentId: student.id,
+                        name: student.name || '',
+                        department: student.department || '',
+                        attended: summary.attended,
+                        total: summary.total,
+                        percentage: summary.total > 0 ? summary.percentage : null
+                    };
+                    dates.forEach(date => {
+                        row[date] = own.filter(record => record.date === date)
+                            .map(record => codes[record.status] || record.status).join('/');
+                    });
+                    return row;
+                });
+
+            const columns = [
+                { key: 'studentId', label: 'Student ID' },
+                { key: 'name', label: 'Name' },
+                { key: 'department', label: 'Department' },
+                ...dates.map(date => ({ key: date, label: date })),
+                { key: 'attended', label: 'Attended' },
+                { key: 'total', label: 'Classes' },
+                { key: 'percentage', label: 'Attendance %' }
+            ];
+
+            const range = [startDate, endDate].filter(Boolean).join('_to_');
+            return this.createSpreadsheetFile({ columns, rows }, `attendance_${subject}${range ? `_${range}` : ''}`, options);
+        } catch (error) {
+            console.error('Export attendance register error:', error);
+            throw error;
+        }
+    }
+
+    // One row per student and semester, with a grade column per subject. CGPA
+    // is cumulative up to that semester, weighted by subject credits the same
+    // way getStudentResults() computes it.
+    async exportResults(options = {}) {
+        try {
+            const { semester = null, department = null } = options;
+            await this.authorize('results.view', { department });
+
+            const results = await this.query('results').index('student_semester').toArray();
+            if (results.some(result => result.encryptedFieldsLocked)) {
+                throw new Error('Unlock encrypted data before exporting results');
+            }
+
+            const users = new Map();
+            const subjects = new Set();
+            const rows = [];
+            const totals = new Map();
+
+            // The index orders each student's semesters, so CGPA accumulates in order
+            for (const result of results) {
+                if (!users.has(result.studentId)) {
+                    users.set(result.studentId, await this.getObject('users', result.studentId) || {});
+                }
+                const student = users.get(result.studentId);
+
+                const total = totals.get(result.studentId) || { points: 0, credits: 0 };
+                (result.subjects || []).forEach(subject => {
+                    total.points += this.getGradePoints(subject.grade) * (subject.credits || 1);
+                    total.credits += subject.credits || 1;
+                });
+                totals.set(result.studentId, total);
+
+                if (semester !== null && String(result.semester) !== String(semester)) continue;
+                if (department && student.department !== department) continue;
+
+                const row = {
+                    studentId: result.studentId,
+                    name: student.name || '',
+                    department: student.department || '',
+                    semester: result.semester,
+                    creditsEarned: Number(result.creditsEarned) || 0,
+                    totalCredits: Number(result.totalCredits) || 0,
+                    sgpa: Number(result.sgpa) || 0,
+                    cgpa: total.credits > 0 ? Math.round((total.points / total.credits) * 100) / 100 : 0
+                };
+                (result.subjects || []).forEach(subject => {
+                    const name = subject.code || subject.name;
+                    subjects.add(name);
+                    row[`grade:${name}`] = subject.grade;
+                });
+                rows.push(row);
+            }
+
+            const columns = [
+                { key: 'studentId', label: 'Student ID' },
+                { key: 'name', label: 'Name' },
+                { key: 'department', label: 'Department' },
+                { key: 'semester', label: 'Semester' },
+                ...[...subjects].sort().map(name => ({ key: `grade:${name}`, label: name })),
+                { key: 'creditsEarned', label: 'Credits Earned' },
+                { key: 'totalCredits', label: 'Total Credits' },
+                { key: 'sgpa', label: 'SGPA' },
+                { key: 'cgpa', label: 'CGPA' }
+            ];
+
+            const scope = [department, semester !== null ? `sem${semester}` : null].filter(Boolean).join('_');
+            return this.createSpreadsheetFile({ columns, rows }, `results${scope ? `_${scope}` : ''}`, options);
+        } catch (error) {
+            console.error('Export results error:', error);
+            throw error;
+        }
+    }
+
+    // studentData fields become columns keyed "studentData.<field>"
+    async exportApplications(opportunityId, options = {}) {
+        try {
+            await this.authorize('career.review');
+
+            const opportunity = await this.getObject('careerOpportunities', opportunityId);
+            if (!opportunity) {
+                throw new Error('Opportunity not found');
+            }
+
+            const applications = await this.query('studentApplications')
+                .index('opportunityId')
+                .equals(opportunityId)
+                .toArray();
+            if (applications.some(application => application.encryptedFieldsLocked)) {
+                throw new Error('Unlock encrypted data before exporting applications');
+            }
+
+            const fields = new Set();
+            const rows = [];
+            for (const application of applications) {
+                const student = await this.getObject('users', application.studentId) || {};
+                const row = {
+                    id: application.id,
+                    studentId: application.studentId,
+                    name: student.name || '',
+                    email: student.email || '',
+                    department: student.department || '',
+                    status: application.status,
+                    appliedDate: application.appliedDate
+                };
+                Object.entries(application.studentData || {}).forEach(([field, value]) => {
+                    fields.add(field);
+                    row[`studentData.${field}`] = value;
+                });
+                rows.push(row);
+            }
+
+            const columns = [
+                { key: 'id', label: 'Application ID' },
+                { key: 'studentId', label: 'Student ID' },
+                { key: 'name', label: 'Name' },
+                { key: 'email', label: 'Email' },
+                { key: 'department', label: 'Department' },
+                { key: 'status', label: 'Status' },
+                { key: 'appliedDate', label: 'Applied' },
+                ...[...fields].map(field => ({ key: `studentData.${field}`, label: field }))
+            ];
+
+            const title = String(opportunity.title || opportunityId).replace(/[^\w-]+/g, '_');
+            return this.createSpreadsheetFile({ columns, rows }, `applications_${title}`, options);
+        } catch (error) {
+            console.error('Export applications error:', error);
+            throw error;
+        }
+    }
+
+    createSpreadsheetFile(table, baseName, options = {}) {
+        const format = options.format || 'csv';
+        const selected = { columns: Spreadsheet.selectColumns(table.columns, options.columns), rows: table.rows };
+
+        let content;
+        let type;
+        if (format === 'csv') {
+            content = Spreadsheet.toCSV(selected);
+            type = 'text/csv;charset=utf-8';
+        } else if (format === 'xlsx') {
+            content = Spreadsheet.toXLSX(selected, baseName);
+            type = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        } else {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const fileName = `${baseName.replace(/[^\w.-]+/g, '_')}.${format}`;
+        return typeof File === 'function'
+            ? new File([content], fileName, { type })
+            : new Blob([content], { type });
+    }
+
+    // ============================================
+    // BACKUP AND RESTORE
+    // ============================================
+
+    // A backup is a gzip-compressed JSON snapshot of getBackupStores(), read
+    // in one transaction and kept in the backups store. Records are copied as
+    // stored - credentials included, encrypted fields still sealed - so a
+    // restore brings back a working system. metadata.checksum is the SHA-256
+    // of the JSON-encoded data and is verified before anything is restored.
+
+    getBackupStores() {
+        return [
+            'users', 'roles', 'roleAssignments', 'attendance', 'messMenu', 'mealBookings',
+            'careerOpportunities', 'studentApplications', 'results', 'campusAlerts',
+            'emergencyContacts', 'campusLocations', 'attendanceReports', 'systemSettings',
+            'activityLog', 'auditArchive', 'encryptionKeys', 'courses', 'sections',
+            'facultyAssignments', 'enrollments', 'timetableSlots', 'attendanceSessions', 'attendanceWarnings'
+        ];
+    }
+
+    // Settings a restore must never overwrite or remove
+    isProtectedSetting(key) {
+        return this.secretSettingKeys.includes(key) || key === 'schema_version';
+    }
+
+    getDefaultBackupSchedule() {
+        return { intervalHours: 24, keepLast: 7, maxAgeDays: 30 };
+    }
+
+    async getBackupSchedule() {
+        const setting = await this.getObject('systemSettings', 'backup_schedule');
+        return { ...this.getDefaultBackupSchedule(), ...(setting ? JSON.parse(setting.value) : {}) };
+    }
+
+    // intervalHours of 0 turns scheduled backups off. Retention only ever
+    // removes scheduled backups; manual ones stay until deleted.
+    async setBackupSchedule(schedule) {
+        try {
+            const currentUser = await this.authorize('data.backup');
+
+            const updated = { ...await this.getBackupSchedule(), ...schedule };
+            const valid = Number.isFinite(updated.intervalHours) && updated.intervalHours >= 0 &&
+                Number.isInteger(updated.keepLast) && updated.keepLast >= 1 &&
+                Number.isFinite(updated.maxAgeDays) && updated.maxAgeDays > 0;
+            if (!valid) {
+                throw new Error('Backup schedule needs intervalHours >= 0, keepLast >= 1 and maxAgeDays > 0');
+            }
+
+            await this.saveSystemSetting('backup_schedule', JSON.stringify(updated));
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'set_backup_schedule',
+                `Backups every ${updated.intervalHours}h, keeping ${updated.keepLast} for ${updated.maxAgeDays} days`);
+
+            return updated;
         } catch (error) {
-            console.error('Export data as JSON error:', error);
+            console.error('Set backup schedule error:', error);
             throw error;
         }
     }
 
-    async importData(jsonData) {
+    async createBackup() {
         try {
-            const currentUser = await this.getCurrentUser();
-            if (!currentUser || currentUser.role !== 'admin') {
-                throw new Error('Admin access required');
-            }
+            const currentUser = await this.authorize('data.backup');
 
-            const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+            const backup = await this.writeBackup('manual', currentUser.id);
 
-            // Import each data type
-            const importPromises = [];
+            // Log activity
+            await this.logActivity(currentUser.id, 'create_backup',
+                `Created backup: ${backup.id}`);
 
-            if (data.data.users) {
-                data.data.users.forEach(user => {
-                    importPromises.push(this.putObject('users', user));
-                });
-            }
+            return backup;
+        } catch (error) {
+            console.error('Create backup error:', error);
+            throw error;
+        }
+    }
 
-            if (data.data.attendance) {
-                data.data.attendance.forEach(record => {
-                    importPromises.push(this.putObject('attendance', record));
-                });
-            }
+    async writeBackup(trigger, userId = null, snapshot = null) {
+        const backup = snapshot || await this.takeSnapshot();
+        const checksum = await this.sha256Hex(JSON.stringify(backup.data));
+        backup.metadata = { ...backup.metadata, checksum };
+
+        const { bytes, compression } = await this.gzipBytes(new TextEncoder().encode(JSON.stringify(backup)));
+        const createdAt = new Date().toISOString();
+        const record = {
+            id: `backup_${createdAt.replace(/[:.]/g, '-')}_${this.generateSessionId().slice(0, 8)}`,
+            createdAt,
+            createdBy: userId,
+            trigger,
+            compression,
+            checksum,
+            size: bytes.length,
+            metadata: backup.metadata,
+            payload: this.bytesToBase64(bytes)
+        };
 
-            if (data.data.messMenu) {
-                data.data.messMenu.forEach(menu => {
-                    importPromises.push(this.putObject('messMenu', menu));
-                });
-            }
+        await this.withTransaction('backups', 'readwrite', tx => tx.put('backups', record));
+        await this.saveSystemSetting('last_backup', createdAt);
 
-            if (data.data.careerOpportunities) {
-                data.data.careerOpportunities.forEach(opportunity => {
-                    importPromises.push(this.putObject('careerOpportunities', opportunity));
-                });
-            }
+        return this.describeBackup(record);
+    }
 
-            if (data.data.studentApplications) {
-                data.data.studentApplications.forEach(application => {
-                    importPromises.push(this.putObject('studentApplications', application));
-                });
-            }
+    async takeSnapshot() {
+        const stores = this.getBackupStores();
+        const contents = await this.executeTransaction(stores, 'readonly',
+            transaction => Promise.all(stores.map(storeName => transaction.getAll(storeName))));
+
+        const data = {};
+        const recordCounts = {};
+        stores.forEach((storeName, index) => {
+            data[storeName] = storeName === 'systemSettings'
+                ? contents[index].filter(setting => !this.secretSettingKeys.includes(setting.key))
+                : contents[index];
+            recordCounts[storeName] = data[storeName].length;
+        });
 
-            if (data.data.results) {
-                data.data.results.forEach(result => {
-                    importPromises.push(this.putObject('results', result));
-                });
-            }
+        return {
+            metadata: {
+                format: 'nerist-backup',
+                version: 2,
+                exportDate: new Date().toISOString(),
+                schemaVersion: this.dbVersion,
+                recordCounts
+            },
+            data
+        };
+    }
 
-            if (data.data.campusAlerts) {
-                data.data.campusAlerts.forEach(alert => {
-                    importPromises.push(this.putObject('campusAlerts', alert));
-                });
-            }
+    describeBackup(record) {
+        const { payload, ...summary } = record;
+        return { ...summary, recordCounts: record.metadata.recordCounts || {} };
+    }
 
-            if (data.data.emergencyContacts) {
-                data.data.emergencyContacts.forEach(contact => {
-                    importPromises.push(this.putObject('emergencyContacts', contact));
-                });
-            }
+    async listBackups() {
+        try {
+            await this.authorize('data.backup');
 
-            if (data.data.campusLocations) {
-                data.data.campusLocations.forEach(location => {
-                    importPromises.push(this.putObject('campusLocations', location));
-                });
-            }
+            const backups = await this.query('backups').index('createdAt').reverse().toArray();
+            return backups.map(record => this.describeBackup(record));
+        } catch (error) {
+            console.error('List backups error:', error);
+            throw error;
+        }
+    }
 
-            if (data.data.systemSettings) {
-                data.data.systemSettings.forEach(setting => {
-                    importPromises.push(this.putObject('systemSettings', setting));
-                });
-            }
+    async deleteBackup(backupId) {
+        try {
+            const currentUser = await this.authorize('data.backup');
 
-            await Promise.all(importPromises);
+            await this.deleteObject('backups', backupId);
 
             // Log activity
-            await this.logActivity(currentUser.id, 'data_import',
-                `Imported data with ${Object.keys(data.data).length} collections`);
+            await this.logActivity(currentUser.id, 'delete_backup', `Deleted backup: ${backupId}`);
 
-            return {
-                success: true,
-                importedCollections: Object.keys(data.data).length,
-                totalRecords: importPromises.length
-            };
+            return true;
         } catch (error) {
-            console.error('Import data error:', error);
+            console.error('Delete backup error:', error);
             throw error;
         }
     }
 
-    // ============================================
-    // BACKUP AND RESTORE
-    // ============================================
-
-    async createBackup() {
+    // Returns the backup as a .json.gz Blob and, in a browser, saves it as a file
+    async downloadBackup(backupId) {
         try {
-            const exportData = await this.exportDataAsJSON();
-            const backupKey = `nerist_backup_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+            await this.authorize('data.backup');
 
-            // Save to localStorage
-            localStorage.setItem(backupKey, JSON.stringify(exportData));
+            const record = await this.getObject('backups', backupId);
+            if (!record) {
+                throw new Error('Backup not found');
+            }
 
-            // Update last backup time
-            await this.setSystemSetting('last_backup', new Date().toISOString());
+            const fileName = `nerist-${record.id}.json${record.compression === 'gzip' ? '.gz' : ''}`;
+            const blob = new Blob([this.base64ToBytes(record.payload)], {
+                type: record.compression === 'gzip' ? 'application/gzip' : 'application/json'
+            });
 
-            // Log activity
-            const currentUser = await this.getCurrentUser();
-            if (currentUser) {
-                await this.logActivity(currentUser.id, 'create_backup',
-                    `Created backup: ${backupKey}`);
+            if (typeof document !== 'undefined' && typeof URL.createObjectURL === 'function') {
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = fileName;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(link.href), 0);
             }
 
-            return {
-                key: backupKey,
-                ...exportData.metadata
-            };
+            return { fileName, blob, checksum: record.checksum };
         } catch (error) {
-            console.error('Create backup error:', error);
+            console.error('Download backup error:', error);
             throw error;
         }
     }
 
-    async restoreBackup(backupKey) {
+    async verifyBackup(source) {
+        await this.authorize('data.backup');
+
         try {
-            const currentUser = await this.getCurrentUser();
-            if (!currentUser || currentUser.role !== 'admin') {
-                throw new Error('Admin access required');
+            const { backup, verified } = await this.readBackup(source);
+            return { valid: true, verified, metadata: backup.metadata };
+        } catch (error) {
+            console.error('Verify backup error:', error);
+            return { valid: false, verified: false, error: error.message };
+        }
+    }
+
+    // source is a backup id, or a Blob, File or byte array holding a backup
+    // file. mode 'merge' overlays the backup on current records; 'replace'
+    // makes every backed-up store match the backup exactly. With dryRun the
+    // per-store counts are returned and nothing is written.
+    async restoreBackup(source, options = {}) {
+        try {
+            const currentUser = await this.authorize('data.restore');
+            const mode = options.mode || 'merge';
+
+            if (mode !== 'merge' && mode !== 'replace') {
+                throw new Error(`Unknown restore mode: ${mode}`);
             }
 
-            const backupData = localStorage.getItem(backupKey);
-            if (!backupData) {
-                throw new Error('Backup not found');
+            const { backup, verified } = await this.readBackup(source);
+            if ((backup.metadata.schemaVersion || 0) > this.dbVersion) {
+                throw new Error('This backup was made by a newer version of NERIST One');
+            }
+            if (mode === 'replace' && backup.metadata.legacy) {
+                throw new Error('Legacy backups hold no credentials and can only be merged');
+            }
+
+            const incoming = {};
+            this.getBackupStores()
+                .filter(storeName => Array.isArray(backup.data[storeName]))
+                .forEach(storeName => {
+                    incoming[storeName] = backup.data[storeName].filter(record =>
+                        storeName !== 'systemSettings' || !this.isProtectedSetting(record.key));
+                });
+            const storeNames = Object.keys(incoming);
+
+            if (options.dryRun) {
+                const changes = await this.withTransaction(storeNames, 'readonly',
+                    tx => this.planRestore(tx, incoming, mode, false));
+                return { dryRun: true, mode, verified, metadata: backup.metadata, changes };
             }
 
-            // Clear existing data (optional - you might want to merge instead)
-            // await this.clearDatabase();
+            // Encryption has to happen before the transaction opens
+            for (const storeName of storeNames) {
+                incoming[storeName] = await Promise.all(
+                    incoming[storeName].map(record => this.sealRecord(storeName, record)));
+            }
 
-            // Import the backup
-            const result = await this.importData(backupData);
+            const changes = await this.withTransaction(storeNames, 'readwrite',
+                tx => this.planRestore(tx, incoming, mode, true));
+
+            // Cached state may no longer match what is stored
+            this.roleCache = null;
+            this.auditHead = null;
+            await this.loadEncryptionConfig();
+            await this.loadSyncConfig();
+            const keyCounts = changes.encryptionKeys;
+            if (keyCounts && keyCounts.added + keyCounts.updated + keyCounts.removed > 0) {
+                this.lockEncryption();
+            }
 
             // Log activity
             await this.logActivity(currentUser.id, 'restore_backup',
-                `Restored backup: ${backupKey}`);
+                `Restored backup from ${backup.metadata.exportDate} (${mode})`);
 
-            return result;
+            return { dryRun: false, mode, verified, metadata: backup.metadata, changes };
         } catch (error) {
             console.error('Restore backup error:', error);
             throw error;
         }
     }
 
-    async listBackups() {
-        try {
-            const backups = [];
-
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key.startsWith('nerist_backup_')) {
-                    try {
-                        const data = JSON.parse(localStorage.getItem(key));
-                        backups.push({
-                            key: key,
-                            exportDate: data.metadata?.exportDate || 'Unknown',
-                            recordCounts: data.metadata?.recordCounts || {}
-                        });
-                    } catch (e) {
-                        // Skip invalid backups
-                    }
+    // Counts added/updated/removed/unchanged records per store, writing them
+    // only when apply is set, so the dry run and the restore cannot disagree
+    async planRestore(tx, incoming, mode, apply) {
+        const changes = {};
+
+        for (const [storeName, records] of Object.entries(incoming)) {
+            const { keyPath } = this.storage.getStoreSchema(storeName);
+            const current = new Map((await tx.getAll(storeName)).map(record =>
+                [StorageKeys.serialize(StorageKeys.extract(record, keyPath)), record]));
+            const counts = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+            const restored = new Set();
+
+            for (const record of records) {
+                const key = StorageKeys.extract(record, keyPath);
+                const id = key === undefined ? null : StorageKeys.serialize(key);
+                const existing = id === null ? undefined : current.get(id);
+                const next = mode === 'merge' && existing ? { ...existing, ...record } : record;
+                if (id !== null) restored.add(id);
+
+                if (!existing) {
+                    counts.added++;
+                } else if (JSON.stringify(existing) === JSON.stringify(next)) {
+                    counts.unchanged++;
+                    continue;
+                } else {
+                    counts.updated++;
                 }
+                if (apply) await tx.put(storeName, next);
             }
 
-            // Sort by date (newest first)
-            backups.sort((a, b) => new Date(b.exportDate) - new Date(a.exportDate));
+            if (mode === 'replace') {
+                for (const [id, record] of current) {
+                    if (restored.has(id)) continue;
+                    if (storeName === 'systemSettings' && this.isProtectedSetting(record.key)) continue;
 
-            return backups;
-        } catch (error) {
-            console.error('List backups error:', error);
-            throw error;
+                    counts.removed++;
+                    if (apply) await tx.delete(storeName, StorageKeys.extract(record, keyPath));
+                }
+            }
+
+            changes[storeName] = counts;
         }
+
+        return changes;
     }
 
-    async deleteBackup(backupKey) {
+    async readBackup(source) {
+        let bytes;
+        if (typeof source === 'string') {
+            const record = await this.getObject('backups', source);
+            if (!record) {
+                throw new Error('Backup not found');
+            }
+            bytes = this.base64ToBytes(record.payload);
+        } else if (source instanceof Uint8Array) {
+            bytes = source;
+        } else if (source instanceof ArrayBuffer) {
+            bytes = new Uint8Array(source);
+        } else if (source && typeof source.arrayBuffer === 'function') {
+            bytes = new Uint8Array(await source.arrayBuffer());
+        } else {
+            throw new Error('Pass a backup id, Blob or byte array');
+        }
+
+        // gzip streams start with 1f 8b; anything else is read as plain JSON
+        const gzipped = bytes[0] === 0x1f && bytes[1] === 0x8b;
+        let backup;
         try {
-            localStorage.removeItem(backupKey);
-            return true;
+            backup = JSON.parse(new TextDecoder().decode(gzipped ? await this.gunzipBytes(bytes) : bytes));
         } catch (error) {
-            console.error('Delete backup error:', error);
-            throw error;
+            throw new Error('Backup is not readable JSON');
+        }
+        if (!backup || !backup.metadata || !backup.data) {
+            throw new Error('Not a NERIST backup');
+        }
+
+        // Plain exports carry no checksum; they restore but are reported unverified
+        if (!backup.metadata.checksum) {
+            return { backup, verified: false };
+        }
+        if (await this.sha256Hex(JSON.stringify(backup.data)) !== backup.metadata.checksum) {
+            throw new Error('Backup checksum does not match; the backup is corrupted');
+        }
+        return { backup, verified: true };
+    }
+
+    async runScheduledBackup() {
+        const schedule = await this.getBackupSchedule();
+        if (!schedule.intervalHours) return null;
+
+        const [latest] = await this.query('backups').index('createdAt').reverse()
+            .filter(record => record.trigger === 'scheduled').limit(1).toArray();
+        const dueAt = latest ? new Date(latest.createdAt).getTime() + schedule.intervalHours * 60 * 60 * 1000 : 0;
+        if (Date.now() < dueAt) return null;
+
+        const backup = await this.writeBackup('scheduled');
+        await this.pruneBackups(schedule);
+        return backup;
+    }
+
+    // Keeps the newest keepLast scheduled backups that are younger than
+    // maxAgeDays, and always the newest one
+    async pruneBackups(schedule) {
+        const cutoff = Date.now() - schedule.maxAgeDays * 24 * 60 * 60 * 1000;
+
+        return this.withTransaction('backups', 'readwrite', async tx => {
+            const scheduled = (await tx.getAll('backups'))
+                .filter(record => record.trigger === 'scheduled')
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+            let removed = 0;
+            for (const [index, record] of scheduled.entries()) {
+                if (index === 0) continue;
+                if (index >= schedule.keepLast || new Date(record.createdAt).getTime() < cutoff) {
+                    await tx.delete('backups', record.id);
+                    removed++;
+                }
+            }
+            return removed;
+        });
+    }
+
+    // Older versions kept backups as JSON strings in localStorage. Move them
+    // into the backups store once, freeing the quota they used.
+    async migrateLegacyBackups() {
+        const keys = [];
+        for (let i = 0; i < this.sessionStore.length; i++) {
+            const key = this.sessionStore.key(i);
+            if (key && key.startsWith('nerist_backup_')) keys.push(key);
+        }
+
+        for (const key of keys) {
+            try {
+                const legacy = JSON.parse(this.sessionStore.getItem(key));
+                await this.writeBackup('legacy', null, {
+                    metadata: { ...legacy.metadata, format: 'nerist-backup', legacy: true, legacyKey: key },
+                    data: legacy.data
+                });
+                this.sessionStore.removeItem(key);
+            } catch (error) {
+                console.error(`Legacy backup ${key} could not be migrated:`, error);
+            }
         }
+
+        return keys.length;
     }
 
     // ============================================
     // HELPER FUNCTIONS
     // ============================================
 
-    hashPassword(password) {
-        // Simple hash for demo - in production, use proper hashing (bcrypt, etc.)
-        return btoa(password + 'nerist_salt');
+    async hashPassword(password, iterations = null) {
+        // PBKDF2-SHA256 with a random per-user salt, stored as
+        // pbkdf2_sha256$<iterations>$<salt>$<hash>
+        const rounds = iterations || await this.getPasswordHashIterations();
+        const salt = this.crypto.getRandomValues(new Uint8Array(16));
+        const hash = await this.derivePasswordBits(password, salt, rounds);
+
+        return `pbkdf2_sha256$${rounds}$${this.bytesToBase64(salt)}$${this.bytesToBase64(hash)}`;
+    }
+
+    async verifyPassword(password, storedHash) {
+        if (!storedHash) return { valid: false, needsRehash: false };
+
+        // Hashes written before PBKDF2 was introduced
+        if (this.isLegacyPasswordHash(storedHash)) {
+            const valid = this.timingSafeEqual(this.legacyHashPassword(password), storedHash);
+            return { valid, needsRehash: valid };
+        }
+
+        const [, rounds, salt, hash] = storedHash.split('$');
+        const iterations = parseInt(rounds, 10);
+        const derived = await this.derivePasswordBits(password, this.base64ToBytes(salt), iterations);
+        const valid = this.timingSafeEqual(this.bytesToBase64(derived), hash);
+
+        return {
+            valid,
+            needsRehash: valid && iterations < await this.getPasswordHashIterations()
+        };
+    }
+
+    async derivePasswordBits(password, salt, iterations) {
+        const keyMaterial = await this.crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await this.crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            keyMaterial,
+            256
+        );
+        return new Uint8Array(bits);
+    }
+
+    async getPasswordHashIterations() {
+        const setting = await this.getSystemSetting('password_hash_iterations');
+        return parseInt(setting, 10) || this.passwordHashIterations;
+    }
+
+    isLegacyPasswordHash(storedHash) {
+        return !storedHash.startsWith('pbkdf2_sha256$');
+    }
+
+    legacyHashPassword(password) {
+        // Original btoa scheme, kept only to verify and migrate old accounts
+        return this.binaryToBase64(password + 'nerist_salt');
+    }
+
+    sanitizeUser(user) {
+        // Strip credentials and 2FA secrets from anything handed to callers
+        const { password, twoFactor, ...safeUser } = user;
+        safeUser.twoFactor = { enabled: !!twoFactor?.enabled };
+        return safeUser;
+    }
+
+    base32Encode(bytes) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += alphabet[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += alphabet[(value << (5 - bits)) & 31];
+        }
+        return output;
+    }
+
+    base32Decode(input) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of clean) {
+            value = (value << 5) | alphabet.indexOf(char);
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    timingSafeEqual(a, b) {
+        if (a.length !== b.length) return false;
+
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return this.binaryToBase64(binary);
+    }
+
+    // btoa/atob, with a Buffer fallback for runtimes that lack them
+    binaryToBase64(binary) {
+        if (typeof btoa === 'function') return btoa(binary);
+        if (/[^\x00-\xff]/.test(binary)) {
+            throw new Error('Cannot base64-encode characters outside Latin-1');
+        }
+        return Buffer.from(binary, 'latin1').toString('base64');
+    }
+
+    base64ToBinary(base64) {
+        if (typeof atob === 'function') return atob(base64);
+        return Buffer.from(base64, 'base64').toString('latin1');
+    }
+
+    toBase64Url(bytes) {
+        return this.bytesToBase64(bytes)
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        return this.base64ToBytes(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    }
+
+    async sha256Hex(text) {
+        const digest = await this.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Runtimes without CompressionStream store the bytes uncompressed
+    async gzipBytes(bytes) {
+        if (typeof CompressionStream === 'undefined') {
+            return { bytes, compression: 'none' };
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+        return { bytes: new Uint8Array(await new Response(stream).arrayBuffer()), compression: 'gzip' };
+    }
+
+    async gunzipBytes(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed backups');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    base64ToBytes(base64) {
+        const binary = this.base64ToBinary(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
     }
 
     async createSession(user) {
+        const now = new Date();
+        const lifetime = await this.getSessionSettingMs('session_lifetime_hours', 24, 60 * 60 * 1000);
+        const sessionId = this.generateSessionId();
+
         const session = {
+            id: sessionId,
             userId: user.id,
             username: user.username,
             role: user.role,
-            token: this.generateToken(user.id),
-            createdAt: new Date().toISOString(),
-            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
+            userAgent: this.environment.userAgent,
+            createdAt: now.toISOString(),
+            lastActiveAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + lifetime).toISOString(),
+            revokedAt: null
         };
 
-        localStorage.setItem('nerist_session', JSON.stringify(session));
-        localStorage.setItem('nerist_token', session.token);
+        await this.putObject('sessions', session);
 
-        return session;
+        const token = await this.signSessionToken(sessionId, user.id);
+        this.sessionStore.setItem('nerist_session', JSON.stringify({
+            sessionId,
+            userId: user.id,
+            username: user.username,
+            role: user.role,
+            createdAt: session.createdAt,
+            expiresAt: session.expiresAt
+        }));
+        this.sessionStore.setItem('nerist_token', token);
+
+        return { ...session, token };
     }
 
     async restoreSession() {
-        const sessionStr = localStorage.getItem('nerist_session');
-        if (!sessionStr) return null;
-
         try {
-            const session = JSON.parse(sessionStr);
-
-            // Check if session is expired
-            if (new Date(session.expiresAt) < new Date()) {
-                localStorage.removeItem('nerist_session');
-                localStorage.removeItem('nerist_token');
+            const session = await this.validateSession(this.sessionStore.getItem('nerist_token'));
+            if (!session) {
+                this.clearLocalSession();
                 return null;
             }
 
             // Get user data
             const user = await this.getUserById(session.userId);
             if (!user || !user.isActive) {
-                localStorage.removeItem('nerist_session');
-                localStorage.removeItem('nerist_token');
+                await this.endSession(session, 'user_inactive');
+                this.clearLocalSession();
                 return null;
             }
 
-            const { password, ...userWithoutPassword } = user;
-            this.currentUser = userWithoutPassword;
+            this.currentUser = this.sanitizeUser(user);
 
             return session;
         } catch (error) {
             console.error('Restore session error:', error);
-            localStorage.removeItem('nerist_session');
-            localStorage.removeItem('nerist_token');
+            this.clearLocalSession();
+            return null;
+        }
+    }
+
+    getLocalSession() {
+        try {
+            return JSON.parse(this.sessionStore.getItem('nerist_session'));
+        } catch (error) {
             return null;
         }
     }
 
-    generateToken(userId) {
-        const timestamp = Date.now();
-        const random = Math.random().toString(36).substring(2, 15);
-        return btoa(`${userId}_${timestamp}_${random}`).replace(/=/g, '');
+    clearLocalSession() {
+        this.sessionStore.removeItem('nerist_session');
+        this.sessionStore.removeItem('nerist_token');
+    }
+
+    generateSessionId() {
+        const bytes = this.crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async signSessionToken(sessionId, userId) {
+        const key = await this.getSessionSigningKey();
+        const signature = await this.crypto.subtle.sign(
+            'HMAC', key, new TextEncoder().encode(`${sessionId}.${userId}`)
+        );
+        return `${sessionId}.${this.toBase64Url(new Uint8Array(signature))}`;
+    }
+
+    async getSessionSigningKey() {
+        if (this.sessionSigningKey) return this.sessionSigningKey;
+
+        // The HMAC secret is generated once per database and never exported
+        let secret = await this.getSecretSetting('session_signing_secret');
+        if (!secret) {
+            secret = this.bytesToBase64(this.crypto.getRandomValues(new Uint8Array(32)));
+            await this.saveSystemSetting('session_signing_secret', secret);
+        }
+
+        this.sessionSigningKey = await this.crypto.subtle.importKey(
+            'raw', this.base64ToBytes(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        return this.sessionSigningKey;
+    }
+
+    async getSessionSettingMs(key, fallback, unitMs) {
+        return (await this.getNumericSetting(key, fallback)) * unitMs;
+    }
+
+    // Falls back only when the stored value is missing or outside the range
+    // in NUMERIC_SETTINGS; setSystemSetting() refuses such values up front
+    async getNumericSetting(key, fallback) {
+        const value = this.parseNumericSetting(await this.getSystemSetting(key));
+        return this.isValidNumericSetting(key, value) ? value : fallback;
+    }
+
+    parseNumericSetting(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string' || value.trim() === '') return NaN;
+        return Number(value);
+    }
+
+    isValidNumericSetting(key, value) {
+        const range = NUMERIC_SETTINGS[key] || { above: 0 };
+        return Number.isFinite(value) &&
+            (range.above === undefined || value > range.above) &&
+            (range.min === undefined || value >= range.min) &&
+            (range.max === undefined || value <= range.max);
+    }
+
+    describeNumericSetting(key) {
+        const range = NUMERIC_SETTINGS[key] || { above: 0 };
+        if (range.above !== undefined) return `a number greater than ${range.above}`;
+        if (range.max !== undefined) return `a number from ${range.min} to ${range.max}`;
+        return `a number of at least ${range.min}`;
     }
 
     async seedInitialData() {
@@ -2202,7 +8921,11 @@ class NERISTBackend {
             ];
 
             for (const location of locations) {
-                await this.putObject('campusLocations', location);
+                await this.putObject('campusLocations', {
+                    ...location,
+                    boundary: Geo.squareAround(location.coords, 40),
+                    boundaryApproximate: true
+                });
             }
 
             // Seed default users
@@ -2210,7 +8933,7 @@ class NERISTBackend {
                 {
                     id: 'student_001',
                     username: 'NER20231045',
-                    password: this.hashPassword('demo123'),
+                    password: await this.hashPassword('demo123'),
                     email: 'ankit.sharma@nerist.ac.in',
                     name: 'Ankit Sharma',
                     role: 'student',
@@ -2229,12 +8952,13 @@ class NERISTBackend {
                         vibrationEnabled: true
                     },
                     createdAt: new Date().toISOString(),
+                    emailVerified: true,
                     isActive: true
                 },
                 {
                     id: 'admin_001',
                     username: 'admin',
-                    password: this.hashPassword('admin123'),
+                    password: await this.hashPassword('admin123'),
                     email: 'admin@nerist.ac.in',
                     name: 'Admin User',
                     role: 'admin',
@@ -2242,12 +8966,13 @@ class NERISTBackend {
                     year: 'Faculty',
                     avatarColor: 'secondary',
                     createdAt: new Date().toISOString(),
+                    emailVerified: true,
                     isActive: true
                 },
                 {
                     id: 'mess_001',
                     username: 'mess',
-                    password: this.hashPassword('mess123'),
+                    password: await this.hashPassword('mess123'),
                     email: 'mess@nerist.ac.in',
                     name: 'Mess Secretary',
                     role: 'mess',
@@ -2255,6 +8980,7 @@ class NERISTBackend {
                     year: 'Staff',
                     avatarColor: 'nerist-green',
                     createdAt: new Date().toISOString(),
+                    emailVerified: true,
                     isActive: true
                 }
             ];
@@ -2269,6 +8995,26 @@ class NERISTBackend {
                 { key: 'system_version', value: '1.0.0' },
                 { key: 'mess_booking_deadline', value: '2' },
                 { key: 'attendance_threshold', value: '75' },
+                { key: 'attendance_late_weight', value: '0.5' },
+                { key: 'attendance_excused_weight', value: '1' },
+                { key: 'attendance_shortage_min_classes', value: '5' },
+                { key: 'attendance_session_lock_hours', value: '48' },
+                { key: 'geofence_tolerance_meters', value: '25' },
+                { key: 'geofence_max_accuracy_meters', value: '100' },
+                { key: 'password_hash_iterations', value: '310000' },
+                { key: 'session_lifetime_hours', value: '24' },
+                { key: 'session_max_lifetime_days', value: '7' },
+                { key: 'session_idle_timeout_minutes', value: '60' },
+                { key: 'login_backoff_base_seconds', value: '1' },
+                { key: 'login_backoff_max_seconds', value: '300' },
+                { key: 'login_lockout_threshold', value: '5' },
+                { key: 'login_lockout_minutes', value: '15' },
+                { key: 'require_email_verification', value: 'false' },
+                { key: 'password_reset_token_minutes', value: '30' },
+                { key: 'email_verification_token_hours', value: '48' },
+                { key: 'mail_from', value: 'noreply@nerist.ac.in' },
+                { key: 'account_invite_token_days', value: '7' },
+                { key: 'two_factor_required_roles', value: '' },
                 { key: 'emergency_sound_volume', value: '70' },
                 { key: 'default_theme', value: 'dark' },
                 { key: 'last_backup', value: new Date().toISOString() }
@@ -2289,34 +9035,66 @@ class NERISTBackend {
     }
 
     async clearDatabase() {
-        // Clear all object stores
+        const currentUser = await this.authorize('data.restore');
+
+        // Logged first; the audit trail and backups are kept, so the entry
+        // survives and the data can be restored
+        await this.logActivity(currentUser.id, 'clear_database', 'Cleared all data');
+
         const storeNames = [
             'users', 'attendance', 'messMenu', 'careerOpportunities',
             'studentApplications', 'results', 'campusAlerts',
             'emergencyContacts', 'campusLocations', 'systemSettings',
-            'activityLog', 'mealBookings', 'attendanceReports'
+            'mealBookings', 'attendanceReports', 'sessions',
+            'roles', 'roleAssignments', 'loginAttempts', 'authTokens', 'mailOutbox',
+            'encryptionKeys', 'changeQueue', 'syncState',
+            'courses', 'sections', 'facultyAssignments', 'enrollments', 'timetableSlots', 'attendanceSessions',
+            'checkInWindows', 'checkIns', 'attendanceWarnings'
         ];
 
         for (const storeName of storeNames) {
             try {
-                await this.executeTransaction(storeName, 'readwrite', (store) => {
-                    store.clear();
-                });
+                await this.withTransaction(storeName, 'readwrite', tx => tx.clear(storeName));
             } catch (error) {
                 console.error(`Error clearing ${storeName}:`, error);
             }
         }
+
+        this.lockEncryption();
+        this.encryptedFields = {};
+        this.syncConfig = null;
+        this.syncDeviceId = null;
+        this.searchIndex = null;
     }
 
     startBackgroundSync() {
+        if (!this.backgroundSyncEnabled || this.backgroundSyncTimer) return;
+
         // Sync every 5 minutes
-        setInterval(async () => {
+        this.backgroundSyncTimer = setInterval(async () => {
             try {
                 await this.performBackgroundSync();
             } catch (error) {
                 console.error('Background sync failed:', error);
             }
         }, 5 * 60 * 1000);
+
+        // Housekeeping alone should not keep a Node process alive
+        if (this.backgroundSyncTimer.unref) this.backgroundSyncTimer.unref();
+    }
+
+    stopBackgroundSync() {
+        clearInterval(this.backgroundSyncTimer);
+        this.backgroundSyncTimer = null;
+    }
+
+    async close() {
+        this.stopBackgroundSync();
+        this.stopCrossTabSync();
+        await this.initPromise?.catch(() => {});
+        await this.storage.close();
+        this.initPromise = null;
+        this.isInitialized = false;
     }
 
     async performBackgroundSync() {
@@ -2324,31 +9102,44 @@ class NERISTBackend {
         const alerts = await this.getAllObjects('campusAlerts');
         const now = new Date();
 
-        for (const alert of alerts) {
-            if (alert.expiry && new Date(alert.expiry) < now && alert.isActive) {
-                alert.isActive = false;
-                await this.putObject('campusAlerts', alert);
+        for (const alert of alerts) {
+            if (alert.expiry && new Date(alert.expiry) < now && alert.isActive) {
+                alert.isActive = false;
+                await this.putObject('campusAlerts', alert);
+            }
+        }
+
+        // Drop sessions that ended more than a day ago
+        const staleBefore = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+        const sessions = await this.getAllObjects('sessions');
+        for (const session of sessions) {
+            const endedAt = new Date(session.revokedAt || session.expiresAt);
+            if (endedAt < staleBefore) {
+                await this.deleteObject('sessions', session.id);
+            }
+        }
+
+        // Drop spent or expired reset and verification tokens
+        const authTokens = await this.getAllObjects('authTokens');
+        for (const record of authTokens) {
+            if (new Date(record.usedAt || record.expiresAt) < staleBefore) {
+                await this.deleteObject('authTokens', record.id);
             }
         }
 
-        // Clean up old activity logs (keep only last 1000 entries)
-        const activities = await this.getAllObjects('activityLog');
-        if (activities.length > 1000) {
-            activities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-            const toKeep = activities.slice(0, 1000);
+        // Move audit entries past their retention period to the archive
+        await this.archiveAuditLog();
 
-            // Clear and re-add
-            await this.executeTransaction('activityLog', 'readwrite', (store) => {
-                store.clear();
-            });
+        // Take a scheduled backup when one is due
+        await this.runScheduledBackup();
 
-            for (const activity of toKeep) {
-                await this.putObject('activityLog', activity);
-            }
+        // Exchange changes with the sync server; failures are logged and retried next run
+        if (this.isSyncEnabled()) {
+            await this.syncNow().catch(() => {});
         }
 
         // Update last sync time
-        await this.setSystemSetting('last_sync', new Date().toISOString());
+        await this.saveSystemSetting('last_sync', new Date().toISOString());
     }
 
     // ============================================
@@ -2383,69 +9174,700 @@ class NERISTBackend {
         const user = await this.getCurrentUser();
         if (!user) return false;
 
-        // Define access rules
-        const accessRules = {
-            student: {
-                attendance: ['view', 'report'],
-                mess: ['view', 'book', 'feedback'],
-                navigation: ['view'],
-                career: ['view', 'apply'],
-                safety: ['view', 'sos'],
-                results: ['view'],
-                home: ['view']
-            },
-            admin: {
-                attendance: ['view', 'mark', 'edit', 'delete'],
-                mess: ['view', 'manage'],
-                navigation: ['view'],
-                career: ['view', 'manage', 'review'],
-                safety: ['view', 'manage'],
-                home: ['view']
-            },
-            mess: {
-                mess: ['view', 'manage'],
-                navigation: ['view'],
-                safety: ['view'],
-                home: ['view']
+        // Page-level checks ask whether the action is allowed anywhere
+        return this.hasPermission(user, `${page}.${action}`, null);
+    }
+
+    // ============================================
+    // REAL-TIME EVENT SYSTEM
+    // ============================================
+
+    // Returns a function that removes the subscription
+    on(pattern, callback) {
+        if (!this.events[pattern]) {
+            this.events[pattern] = [];
+        }
+        this.events[pattern].push(callback);
+        return () => this.off(pattern, callback);
+    }
+
+    once(pattern, callback) {
+        const unsubscribe = this.on(pattern, (event) => {
+            unsubscribe();
+            return callback(event);
+        });
+        return unsubscribe;
+    }
+
+    off(pattern, callback) {
+        if (!this.events[pattern]) return;
+        const index = this.events[pattern].indexOf(callback);
+        if (index > -1) {
+            this.events[pattern].splice(index, 1);
+        }
+    }
+
+    // Call only after the change is committed; inside withTransaction use tx.emit()
+    emit(type, payload = {}, actor = this.currentUser) {
+        const event = this.createEvent(type, payload, actor);
+        this.dispatchEvent(event);
+        this.broadcast({ changes: [], events: [event] });
+        return event;
+    }
+
+    createEvent(type, payload, actor) {
+        if (!Object.values(NERIST_EVENTS).includes(type)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+
+        return {
+            type,
+            payload,
+            actor: actor ? { id: actor.id, name: actor.name, role: actor.role } : null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    dispatchEvent(event) {
+        Object.keys(this.events)
+            .filter(pattern => this.eventMatches(pattern, event.type))
+            .forEach(pattern => {
+                this.events[pattern].slice().forEach(callback => {
+                    // A failing listener must not break the write that triggered it
+                    try {
+                        const result = callback(event);
+                        if (result && typeof result.catch === 'function') {
+                            result.catch(error => console.error(`Event listener error (${event.type}):`, error));
+                        }
+                    } catch (error) {
+                        console.error(`Event listener error (${event.type}):`, error);
+                    }
+                });
+            });
+    }
+
+    eventMatches(pattern, type) {
+        if (pattern === '*' || pattern === type) return true;
+        return pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1));
+    }
+
+    // ============================================
+    // REPLICATION
+    // ============================================
+
+    // Once configureSync() has run, every write to a replicated store is
+    // queued in changeQueue. syncNow() pulls remote changes since the stored
+    // checkpoint, resolves conflicts with the store's policy, then pushes the
+    // queue. README.md documents the protocol; nerist_sync_server.js serves it.
+    //   lww   - the newer change wins the whole record
+    //   merge - fields this device changed are kept over the remote record
+
+    getDefaultSyncPolicies() {
+        return {
+            users: 'merge',
+            messMenu: 'merge',
+            careerOpportunities: 'merge',
+            studentApplications: 'merge',
+            attendanceReports: 'merge'
+        };
+    }
+
+    async loadSyncConfig() {
+        const [serverUrl, policies] = await Promise.all([
+            this.getObject('systemSettings', 'sync_server_url'),
+            this.getObject('systemSettings', 'sync_conflict_policy')
+        ]);
+
+        this.syncConfig = serverUrl && serverUrl.value ? {
+            serverUrl: serverUrl.value,
+            policies: { ...this.getDefaultSyncPolicies(), ...(policies ? JSON.parse(policies.value) : {}) }
+        } : null;
+    }
+
+    isSyncEnabled() {
+        return !!this.syncConfig;
+    }
+
+    isReplicatedStore(storeName) {
+        return NERIST_REPLICATION.stores.includes(storeName);
+    }
+
+    getSyncPolicy(storeName) {
+        return (this.syncConfig && this.syncConfig.policies[storeName]) || 'lww';
+    }
+
+    async configureSync(serverUrl, authToken = null, options = {}) {
+        try {
+            const currentUser = await this.authorize('settings.manage');
+
+            if (!/^https?:\/\//.test(serverUrl || '')) {
+                throw new Error('Sync server URL must start with http:// or https://');
+            }
+            const policies = options.policies || {};
+            this.validateSyncPolicies(policies);
+
+            const wasEnabled = this.isSyncEnabled();
+            await this.saveSystemSetting('sync_auth_token', authToken || '');
+            await this.saveSystemSetting('sync_conflict_policy', JSON.stringify(policies));
+            await this.saveSystemSetting('sync_server_url', serverUrl);
+            await this.loadSyncConfig();
+
+            // Records written before sync was switched on were never queued.
+            // Pass { pushExisting: false } on devices that should start empty.
+            let queued = 0;
+            if (!wasEnabled && options.pushExisting !== false) {
+                queued = await this.queueExistingRecords();
+            }
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'configure_sync',
+                `Configured sync with ${serverUrl} (${queued} records queued)`);
+
+            return { serverUrl, queued };
+        } catch (error) {
+            console.error('Configure sync error:', error);
+            throw error;
+        }
+    }
+
+    async disableSync() {
+        try {
+            const currentUser = await this.authorize('settings.manage');
+
+            await this.saveSystemSetting('sync_server_url', '');
+            await this.loadSyncConfig();
+            await this.withTransaction('changeQueue', 'readwrite', tx => tx.clear('changeQueue'));
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'disable_sync', 'Disabled sync');
+
+            return true;
+        } catch (error) {
+            console.error('Disable sync error:', error);
+            throw error;
+        }
+    }
+
+    async setSyncPolicy(storeName, policy) {
+        try {
+            const currentUser = await this.authorize('settings.manage');
+            this.validateSyncPolicies({ [storeName]: policy });
+
+            const stored = await this.getObject('systemSettings', 'sync_conflict_policy');
+            const policies = { ...(stored ? JSON.parse(stored.value) : {}), [storeName]: policy };
+            await this.saveSystemSetting('sync_conflict_policy', JSON.stringify(policies));
+            await this.loadSyncConfig();
+
+            // Log activity
+            await this.logActivity(currentUser.id, 'set_sync_policy', `Set ${storeName} conflict policy to ${policy}`);
+
+            return policies;
+        } catch (error) {
+            console.error('Set sync policy error:', error);
+            throw error;
+        }
+    }
+
+    validateSyncPolicies(policies) {
+        Object.entries(policies).forEach(([storeName, policy]) => {
+            if (!this.isReplicatedStore(storeName)) {
+                throw new Error(`${storeName} is not a replicated store`);
+            }
+            if (policy !== 'lww' && policy !== 'merge') {
+                throw new Error(`Unknown conflict policy: ${policy}`);
+            }
+        });
+    }
+
+    async getSyncStatus() {
+        const [pending, checkpoint, lastSync] = await Promise.all([
+            this.isSyncEnabled() ? this.countObjects('changeQueue') : 0,
+            this.getObject('syncState', 'checkpoint'),
+            this.getObject('syncState', 'lastSync')
+        ]);
+
+        return {
+            enabled: this.isSyncEnabled(),
+            serverUrl: this.syncConfig ? this.syncConfig.serverUrl : null,
+            policies: this.syncConfig ? this.syncConfig.policies : this.getDefaultSyncPolicies(),
+            pending,
+            checkpoint: checkpoint ? checkpoint.value : 0,
+            lastSync: lastSync ? lastSync.value : null
+        };
+    }
+
+    async syncNow() {
+        if (!this.isSyncEnabled()) {
+            throw new Error('Sync is not configured');
+        }
+
+        // Overlapping runs would push the same queue entries twice
+        if (!this.syncRun) {
+            this.syncRun = this.performSync().finally(() => {
+                this.syncRun = null;
+            });
+        }
+        return this.syncRun;
+    }
+
+    async performSync() {
+        try {
+            const transport = await this.getSyncTransport();
+            const deviceId = await this.getSyncDeviceId();
+
+            // Pull first so conflicts are resolved before local changes leave
+            const pulled = await this.pullChanges(transport, deviceId);
+            const pushed = await this.pushChanges(transport, deviceId);
+
+            const summary = { ...pulled, pushed, syncedAt: new Date().toISOString() };
+            await this.withTransaction('syncState', 'readwrite',
+                tx => tx.put('syncState', { key: 'lastSync', value: summary }));
+
+            this.emit(NERIST_EVENTS.SYNC_COMPLETED, summary, null);
+            return summary;
+        } catch (error) {
+            console.error('Sync error:', error);
+            throw error;
+        }
+    }
+
+    async getSyncTransport() {
+        if (this.syncTransport) return this.syncTransport;
+
+        const token = await this.getSecretSetting('sync_auth_token');
+        return new HttpSyncTransport(this.syncConfig.serverUrl, token || null);
+    }
+
+    async getSyncDeviceId() {
+        if (!this.syncDeviceId) {
+            this.syncDeviceId = await this.withTransaction('syncState', 'readwrite', async tx => {
+                const stored = await tx.get('syncState', 'deviceId');
+                if (stored) return stored.value;
+
+                const deviceId = this.generateSessionId();
+                await tx.put('syncState', { key: 'deviceId', value: deviceId });
+                return deviceId;
+            });
+        }
+        return this.syncDeviceId;
+    }
+
+    async queueExistingRecords() {
+        let queued = 0;
+
+        for (const storeName of NERIST_REPLICATION.stores) {
+            const { keyPath } = this.storage.getStoreSchema(storeName);
+            queued += await this.withTransaction([storeName, 'changeQueue'], 'readwrite', async tx => {
+                const records = await tx.getAll(storeName);
+                for (const record of records) {
+                    await tx.queueChange(storeName, 'put', StorageKeys.extract(record, keyPath), record, null);
+                }
+                return records.length;
+            }, { replicate: false });
+        }
+
+        return queued;
+    }
+
+    async pullChanges(transport, deviceId) {
+        const totals = { pulled: 0, conflicts: 0, rejected: 0, stores: [] };
+
+        for (;;) {
+            const checkpoint = await this.getObject('syncState', 'checkpoint');
+            const since = checkpoint ? checkpoint.value : 0;
+            const batch = await transport.pull({ deviceId, since, limit: 500 });
+
+            const applied = await this.applyRemoteChanges(batch.changes, batch.checkpoint, deviceId);
+            totals.pulled += batch.changes.length;
+            totals.conflicts += applied.conflicts;
+            totals.rejected += applied.rejected;
+            totals.stores = [...new Set([...totals.stores, ...applied.stores])];
+
+            if (!batch.hasMore || batch.checkpoint === since) break;
+        }
+
+        return totals;
+    }
+
+    // One batch and its checkpoint commit together, so an interrupted pull
+    // resumes where it stopped without applying anything twice
+    async applyRemoteChanges(changes, checkpoint, deviceId) {
+        const replicated = changes.filter(change => this.isReplicatedStore(change.storeName));
+        const permitted = await Promise.all(replicated.map(change => this.authorizeRemoteChange(change)));
+        const rejected = replicated.filter((change, index) => !permitted[index]);
+
+        const incoming = await Promise.all(replicated
+            .filter((change, index) => permitted[index])
+            .map(async change => {
+                if (change.op !== 'put') return change;
+
+                // Another device's key means nothing here; the syncId identifies the record
+                const record = { ...change.record };
+                if (NERIST_REPLICATION.syncIdStores.includes(change.storeName)) {
+                    delete record[this.storage.getStoreSchema(change.storeName).keyPath];
+                }
+                this.stripLocalFields(change.storeName, record);
+
+                // Encryption has to happen before the transaction opens
+                return { ...change, record: await this.sealRecord(change.storeName, record) };
+            }));
+
+        const stores = [...new Set(incoming.map(change => change.storeName))];
+        const referenced = stores.flatMap(storeName => Object.values(NERIST_REPLICATION.references[storeName] || {}));
+        let conflicts = 0;
+
+        await this.withTransaction([...new Set([...stores, ...referenced]), 'changeQueue', 'syncState'], 'readwrite', async tx => {
+            for (const change of incoming) {
+                if (await this.applyRemoteChange(tx, change, deviceId)) {
+                    conflicts++;
+                }
+            }
+            await tx.put('syncState', { key: 'checkpoint', value: checkpoint });
+        }, { replicate: false });
+
+        if (stores.includes('roles') || stores.includes('roleAssignments')) {
+            this.roleCache = null;
+        }
+
+        if (rejected.length > 0) {
+            await this.logActivity(this.currentUser ? this.currentUser.id : null, 'sync_change_rejected',
+                `Ignored ${rejected.length} pulled change(s) their author may not make: ` +
+                rejected.map(change => `${change.storeName}/${change.recordId} by ${change.changedBy || 'unknown'}`).join(', '));
+        }
+
+        return { conflicts, rejected: rejected.length, stores };
+    }
+
+    // Pulled changes to accounts and roles apply only when the user who made
+    // them (changedBy) holds the permission for that change on this device.
+    // New student accounts come from self-registration and need none.
+    async authorizeRemoteChange(change) {
+        const { storeName } = change;
+        if (!['users', 'roles', 'roleAssignments'].includes(storeName)) return true;
+
+        const actor = change.changedBy ? await this.getObject('users', change.changedBy) : null;
+        const can = async permission => !!actor && actor.isActive !== false && this.hasPermission(actor, permission);
+
+        if (storeName === 'roles') return can('roles.manage');
+        if (storeName === 'roleAssignments') return can('roles.assign');
+        if (change.op === 'delete') return can('users.manage');
+
+        const current = await this.getObject('users', change.recordId);
+        if (!current) {
+            return change.record.role === 'student' || can('users.manage');
+        }
+        if (change.record.role !== current.role && !(await can('roles.assign'))) return false;
+        if (change.record.isActive !== current.isActive && !(await can('users.manage'))) return false;
+        return true;
+    }
+
+    // Removes what never travels: NERIST_REPLICATION.localFields, and any
+    // field holding ciphertext (each device has its own data key)
+    stripLocalFields(storeName, record) {
+        const localFields = NERIST_REPLICATION.localFields[storeName] || [];
+        Object.keys(record).forEach(field => {
+            if (localFields.includes(field) || this.isEnvelope(record[field])) {
+                delete record[field];
+            }
+        });
+        return record;
+    }
+
+    // Returns true when the record also had changes this device has not pushed
+    async applyRemoteChange(tx, change, deviceId) {
+        const { storeName } = change;
+        const { keyPath } = this.storage.getStoreSchema(storeName);
+        const bySyncId = NERIST_REPLICATION.syncIdStores.includes(storeName);
+
+        const current = bySyncId
+            ? (await tx.getAll(storeName, 'syncId', change.recordId))[0]
+            : await tx.get(storeName, change.recordId);
+
+        // Two devices marking the same class offline each create a record,
+        // under different syncIds; the unique index shows they are one
+        if (!current && bySyncId && change.op === 'put') {
+            const twin = await this.findNaturalKeyMatch(tx, storeName, change.record);
+            if (twin) {
+                return this.resolveNaturalKeyConflict(tx, change, twin, keyPath);
+            }
+        }
+
+        const pending = await tx.getAll('changeQueue', 'record', [storeName, change.recordId]);
+
+        const remote = change.op === 'put'
+            ? { ...change, record: await this.localizeRemoteRecord(tx, change, current, keyPath) }
+            : change;
+        const resolution = pending.length > 0
+            ? this.resolveSyncConflict(this.getSyncPolicy(storeName), current, pending, remote, deviceId)
+            : { record: remote.record };
+
+        if (resolution.keepLocal) return true;
+
+        let key = current ? StorageKeys.extract(current, keyPath) : undefined;
+        if (resolution.record) {
+            key = await tx.put(storeName, resolution.record);
+        } else if (current) {
+            await tx.delete(storeName, key);
+        }
+
+        // A merged record replaces everything that was queued for it
+        for (const entry of pending) {
+            await tx.delete('changeQueue', entry.id);
+        }
+        if (resolution.requeue) {
+            await tx.queueChange(storeName, 'put', key, resolution.record, resolution.requeue.changedFields);
+        }
+
+        return pending.length > 0;
+    }
+
+    async findNaturalKeyMatch(tx, storeName, record) {
+        const { indexes } = this.storage.getStoreSchema(storeName);
+
+        for (const index of indexes.filter(index => index.unique && index.name !== 'syncId')) {
+            const value = StorageKeys.extract(record, index.keyPath);
+            if (value === undefined || !StorageKeys.isValid(value)) continue;
+
+            const [existing] = await tx.getAll(storeName, index.name, value);
+            if (existing) return existing;
+        }
+        return null;
+    }
+
+    // As migration 16 does for local duplicates, the more recently changed
+    // record is kept. The syncId breaks ties, so both devices keep the same
+    // one and end up with a single record under a single syncId.
+    async resolveNaturalKeyConflict(tx, change, local, keyPath) {
+        const changedAt = record => record.updatedAt || record.timestamp || '';
+        const remoteWins = changedAt(change.record) > changedAt(local) ||
+            (changedAt(change.record) === changedAt(local) && change.recordId > local.syncId);
+
+        // The local record is pushed, or already was, and wins on the other device too
+        if (!remoteWins) return true;
+
+        // The remote record takes over the local key, and whatever was queued for the local one is dropped
+        await tx.put(change.storeName, await this.localizeRemoteRecord(tx, change, local, keyPath));
+        for (const entry of await tx.getAll('changeQueue', 'record', [change.storeName, local.syncId])) {
+            await tx.delete('changeQueue', entry.id);
+        }
+        return true;
+    }
+
+    async localizeRemoteRecord(tx, change, current, keyPath) {
+        const record = { ...change.record };
+
+        if (current && NERIST_REPLICATION.syncIdStores.includes(change.storeName)) {
+            record[keyPath] = current[keyPath];
+        }
+
+        // Fields that did not travel keep their local value
+        const localFields = NERIST_REPLICATION.localFields[change.storeName] || [];
+        Object.keys(current || {}).forEach(field => {
+            if (localFields.includes(field) || (this.isEnvelope(current[field]) && !(field in record))) {
+                record[field] = current[field];
+            }
+        });
+
+        const references = NERIST_REPLICATION.references[change.storeName] || {};
+        for (const [field, targetStore] of Object.entries(references)) {
+            const syncId = change.refs ? change.refs[field] : null;
+            const [target] = syncId ? await tx.getAll(targetStore, 'syncId', syncId) : [];
+            record[field] = target ? target.id : null;
+        }
+
+        return record;
+    }
+
+    // pending holds this device's unpushed entries for the record, oldest first
+    resolveSyncConflict(policy, current, pending, remote, deviceId) {
+        const latest = pending[pending.length - 1];
+
+        if (policy === 'merge') {
+            // Field merging needs both sides to exist; a local delete or a
+            // local edit to a remotely deleted record is kept and pushed
+            if (latest.op === 'delete' || remote.op === 'delete' || !current) {
+                return { keepLocal: true };
             }
+
+            const localFields = pending.some(entry => !entry.changedFields)
+                ? null
+                : [...new Set(pending.flatMap(entry => entry.changedFields))];
+
+            const merged = { ...remote.record };
+            (localFields || Object.keys(current)).forEach(field => {
+                if (field in current) {
+                    merged[field] = current[field];
+                } else {
+                    delete merged[field];
+                }
+            });
+
+            return { record: merged, requeue: { changedFields: localFields } };
+        }
+
+        // Last writer wins; equal timestamps fall back to the device id so
+        // both sides of a conflict pick the same winner
+        const remoteWins = remote.changedAt > latest.changedAt ||
+            (remote.changedAt === latest.changedAt && remote.deviceId > deviceId);
+
+        if (!remoteWins) return { keepLocal: true };
+        return { record: remote.op === 'put' ? remote.record : null };
+    }
+
+    async pushChanges(transport, deviceId) {
+        let pushed = 0;
+
+        for (;;) {
+            const entries = await this.query('changeQueue').limit(200).toArray();
+            if (entries.length === 0) break;
+
+            const changes = await Promise.all(entries.map(entry => this.prepareOutgoingChange(entry)));
+            const response = await transport.push({ deviceId, changes });
+            const accepted = new Set(response.accepted || []);
+
+            await this.withTransaction('changeQueue', 'readwrite', async tx => {
+                for (const entry of entries) {
+                    if (accepted.has(entry.id)) {
+                        await tx.delete('changeQueue', entry.id);
+                    }
+                }
+            });
+            pushed += accepted.size;
+
+            // Whatever the server refused stays queued for the next run
+            if (accepted.size < entries.length) break;
+        }
+
+        return pushed;
+    }
+
+    async prepareOutgoingChange(entry) {
+        const change = {
+            changeId: entry.id,
+            storeName: entry.storeName,
+            recordId: entry.recordId,
+            op: entry.op,
+            record: null,
+            changedFields: entry.changedFields,
+            changedAt: entry.changedAt,
+            changedBy: entry.changedBy || null
         };
+        if (entry.op !== 'put') return change;
+
+        // Records leave as stored, minus credentials and anything encrypted
+        change.record = this.stripLocalFields(entry.storeName, { ...entry.record });
+        if (change.changedFields) {
+            change.changedFields = change.changedFields.filter(field => field in change.record ||
+                !(field in entry.record));
+        }
 
-        const userRules = accessRules[user.role];
-        if (!userRules) return false;
+        const references = NERIST_REPLICATION.references[entry.storeName];
+        if (references) {
+            change.refs = {};
+            for (const [field, targetStore] of Object.entries(references)) {
+                const target = change.record[field] !== null && change.record[field] !== undefined
+                    ? await this.getObject(targetStore, change.record[field])
+                    : null;
+                change.refs[field] = target ? target.syncId : null;
+            }
+        }
 
-        const pageRules = userRules[page];
-        if (!pageRules) return false;
+        return change;
+    }
 
-        return pageRules.includes(action);
+    diffRecordFields(before, after) {
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return [...fields].filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
     }
 
     // ============================================
-    // REAL-TIME EVENT SYSTEM
+    // CROSS-TAB SYNC
     // ============================================
 
-    constructor() {
-        this.events = {};
-        this.initialize();
+    // Committed changes and domain events go out on a BroadcastChannel shared
+    // by every tab of this origin. Pass { broadcastChannel: false } to opt out
+    // or any object with postMessage/close/onmessage to supply a transport.
+    startCrossTabSync() {
+        if (this.syncChannel || this.broadcastOption === false) return;
+
+        const channel = this.broadcastOption ||
+            (typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`nerist_one_sync:${this.dbName}`) : null);
+        if (!channel) return;
+
+        channel.onmessage = (message) => {
+            this.handleSyncMessage(message.data).catch(error => {
+                console.error('Cross-tab sync error:', error);
+            });
+        };
+
+        // An open channel should not keep a Node process alive
+        if (channel.unref) channel.unref();
+        this.syncChannel = channel;
     }
 
-    on(event, callback) {
-        if (!this.events[event]) {
-            this.events[event] = [];
-        }
-        this.events[event].push(callback);
+    stopCrossTabSync() {
+        if (!this.syncChannel) return;
+        this.syncChannel.onmessage = null;
+        this.syncChannel.close();
+        this.syncChannel = null;
     }
 
-    off(event, callback) {
-        if (!this.events[event]) return;
-        const index = this.events[event].indexOf(callback);
-        if (index > -1) {
-            this.events[event].splice(index, 1);
+    broadcast(message) {
+        if (!this.syncChannel) return;
+
+        try {
+            this.syncChannel.postMessage({ ...message, origin: this.instanceId });
+        } catch (error) {
+            console.error('Cross-tab broadcast error:', error);
         }
     }
 
-    emit(event, data) {
-        if (!this.events[event]) return;
-        this.events[event].forEach(callback => callback(data));
+    async handleSyncMessage(message) {
+        if (!message || message.origin === this.instanceId) return;
+
+        const changes = message.changes || [];
+        const touched = (storeName) => changes.filter(change => change.storeName === storeName);
+
+        // Drop whatever this tab cached from the stores that changed
+        if (touched('roles').length > 0 || touched('roleAssignments').length > 0) {
+            this.roleCache = null;
+        }
+
+        const settingKeys = touched('systemSettings').map(change => change.key);
+        if (settingKeys.includes('encrypted_fields') || touched('systemSettings').some(change => change.type === 'clear')) {
+            await this.loadEncryptionConfig();
+        }
+        if (settingKeys.includes('session_signing_secret')) {
+            this.sessionSigningKey = null;
+        }
+        if (settingKeys.some(key => key.startsWith('sync_')) || touched('systemSettings').some(change => change.type === 'clear')) {
+            await this.loadSyncConfig();
+        }
+
+        await this.updateSearchIndex(changes);
+
+        if (this.currentUser && (touched('users').length > 0 || touched('sessions').length > 0)) {
+            // Re-read the user and re-validate the shared token
+            this.currentUser = null;
+            if (!await this.getCurrentUser()) {
+                this.dropUserState();
+            }
+        }
+
+        if (changes.length > 0) {
+            this.dispatchEvent({ ...this.createEvent(NERIST_EVENTS.DATA_CHANGED, { changes }, null), remote: true });
+        }
+
+        for (const event of message.events || []) {
+            // Session storage is shared, so another tab's login or logout is ours too
+            if (event.type === NERIST_EVENTS.SESSION_LOGOUT) {
+                this.dropUserState();
+            } else if (event.type === NERIST_EVENTS.SESSION_LOGIN) {
+                await this.restoreSession();
+            }
+
+            this.dispatchEvent({ ...event, remote: true });
+        }
     }
 
     // ============================================
@@ -2489,20 +9911,21 @@ class NERISTBackend {
 
     // Emergency SOS
     async triggerSOS() {
-        const user = await this.getCurrentUser();
-        if (!user) throw new Error('Not authenticated');
+        const user = await this.authorize('safety.sos');
 
         // Log emergency
         await this.logActivity(user.id, 'emergency_sos', 'Emergency SOS activated');
 
         // Send notification to security
-        await this.createCampusAlert({
+        const alert = await this.insertCampusAlert({
             title: 'EMERGENCY SOS ACTIVATED',
             message: `Student ${user.name} (${user.id}) has activated SOS. Location: Campus (approximate).`,
             priority: 'high',
             type: 'emergency',
             expiry: new Date(Date.now() + 30 * 60 * 1000).toISOString() // 30 minutes
-        });
+        }, user);
+
+        this.emit(NERIST_EVENTS.SOS_TRIGGERED, { alertId: alert.id, userId: user.id }, user);
 
         // Return emergency contacts
         const contacts = await this.getEmergencyContacts(['security', 'medical']);
@@ -2519,9 +9942,9 @@ class NERISTBackend {
 // Auto-initialize and make globally available
 let neristBackendInstance = null;
 
-async function initializeNERISTBackend() {
+async function initializeNERISTBackend(options = {}) {
     if (!neristBackendInstance) {
-        neristBackendInstance = new NERISTBackend();
+        neristBackendInstance = new NERISTBackend(options);
         await neristBackendInstance.initialize();
     }
     return neristBackendInstance;
@@ -2536,9 +9959,21 @@ if (typeof document !== 'undefined') {
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { NERISTBackend, initializeNERISTBackend };
+    module.exports = {
+        NERISTBackend,
+        initializeNERISTBackend,
+        NERIST_MIGRATIONS,
+        NERIST_EVENTS,
+        HttpSyncTransport,
+        IndexedDBStorageAdapter,
+        MemoryStorageAdapter,
+        JsonFileStorageAdapter,
+        MemoryKeyValueStore
+    };
 }
 
 // Global access
-window.NERISTBackend = NERISTBackend;
-window.initializeNERISTBackend = initializeNERISTBackend;
+if (typeof window !== 'undefined') {
+    window.NERISTBackend = NERISTBackend;
+    window.initializeNERISTBackend = initializeNERISTBackend;
+}
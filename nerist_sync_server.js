@@ -0,0 +1,269 @@
+// ============================================
+// NERIST ONE - REFERENCE SYNC SERVER
+// ============================================
+// Minimal stand-in for the replication endpoint used by NERISTBackend.syncNow().
+// Node only, no dependencies. Run on the LAN:
+//   node nerist_sync_server.js --port 8787 --data ./nerist-sync.json --token <secret> \
+//       --host 0.0.0.0 --origin https://one.nerist.ac.in
+// It refuses to start without a token, and by default listens on 127.0.0.1
+// and sends no CORS header, so browsers only reach it from --origin.
+// The protocol is described in README.md.
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+class SyncLog {
+    constructor(filePath = null) {
+        this.filePath = filePath;
+        this.seq = 0;
+        this.changes = [];
+        this.devices = {};
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.seq = data.seq || 0;
+        this.changes = data.changes || [];
+        this.devices = data.devices || {};
+    }
+
+    save() {
+        if (!this.filePath) return;
+
+        // Write a sibling file and rename it so a crash never leaves half a log
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ seq: this.seq, changes: this.changes, devices: this.devices }));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // Changes carry the device's own increasing changeId, so a retried push is not stored twice
+    append(deviceId, changes) {
+        const device = this.devices[deviceId] || { lastChangeId: 0 };
+        const accepted = [];
+        const receivedAt = new Date().toISOString();
+
+        changes.forEach(change => {
+            if (change.changeId > device.lastChangeId) {
+                this.seq++;
+                this.changes.push({
+                    seq: this.seq,
+                    deviceId,
+                    changeId: change.changeId,
+                    storeName: change.storeName,
+                    recordId: change.recordId,
+                    op: change.op,
+                    record: change.op === 'delete' ? null : change.record,
+                    refs: change.refs || null,
+                    changedFields: change.changedFields || null,
+                    changedAt: change.changedAt,
+                    changedBy: change.changedBy || null,
+                    receivedAt
+                });
+                device.lastChangeId = change.changeId;
+            }
+            // Already stored changes are acknowledged again so the client can drop them
+            accepted.push(change.changeId);
+        });
+
+        device.lastSeenAt = receivedAt;
+        this.devices[deviceId] = device;
+        this.save();
+
+        return { accepted, checkpoint: this.seq };
+    }
+
+    // A device never gets its own changes back; the checkpoint still moves past them
+    since(deviceId, since, limit) {
+        const changes = [];
+        let checkpoint = since;
+        let hasMore = false;
+
+        for (const change of this.changes) {
+            if (change.seq <= since) continue;
+            if (changes.length === limit) {
+                hasMore = true;
+                break;
+            }
+            checkpoint = change.seq;
+            if (change.deviceId !== deviceId) {
+                changes.push(change);
+            }
+        }
+
+        return { changes, checkpoint, hasMore };
+    }
+}
+
+class SyncServer {
+    constructor(options = {}) {
+        if (!options.authToken) {
+            throw new Error('A sync token is required (--token or NERIST_SYNC_TOKEN)');
+        }
+
+        this.log = options.log || new SyncLog(options.dataFile || null);
+        this.authTokenDigest = this.digest(options.authToken);
+        this.maxBodyBytes = options.maxBodyBytes || 5 * 1024 * 1024;
+        this.allowOrigin = options.allowOrigin || null;
+        this.server = http.createServer((request, response) => {
+            this.handle(request, response).catch(error => {
+                if (!error.statusCode) {
+                    console.error('Sync server error:', error);
+                }
+                this.send(response, error.statusCode || 500, { error: error.statusCode ? error.message : 'Internal error' });
+            });
+        });
+    }
+
+    listen(port = 8787, host = '127.0.0.1') {
+        return new Promise(resolve => {
+            this.server.listen(port, host, () => resolve(this.server.address()));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handle(request, response) {
+        // Browsers send a preflight before the authorized requests
+        if (request.method === 'OPTIONS') {
+            this.send(response, 204, null);
+            return;
+        }
+
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'GET' && url.pathname === '/sync/status') {
+            this.send(response, 200, { ok: true, checkpoint: this.log.seq });
+            return;
+        }
+
+        if (!this.isAuthorized(request.headers.authorization)) {
+            throw this.httpError(401, 'Unauthorized');
+        }
+
+        if (request.method === 'POST' && url.pathname === '/sync/push') {
+            const body = await this.readJson(request);
+            if (!body.deviceId || !Array.isArray(body.changes)) {
+                throw this.httpError(400, 'deviceId and changes are required');
+            }
+            body.changes.forEach(change => this.validateChange(change));
+
+            this.send(response, 200, this.log.append(body.deviceId, body.changes));
+            return;
+        }
+
+        if (request.method === 'GET' && url.pathname === '/sync/pull') {
+            const deviceId = url.searchParams.get('deviceId');
+            if (!deviceId) {
+                throw this.httpError(400, 'deviceId is required');
+            }
+
+            const since = parseInt(url.searchParams.get('since'), 10) || 0;
+            const limit = Math.min(1000, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 500));
+
+            this.send(response, 200, this.log.since(deviceId, since, limit));
+            return;
+        }
+
+        throw this.httpError(404, 'Not found');
+    }
+
+    // Digests have a fixed length, so the comparison takes the same time
+    // whatever the length or content of the header
+    isAuthorized(header) {
+        const match = /^Bearer (.+)$/.exec(header || '');
+        return !!match && crypto.timingSafeEqual(this.digest(match[1]), this.authTokenDigest);
+    }
+
+    digest(value) {
+        return crypto.createHash('sha256').update(String(value)).digest();
+    }
+
+    validateChange(change) {
+        const valid = change && Number.isInteger(change.changeId) &&
+            typeof change.storeName === 'string' &&
+            change.recordId !== undefined && change.recordId !== null &&
+            (change.op === 'put' || change.op === 'delete') &&
+            (change.op === 'delete' || (change.record && typeof change.record === 'object'));
+
+        if (!valid) {
+            throw this.httpError(400, 'Malformed change');
+        }
+    }
+
+    readJson(request) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            request.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.maxBodyBytes) {
+                    reject(this.httpError(413, 'Request body too large'));
+                    request.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            request.on('end', () => {
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+                } catch (error) {
+                    reject(this.httpError(400, 'Invalid JSON'));
+                }
+            });
+            request.on('error', reject);
+        });
+    }
+
+    send(response, status, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.allowOrigin) {
+            headers['Access-Control-Allow-Origin'] = this.allowOrigin;
+            headers['Access-Control-Allow-Headers'] = 'Content-Type, Authorization';
+            headers['Access-Control-Allow-Methods'] = 'GET, POST, OPTIONS';
+        }
+        response.writeHead(status, headers);
+        response.end(body === null ? '' : JSON.stringify(body));
+    }
+
+    httpError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        options[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    let server;
+    try {
+        server = new SyncServer({
+            dataFile: args.data || 'nerist-sync.json',
+            authToken: args.token || process.env.NERIST_SYNC_TOKEN || null,
+            allowOrigin: args.origin || process.env.NERIST_SYNC_ORIGIN || null
+        });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    server.listen(parseInt(args.port, 10) || 8787, args.host || '127.0.0.1').then(address => {
+        console.log(`NERIST sync server listening on ${address.address}:${address.port}`);
+    });
+}
+
+module.exports = { SyncServer, SyncLog };
@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createScheduledClass, scheduleClass, daysAgo } = require('./helpers');
+
+const periods = [1, 2, 3, 4, 5, 6, 7, 8];
+
+// student_001 takes CS301 and MA201, each meeting in periods 1 to 8 every
+// day. attend() marks classes through markAttendance, filling the periods
+// of a day before moving on to the day before it.
+async function createStudentRecord() {
+    const backend = await createScheduledClass({ periods });
+    await scheduleClass(backend, { code: 'MA201', title: 'Mathematics II', periods });
+
+    const marked = new Map();
+    const attend = async (subject, statuses, days) => {
+        for (const status of statuses) {
+            while ((marked.get(`${subject}:${days}`) || 0) === periods.length) days++;
+            const period = (marked.get(`${subject}:${days}`) || 0) + 1;
+            marked.set(`${subject}:${days}`, period);
+            await backend.markAttendance({ studentId: 'student_001', subject, date: daysAgo(days), period, status });
+        }
+    };
+    return { backend, attend };
+}
+
+test('late and excused classes count at their weights, per subject', async () => {
+    const { backend, attend } = await createStudentRecord();
+    await attend('CS301', ['present', 'present', 'present', 'present', 'present', 'present', 'late', 'late', 'excused', 'absent'], 1);
+
+    const stats = await backend.getAttendanceStats('student_001', 'week');
+    const [subject] = stats.subjects;
+
+    assert.strictEqual(subject.subject, 'CS301');
+    assert.strictEqual(subject.title, 'Data Structures');
+    assert.strictEqual(subject.total, 10);
+    assert.strictEqual(subject.attended, 8);
+    assert.strictEqual(subject.percentage, 80);
+    assert.strictEqual(stats.percentage, 80);
+    assert.deepStrictEqual(stats.weights, { late: 0.5, excused: 1 });
+
+    await backend.setSystemSetting('attendance_late_weight', '0');
+    assert.strictEqual((await backend.getAttendanceStats('student_001', 'week')).attended, 7);
+});
+
+test('shortage projections say how many classes are needed or can be missed', async () => {
+    const { backend, attend } = await createStudentRecord();
+    await attend('MA201', ['present', 'absent', 'absent', 'absent', 'absent'], 2);
+
+    const short = await backend.getAttendanceStats('student_001', 'week');
+    assert.strictEqual(short.belowThreshold, true);
+    // (0.75 * 5 - 1) / (1 - 0.75) = 11
+    assert.strictEqual(short.classesNeeded, 11);
+    assert.strictEqual(short.canMiss, 0);
+
+    const rules = { threshold: 75, weights: { late: 0.5, excused: 1 } };
+    const exact = backend.summarizeAttendance(['present', 'present', 'present', 'absent'].map(status => ({ status })), rules);
+    assert.strictEqual(exact.belowThreshold, false);
+    assert.strictEqual(exact.canMiss, 0);
+
+    const ahead = backend.summarizeAttendance(Array(8).fill({ status: 'present' }), rules);
+    assert.strictEqual(ahead.canMiss, 2);
+});
+
+test('periods select the classes counted', async () => {
+    const { backend, attend } = await createStudentRecord();
+    await attend('CS301', ['present'], 0);
+    await attend('CS301', ['present'], 10);
+    await attend('CS301', ['absent'], 40);
+
+    assert.strictEqual((await backend.getAttendanceStats('student_001', 'week')).total, 1);
+    assert.strictEqual((await backend.getAttendanceStats('student_001', 'month')).total, 2);
+    assert.strictEqual((await backend.getAttendanceStats('student_001', 'all')).total, 3);
+    assert.strictEqual((await backend.getAttendanceStats('student_001', { from: daysAgo(50), to: daysAgo(30) })).total, 1);
+    await assert.rejects(() => backend.getAttendanceStats('student_001', 'year'), /Unknown attendance period/);
+});
+
+test('a shortage is warned about once until the student recovers', async () => {
+    const { backend, attend } = await createStudentRecord();
+    const warnings = [];
+    backend.on('attendance.shortage', event => warnings.push(event.payload));
+
+    await attend('MA201', ['present', 'present', 'absent', 'absent', 'absent', 'absent'], 1);
+    await backend.checkAttendanceShortage('student_001');
+    await backend.checkAttendanceShortage('student_001');
+    assert.strictEqual(warnings.length, 1);
+    assert.strictEqual(warnings[0].subject, 'MA201');
+
+    await attend('MA201', Array(20).fill('present'), 0);
+    await backend.checkAttendanceShortage('student_001');
+    assert.strictEqual((await backend.getObject('attendanceWarnings', 'student_001:MA201')).active, false);
+
+    await attend('MA201', Array(40).fill('absent'), 0);
+    await backend.checkAttendanceShortage('student_001');
+    assert.strictEqual(warnings.length, 2);
+
+    const mail = (await backend.getMailOutbox()).filter(m => m.template === 'attendance_shortage');
+    assert.strictEqual(mail.length, 2);
+});
+
+test('the exported register weights classes the same way as the stats', async () => {
+    const { backend, attend } = await createStudentRecord();
+    await attend('CS301', ['present', 'late', 'late', 'excused', 'absent'], 1);
+
+    const stats = await backend.getAttendanceStats('student_001', 'all');
+    const csv = await (await backend.exportAttendanceRegister('CS301', { columns: ['studentId', 'attended', 'total', 'percentage'] })).text();
+    const row = csv.trim().split(/\r?\n/).find(line => line.startsWith('student_001')).split(',');
+
+    assert.deepStrictEqual(row, ['student_001', String(stats.attended), '5', String(stats.percentage)]);
+    assert.strictEqual(stats.percentage, 60);
+});
+
+test('a threshold of 0 is honoured and out-of-range rules are refused', async () => {
+    const { backend, attend } = await createStudentRecord();
+    await attend('CS301', ['absent'], 1);
+
+    await backend.setSystemSetting('attendance_threshold', '0');
+    const stats = await backend.getAttendanceStats('student_001', 'week');
+    assert.strictEqual(stats.threshold, 0);
+    assert.strictEqual(stats.belowThreshold, false);
+
+    await assert.rejects(backend.setSystemSetting('attendance_threshold', '120'), /attendance_threshold must be a number from 0 to 100/);
+    await assert.rejects(backend.setSystemSetting('attendance_late_weight', '1.5'), /attendance_late_weight must be/);
+});
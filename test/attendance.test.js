@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createScheduledClass } = require('./helpers');
+
+const today = () => new Date().toISOString().split('T')[0];
+
+test('attendance is marked against the enrollment and the timetable', async () => {
+    const backend = await createScheduledClass();
+
+    const record = await backend.markAttendance({ studentId: 'student_001', subject: 'CS301', date: today(), period: 2 });
+    assert.strictEqual(record.status, 'present');
+    assert.strictEqual(record.sectionId, 'CS301-A');
+
+    await assert.rejects(() => backend.markAttendance({ studentId: 'student_001', subject: 'CS301', date: today(), period: 2 }),
+        /already marked/);
+    await assert.rejects(() => backend.markAttendance({ studentId: 'student_002', subject: 'CS301', date: today(), period: 2 }));
+});
+
+test('unknown statuses are rejected', async () => {
+    const backend = await createScheduledClass();
+
+    await assert.rejects(() => backend.markAttendance({
+        studentId: 'student_001', subject: 'CS301', date: today(), period: 2, status: 'asleep'
+    }), /Invalid attendance status/);
+
+    const record = await backend.markAttendance({ studentId: 'student_001', subject: 'CS301', date: today(), period: 2 });
+    await assert.rejects(() => backend.updateAttendance(record.id, { status: 'asleep' }), /Invalid attendance status/);
+});
+
+test('only status and remarks can be updated', async () => {
+    const backend = await createScheduledClass();
+    const record = await backend.markAttendance({ studentId: 'student_001', subject: 'CS301', date: today(), period: 2 });
+
+    for (const updates of [{ subject: 'MA201' }, { studentId: 'student_002' }, { date: '2026-01-01' }, { period: 5 }, { sectionId: 'X' }]) {
+        await assert.rejects(() => backend.updateAttendance(record.id, { status: 'late', ...updates }), /Only status and remarks/);
+    }
+    assert.strictEqual((await backend.getObject('attendance', record.id)).status, 'present');
+
+    const updated = await backend.updateAttendance(record.id, { status: 'excused', remarks: 'Medical leave' });
+    assert.strictEqual(updated.status, 'excused');
+    assert.strictEqual(updated.remarks, 'Medical leave');
+    assert.strictEqual(updated.subject, 'CS301');
+});
+
+// The library's real outline, in place of the square seeded around its point
+const libraryOutline = [[27.1040, 93.7279], [27.1040, 93.7283], [27.1044, 93.7283], [27.1044, 93.7279]];
+const inLibrary = { latitude: 27.1042, longitude: 93.7281, accuracy: 5 };
+
+async function startCheckIn(backend) {
+    const session = await backend.openAttendanceSession('CS301-A', today(), 2);
+    const checkInWindow = await backend.startCheckInWindow(session.id);
+    const { token } = await backend.getCheckInToken(checkInWindow.id);
+    return { session, checkInWindow, token };
+}
+
+async function signIn(backend, username, password) {
+    await backend.logout();
+    await backend.login(username, password);
+}
+
+test('the seeded placeholder boundaries do not hold check-ins back', async () => {
+    const backend = await createScheduledClass({ locationId: 'library' });
+    const { token } = await startCheckIn(backend);
+
+    await signIn(backend, 'NER20231045', 'demo123');
+    const result = await backend.checkIn(token);
+    assert.strictEqual(result.status, 'present');
+});
+
+test('approving a geofence review saves the report with the student counted present', async () => {
+    const backend = await createScheduledClass({ locationId: 'library' });
+    await backend.setLocationBoundary('library', libraryOutline);
+    const { session, checkInWindow, token } = await startCheckIn(backend);
+
+    await signIn(backend, 'NER20231045', 'demo123');
+    const result = await backend.checkIn(token, { latitude: 27.1100, longitude: 93.7400, accuracy: 10 });
+    assert.strictEqual(result.status, 'pending_review');
+
+    await signIn(backend, 'admin', 'admin123');
+    await backend.updateReportStatus(result.reportId, 'approved');
+
+    const report = await backend.getObject('attendanceReports', result.reportId);
+    assert.strictEqual(report.status, 'approved');
+    const stored = await backend.getObject('attendanceSessions', session.id);
+    assert.strictEqual(stored.roster.student_001, 'present');
+    const described = await backend.getCheckInWindow(checkInWindow.id);
+    assert.strictEqual(described.checkIns.student_001.status, 'present');
+});
+
+test('a second student checking in from the same device is flagged even when sent to review', async () => {
+    const backend = await createScheduledClass({ locationId: 'library' });
+    await backend.setLocationBoundary('library', libraryOutline);
+    await backend.registerUser({ username: 'NER20231046', password: 'student123', email: 'NER20231046@nerist.ac.in', role: 'student' });
+    const classmate = (await backend.getUserByUsername('NER20231046')).id;
+    await backend.enrollStudent('CS301-A', classmate);
+    const { checkInWindow, token } = await startCheckIn(backend);
+
+    await signIn(backend, 'NER20231045', 'demo123');
+    assert.strictEqual((await backend.checkIn(token, inLibrary)).flagged, false);
+
+    await signIn(backend, 'NER20231046', 'student123');
+    const result = await backend.checkIn(token);
+    assert.strictEqual(result.status, 'pending_review');
+    assert.strictEqual(result.flagged, true);
+
+    await signIn(backend, 'admin', 'admin123');
+    const { flags } = await backend.getCheckInWindow(checkInWindow.id);
+    assert.deepStrictEqual(flags.map(flag => [flag.type, flag.studentId, flag.sharedWith]),
+        [['shared_device', classmate, ['student_001']]]);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBackend } = require('./helpers');
+
+const masterKey = 'correct horse battery';
+
+async function createEncryptedBackend() {
+    const backend = await createBackend();
+    await backend.login('admin', 'admin123');
+    await backend.enableEncryption(masterKey);
+    return backend;
+}
+
+test('users without encryption.use are not handed a copy of the data key', async () => {
+    const backend = await createEncryptedBackend();
+
+    // A copy left over from before the permission existed is removed too
+    await backend.putObject('encryptionKeys', await backend.wrapDataKey('user:student_001', 'demo123', 'student_001'));
+
+    await backend.login('NER20231045', 'demo123');
+    assert.strictEqual(backend.encryptionKey, null);
+    assert.strictEqual(await backend.getObject('encryptionKeys', 'user:student_001'), undefined);
+});
+
+test('a master-unlocked key is dropped on logout', async () => {
+    const backend = await createEncryptedBackend();
+    await backend.logout();
+    assert.strictEqual(backend.encryptionKey, null);
+
+    await backend.login('admin', 'admin123');
+    await backend.unlockEncryption(masterKey);
+    assert.ok(backend.encryptionKey);
+
+    await backend.logout();
+    assert.strictEqual(backend.encryptionKey, null);
+});
+
+test('users with encryption.use open the data key with their password', async () => {
+    const backend = await createEncryptedBackend();
+
+    // Signing in while the key is unlocked issues the admin's own copy
+    await backend.login('admin', 'admin123');
+    await backend.logout();
+
+    await backend.login('admin', 'admin123');
+    assert.ok(backend.encryptionKey);
+    assert.strictEqual(backend.encryptionUnlockedBy, 'admin_001');
+});
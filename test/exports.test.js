@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBackend } = require('./helpers');
+
+async function createAdmin() {
+    const backend = await createBackend();
+    await backend.login('admin', 'admin123');
+    return backend;
+}
+
+async function registerStudent(backend, username, department) {
+    await backend.registerUser({ username, password: 'student123', email: `${username}@nerist.ac.in`, role: 'student', department });
+    return (await backend.getUserByUsername(username)).id;
+}
+
+// Rows of a CSV export keyed by their first column
+async function readCSV(file) {
+    const [header, ...lines] = (await file.text()).replace(/^﻿/, '').trim().split(/\r?\n/).map(line => line.split(','));
+    return { header, rows: new Map(lines.map(line => [line[0], line])) };
+}
+
+test('the attendance register lists the students enrolled in the course', async () => {
+    const backend = await createAdmin();
+    const electrical = await registerStudent(backend, 'NER20232001', 'Electrical Engineering');
+    const notTaking = await registerStudent(backend, 'NER20231099', 'Computer Science & Engineering');
+
+    await backend.saveCourse({ code: 'CS301', title: 'Data Structures' });
+    await backend.saveSection({ courseCode: 'CS301', name: 'A' });
+    await backend.saveSection({ courseCode: 'CS301', name: 'B' });
+    await backend.enrollStudent('CS301-A', 'student_001');
+    await backend.enrollStudent('CS301-B', electrical);
+
+    const all = await readCSV(await backend.exportAttendanceRegister('CS301'));
+    assert.deepStrictEqual([...all.rows.keys()].sort(), [electrical, 'student_001'].sort());
+    assert.ok(!all.rows.has(notTaking));
+
+    const department = await readCSV(await backend.exportAttendanceRegister('CS301', { department: 'Computer Science & Engineering' }));
+    assert.deepStrictEqual([...department.rows.keys()], ['student_001']);
+});
+
+test('exported results carry a grade per subject and a cumulative CGPA', async () => {
+    const backend = await createAdmin();
+    await backend.saveStudentResults('student_001', 5, {
+        subjects: [{ code: 'CS301', grade: 'A', credits: 4 }, { code: 'MA201', grade: 'B', credits: 2 }]
+    });
+    await backend.saveStudentResults('student_001', 6, {
+        subjects: [{ code: 'CS302', grade: 'O', credits: 4 }]
+    });
+
+    const { header, rows } = await readCSV(await backend.exportResults({
+        semester: 6, columns: ['studentId', 'semester', 'grade:CS302', 'sgpa', 'cgpa']
+    }));
+    assert.deepStrictEqual(header, ['Student ID', 'Semester', 'CS302', 'SGPA', 'CGPA']);
+
+    const cgpa = (4 * backend.getGradePoints('A') + 2 * backend.getGradePoints('B') + 4 * backend.getGradePoints('O')) / 10;
+    assert.deepStrictEqual(rows.get('student_001'), ['student_001', '6', 'O', String(backend.getGradePoints('O')), String(Math.round(cgpa * 100) / 100)]);
+
+    const other = await readCSV(await backend.exportResults({ department: 'Electrical Engineering' }));
+    assert.strictEqual(other.rows.size, 0);
+});
+
+test('exported applications spread the student data into columns', async () => {
+    const backend = await createAdmin();
+    const { id: opportunityId } = await backend.createCareerOpportunity({
+        title: 'Summer Intern', company: 'ACME', type: 'internship',
+        deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+    });
+    await backend.logout();
+
+    await backend.login('NER20231045', 'demo123');
+    await backend.applyForOpportunity(opportunityId, { cgpa: '8.1', phone: '9876543210' });
+    await backend.logout();
+
+    await backend.login('admin', 'admin123');
+    const { header, rows } = await readCSV(await backend.exportApplications(opportunityId, {
+        columns: ['studentId', 'status', 'studentData.cgpa', 'studentData.phone']
+    }));
+    assert.deepStrictEqual(header, ['Student ID', 'Status', 'cgpa', 'phone']);
+    assert.deepStrictEqual(rows.get('student_001').slice(2), ['8.1', '9876543210']);
+
+    await backend.logout();
+    await backend.login('NER20231045', 'demo123');
+    await assert.rejects(backend.exportApplications(opportunityId), /Permission denied/);
+});
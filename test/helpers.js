@@ -0,0 +1,70 @@
+const { NERISTBackend, MemoryStorageAdapter, MemoryKeyValueStore } = require('../nerist_backend.js');
+const { SyncLog } = require('../nerist_sync_server.js');
+
+// A backend on in-memory storage, without timers or a cross-tab channel
+async function createBackend(options = {}) {
+    const backend = new NERISTBackend({
+        storage: new MemoryStorageAdapter(),
+        sessionStore: new MemoryKeyValueStore(),
+        broadcastChannel: false,
+        backgroundSync: false,
+        autoInitialize: false,
+        ...options
+    });
+    await backend.initialize();
+    return backend;
+}
+
+// Serves a SyncLog in-process; the JSON round trips stand in for the network
+function createSyncTransport(log = new SyncLog()) {
+    const wire = value => JSON.parse(JSON.stringify(value));
+    return {
+        log,
+        pull: async ({ deviceId, since, limit }) => wire(log.since(deviceId, since, limit)),
+        push: async ({ deviceId, changes }) => wire(log.append(deviceId, wire(changes)))
+    };
+}
+
+// Devices that share one sync log, each signed in as admin. Seeded records
+// are not pushed, since every device seeds the same ones.
+async function createSyncedDevices(count = 2) {
+    const transport = createSyncTransport();
+    const devices = [];
+
+    for (let i = 0; i < count; i++) {
+        const backend = await createBackend({ syncTransport: transport });
+        await backend.login('admin', 'admin123');
+        await backend.configureSync('http://sync.test', null, { pushExisting: false });
+        devices.push(backend);
+    }
+    return devices;
+}
+
+// A course with section A meeting in the given periods on every day of the
+// week, with student_001 enrolled. slot adds fields to each timetable slot.
+async function scheduleClass(backend, { code = 'CS301', title = 'Data Structures', periods = [2], ...slot } = {}) {
+    await backend.saveCourse({ code, title });
+    await backend.saveSection({ courseCode: code, name: 'A' });
+    for (let day = 1; day <= 7; day++) {
+        for (const period of periods) {
+            const startTime = `${String(7 + period).padStart(2, '0')}:00`;
+            const endTime = `${String(8 + period).padStart(2, '0')}:00`;
+            await backend.saveTimetableSlot({ sectionId: `${code}-A`, day, period, startTime, endTime, ...slot });
+        }
+    }
+    await backend.enrollStudent(`${code}-A`, 'student_001');
+}
+
+// A backend signed in as admin with CS301-A meeting in period 2 every day
+async function createScheduledClass(options = {}) {
+    const backend = await createBackend();
+    await backend.login('admin', 'admin123');
+    await scheduleClass(backend, options);
+    return backend;
+}
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+module.exports = { createBackend, createSyncTransport, createSyncedDevices, scheduleClass, createScheduledClass, daysAgo };
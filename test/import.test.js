@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBackend } = require('./helpers');
+
+function exportOf(data) {
+    return { metadata: { version: '1.0', exportDate: new Date().toISOString() }, data };
+}
+
+async function createAdmin() {
+    const backend = await createBackend();
+    await backend.login('admin', 'admin123');
+    return backend;
+}
+
+test('a valid import is applied with a per-record report', async () => {
+    const backend = await createAdmin();
+
+    const report = await backend.importData(exportOf({
+        emergencyContacts: [{ id: 'ambulance', name: 'Campus Ambulance', type: 'medical', number: '108' }],
+        messMenu: [{ id: '2026-03-02_lunch', date: '2026-03-02', mealType: 'lunch', items: ['Dal'] }]
+    }));
+
+    assert.strictEqual(report.success, true);
+    assert.strictEqual(report.imported, 2);
+    assert.deepStrictEqual(report.stores.emergencyContacts, { accepted: 1, rejected: 0, skipped: 0 });
+    assert.strictEqual((await backend.getObject('emergencyContacts', 'ambulance')).number, '108');
+});
+
+test('one invalid record means nothing is written', async () => {
+    const backend = await createAdmin();
+
+    const report = await backend.importData(exportOf({
+        emergencyContacts: [
+            { id: 'fire', name: 'Fire Station', number: '101' },
+            { id: 'police', number: '100' }
+        ]
+    }));
+
+    assert.strictEqual(report.success, false);
+    assert.strictEqual(report.records.find(r => r.key === 'police').status, 'rejected');
+    assert.strictEqual(await backend.getObject('emergencyContacts', 'fire'), undefined);
+});
+
+test('imports need the data.import permission and a 1.x export', async () => {
+    const backend = await createBackend();
+    await backend.login('NER20231045', 'demo123');
+    await assert.rejects(() => backend.importData(exportOf({})), /Permission denied/);
+
+    const admin = await createAdmin();
+    await assert.rejects(() => admin.importData({ metadata: { version: '2.0' }, data: {} }), /Unsupported export version/);
+});
+
+test('a backup restores replaced data, and a dry run changes nothing', async () => {
+    const backend = await createAdmin();
+    const backup = await backend.createBackup();
+
+    await backend.putObject('emergencyContacts', { id: 'extra', name: 'Extra', number: '1' });
+    const before = await backend.getAllObjects('emergencyContacts');
+
+    const dryRun = await backend.restoreBackup(backup.id, { mode: 'replace', dryRun: true });
+    assert.strictEqual(dryRun.changes.emergencyContacts.removed, 1);
+    assert.strictEqual((await backend.getAllObjects('emergencyContacts')).length, before.length);
+
+    const restored = await backend.restoreBackup(backup.id, { mode: 'replace' });
+    assert.strictEqual(restored.verified, true);
+    assert.strictEqual(await backend.getObject('emergencyContacts', 'extra'), undefined);
+    assert.strictEqual((await backend.getAllObjects('emergencyContacts')).length, before.length - 1);
+});
+
+test('records after a rejected one are reported as skipped', async () => {
+    const backend = await createAdmin();
+
+    const report = await backend.importData(exportOf({
+        emergencyContacts: [
+            { id: 'police', number: '100' },
+            { id: 'fire', name: 'Fire Station', number: '101' }
+        ],
+        campusLocations: [{ id: 'gym', name: 'Gymnasium' }]
+    }));
+
+    assert.strictEqual(report.success, false);
+    assert.deepStrictEqual(report.records.map(r => [r.key, r.status]).sort(),
+        [['fire', 'skipped'], ['gym', 'skipped'], ['police', 'rejected']]);
+    assert.deepStrictEqual(report.stores.emergencyContacts, { accepted: 0, rejected: 1, skipped: 1 });
+});
+
+test('a conflict while writing skips the records already written', async () => {
+    const backend = await createAdmin();
+    const existing = await backend.getUserById('student_001');
+
+    const report = await backend.importData(exportOf({
+        emergencyContacts: [{ id: 'fire', name: 'Fire Station', number: '101' }],
+        users: [{ id: 'student_999', username: 'newcomer', email: existing.email, role: 'student' }]
+    }));
+
+    assert.strictEqual(report.success, false);
+    assert.strictEqual(report.records.find(r => r.key === 'fire').status, 'skipped');
+    assert.strictEqual(report.records.find(r => r.key === 'student_999').status, 'rejected');
+    assert.strictEqual(await backend.getObject('emergencyContacts', 'fire'), undefined);
+});
+
+test('imported audit entries are appended without touching the live chain', async () => {
+    const backend = await createAdmin();
+    const [live] = await backend.getAllObjects('activityLog');
+
+    const report = await backend.importData(exportOf({
+        activityLog: [
+            { id: live.id, seq: live.seq, userId: 'admin', action: 'login', details: 'Imported login', timestamp: '2025-01-01T00:00:00.000Z' }
+        ]
+    }));
+
+    assert.strictEqual(report.success, true);
+    assert.deepStrictEqual(await backend.getObject('activityLog', live.id), live);
+
+    const imported = (await backend.getAllObjects('activityLog')).find(entry => entry.details === 'Imported login');
+    assert.notStrictEqual(imported.id, live.id);
+    assert.strictEqual(imported.importedId, live.id);
+    assert.strictEqual((await backend.verifyAuditLog()).valid, true);
+});
+
+test('archiving moves only an unbroken run of the chain, whatever the imported timestamps', async () => {
+    const backend = await createAdmin();
+    // Entries older than about 0.9 seconds are due for the archive
+    await backend.setSystemSetting('audit_retention_days', '0.00001');
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const due = await backend.countObjects('activityLog');
+    await backend.setSystemSetting('attendance_threshold', '80');
+
+    await backend.importData(exportOf({
+        activityLog: [{ id: 1, userId: 'admin', action: 'login', details: 'Imported login', timestamp: '2024-01-01T00:00:00.000Z' }]
+    }));
+
+    assert.strictEqual(await backend.archiveAuditLog(), due);
+    const imported = (await backend.getAllObjects('activityLog')).find(entry => entry.details === 'Imported login');
+    assert.ok(imported, 'the old imported entry waits behind newer ones');
+
+    const verified = await backend.verifyAuditLog();
+    assert.strictEqual(verified.valid, true, verified.reason);
+    assert.strictEqual(verified.checked, await backend.countObjects('auditArchive') + await backend.countObjects('activityLog', 'seq'));
+});
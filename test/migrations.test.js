@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { NERISTBackend, MemoryStorageAdapter, MemoryKeyValueStore, NERIST_MIGRATIONS } = require('../nerist_backend.js');
+const { createBackend } = require('./helpers');
+
+const latestVersion = NERIST_MIGRATIONS[NERIST_MIGRATIONS.length - 1].version;
+
+function createUninitialized(storage = new MemoryStorageAdapter()) {
+    return new NERISTBackend({
+        storage,
+        sessionStore: new MemoryKeyValueStore(),
+        broadcastChannel: false,
+        backgroundSync: false,
+        autoInitialize: false
+    });
+}
+
+test('a new database runs every migration and records the version', async () => {
+    const backend = await createBackend();
+
+    assert.strictEqual(backend.storage.version, latestVersion);
+    assert.strictEqual(await backend.getSystemSetting('schema_version'), String(latestVersion));
+    for (const storeName of ['users', 'attendance', 'auditArchive', 'attendanceSessions', 'attendanceWarnings']) {
+        assert.ok(backend.storage.hasStore(storeName), storeName);
+    }
+});
+
+test('the migration list is in ascending version order', () => {
+    const backend = createUninitialized();
+    const up = async () => {};
+
+    assert.doesNotThrow(() => backend.validateMigrations(NERIST_MIGRATIONS));
+    assert.throws(() => backend.validateMigrations([{ version: 2, up }, { version: 2, up }]), /ascending/);
+    assert.throws(() => backend.validateMigrations([{ version: '3', up }]), /Invalid migration/);
+});
+
+test('only migrations newer than the stored version run', async () => {
+    const storage = new MemoryStorageAdapter();
+    const backend = createUninitialized(storage);
+    const migrate = version => storage.open(backend.dbName, version,
+        (schema, oldVersion, newVersion) => backend.runMigrations(schema, oldVersion, newVersion));
+
+    await migrate(15);
+    assert.strictEqual(storage.version, 15);
+    assert.ok(storage.hasStore('timetableSlots'));
+    assert.ok(!storage.hasStore('attendanceSessions'));
+
+    const applied = [];
+    await storage.open(backend.dbName, latestVersion, async (schema, oldVersion, newVersion) => {
+        applied.push(...await backend.runMigrations(schema, oldVersion, newVersion));
+    });
+    assert.deepStrictEqual(applied, NERIST_MIGRATIONS.filter(m => m.version > 15).map(m => m.version));
+});
+
+test('upgrading keeps the latest of duplicate attendance records', async () => {
+    const storage = new MemoryStorageAdapter();
+    const backend = createUninitialized(storage);
+    await storage.open(backend.dbName, 15,
+        (schema, oldVersion, newVersion) => backend.runMigrations(schema, oldVersion, newVersion));
+
+    const record = { studentId: 'student_001', date: '2026-01-05', subject: 'CS301', period: 1 };
+    await storage.transaction(['attendance'], 'readwrite', async tx => {
+        await tx.put('attendance', { ...record, status: 'absent', updatedAt: '2026-01-05T09:00:00.000Z' });
+        await tx.put('attendance', { ...record, status: 'present', updatedAt: '2026-01-05T11:00:00.000Z' });
+        await tx.put('attendance', { ...record, period: 2, status: 'late', updatedAt: '2026-01-05T10:00:00.000Z' });
+    });
+
+    await backend.initialize();
+
+    const attendance = await backend.getAttendanceForStudent('student_001');
+    assert.deepStrictEqual(attendance.map(a => [a.period, a.status]).sort(), [[1, 'present'], [2, 'late']]);
+    await assert.rejects(() => backend.putObject('attendance', { ...record, status: 'absent' }), /unique index/);
+
+    const removed = JSON.parse(await backend.getSystemSetting('migration_16_removed_attendance'));
+    assert.deepStrictEqual(removed.map(a => [a.period, a.status]), [[1, 'absent']]);
+});
+
+test('upgrading keeps every attendance record that has no period', async () => {
+    const storage = new MemoryStorageAdapter();
+    const backend = createUninitialized(storage);
+    await storage.open(backend.dbName, 15,
+        (schema, oldVersion, newVersion) => backend.runMigrations(schema, oldVersion, newVersion));
+
+    // Two classes of one subject on one day, as recorded before periods existed
+    const record = { studentId: 'student_001', date: '2026-01-05', subject: 'CS301' };
+    await storage.transaction(['attendance'], 'readwrite', async tx => {
+        await tx.put('attendance', { ...record, time: '09:00', status: 'present', timestamp: '2026-01-05T09:00:00.000Z' });
+        await tx.put('attendance', { ...record, time: '14:00', status: 'absent', timestamp: '2026-01-05T14:00:00.000Z' });
+    });
+
+    await backend.initialize();
+
+    const attendance = await backend.getAttendanceForStudent('student_001');
+    assert.deepStrictEqual(attendance.map(a => [a.time, a.status]).sort(), [['09:00', 'present'], ['14:00', 'absent']]);
+    assert.strictEqual(await backend.getSystemSetting('migration_16_removed_attendance'), null);
+});
+
+test('upgrading grants encryption.use to the built-in roles that read encrypted data', async () => {
+    const storage = new MemoryStorageAdapter();
+    const backend = createUninitialized(storage);
+    await storage.open(backend.dbName, 19,
+        (schema, oldVersion, newVersion) => backend.runMigrations(schema, oldVersion, newVersion));
+
+    await storage.transaction(['roles'], 'readwrite', async tx => {
+        await tx.put('roles', { id: 'faculty', builtIn: true, permissions: ['attendance.mark@course'] });
+        await tx.put('roles', { id: 'student', builtIn: true, permissions: ['results.view@own'] });
+    });
+
+    await backend.initialize();
+
+    const roles = await backend.getRoleMap();
+    assert.deepStrictEqual(roles.faculty.permissions, ['attendance.mark@course', 'encryption.use']);
+    assert.deepStrictEqual(roles.student.permissions, ['results.view@own']);
+});
+
+test('a failing migration leaves the database as it was', async () => {
+    const storage = new MemoryStorageAdapter();
+    const backend = createUninitialized(storage);
+    const migrations = [
+        { version: 1, up: async schema => schema.createStore('notes', { keyPath: 'id' }) },
+        { version: 2, up: async () => { throw new Error('Migration 2 failed'); } }
+    ];
+
+    await assert.rejects(() => storage.open('scratch', 2,
+        (schema, oldVersion, newVersion) => backend.runMigrations(schema, oldVersion, newVersion, migrations)),
+    /Migration 2 failed/);
+    assert.strictEqual(storage.version, 0);
+    assert.ok(!storage.hasStore('notes'));
+});
+
+test('upgrading closes check-in windows whose codes only their own device can verify', async () => {
+    const storage = new MemoryStorageAdapter();
+    const backend = createUninitialized(storage);
+    await storage.open(backend.dbName, 20,
+        (schema, oldVersion, newVersion) => backend.runMigrations(schema, oldVersion, newVersion));
+
+    await storage.transaction(['checkInWindows'], 'readwrite', async tx => {
+        await tx.put('checkInWindows', {
+            id: 'a'.repeat(32), sessionId: 'CS301-A:2026-01-05:2', secret: 'c2VjcmV0', rotateSeconds: 10,
+            startedAt: '2026-01-05T09:00:00.000Z', endsAt: '2099-01-05T09:10:00.000Z', closedAt: null, checkIns: {}, flags: []
+        });
+    });
+
+    await backend.initialize();
+
+    const checkInWindow = await backend.getObject('checkInWindows', 'a'.repeat(32));
+    assert.ok(checkInWindow.closedAt);
+    assert.ok(storage.hasStore('checkIns'));
+});
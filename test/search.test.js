@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBackend } = require('./helpers');
+
+test('campus locations can be searched without signing in, by substring', async () => {
+    const backend = await createBackend();
+
+    const locations = await backend.searchCampusLocations('brary');
+    assert.ok(locations.some(location => location.name.includes('Library')));
+    await assert.rejects(backend.search('library'), /Not authenticated/);
+});
+
+test('students never see users in search results', async () => {
+    const backend = await createBackend();
+
+    await backend.login('NER20231045', 'demo123');
+    const asStudent = await backend.search('Admin', { limit: Infinity });
+    assert.ok(asStudent.results.every(result => result.source !== 'users'));
+    assert.deepStrictEqual((await backend.search('Ankit', { sources: ['users'] })).results, []);
+    await backend.logout();
+
+    await backend.login('admin', 'admin123');
+    const asAdmin = await backend.search('Ankit', { sources: ['users'] });
+    assert.deepStrictEqual(asAdmin.results.map(result => result.key), ['student_001']);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBackend } = require('./helpers');
+
+async function createAdmin() {
+    const backend = await createBackend();
+    await backend.login('admin', 'admin123');
+    return backend;
+}
+
+test('a setting of 0 is honoured where 0 is valid', async () => {
+    const backend = await createAdmin();
+
+    await backend.setSystemSetting('attendance_session_lock_hours', '0');
+    assert.strictEqual(await backend.getNumericSetting('attendance_session_lock_hours', 48), 0);
+
+    await backend.setSystemSetting('geofence_tolerance_meters', '0');
+    assert.strictEqual(await backend.getNumericSetting('geofence_tolerance_meters', 25), 0);
+});
+
+test('numeric settings outside their range are refused when saved', async () => {
+    const backend = await createAdmin();
+
+    for (const [key, value] of [
+        ['attendance_session_lock_hours', '-1'],
+        ['attendance_session_lock_hours', '12 hours'],
+        ['geofence_tolerance_meters', 'abc'],
+        ['geofence_max_accuracy_meters', '0'],
+        ['login_lockout_threshold', '0'],
+        ['audit_retention_days', '']
+    ]) {
+        await assert.rejects(backend.setSystemSetting(key, value), new RegExp(`${key} must be`));
+    }
+    assert.strictEqual(await backend.getSystemSetting('login_lockout_threshold'), '5');
+});
+
+test('a stored value outside the range falls back to the default', async () => {
+    const backend = await createAdmin();
+
+    await backend.saveSystemSetting('login_lockout_minutes', '-15');
+    assert.strictEqual(await backend.getNumericSetting('login_lockout_minutes', 15), 15);
+});
+
+test('secret settings are not handed out by getSystemSetting', async () => {
+    const backend = await createBackend();
+    await backend.login('admin', 'admin123');
+
+    for (const key of ['session_signing_secret', 'sync_auth_token']) {
+        await assert.rejects(backend.getSystemSetting(key), new RegExp(`${key} cannot be read`));
+        assert.ok(!(key in await backend.getAllSystemSettings()));
+    }
+    assert.ok(await backend.getSecretSetting('session_signing_secret'));
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SyncServer, SyncLog } = require('../nerist_sync_server.js');
+
+async function startServer(options = {}) {
+    const server = new SyncServer({ log: new SyncLog(), authToken: 'lan-secret', ...options });
+    const address = await server.listen(0);
+    return { server, address, url: `http://127.0.0.1:${address.port}` };
+}
+
+test('the server refuses to start without a token', () => {
+    assert.throws(() => new SyncServer({ log: new SyncLog() }), /sync token is required/);
+});
+
+test('requests need the exact bearer token', async () => {
+    const { server, address, url } = await startServer();
+    try {
+        assert.strictEqual(address.address, '127.0.0.1');
+
+        const pull = token => fetch(`${url}/sync/pull?deviceId=a`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        assert.strictEqual((await pull(null)).status, 401);
+        assert.strictEqual((await pull('lan-secre')).status, 401);
+        assert.strictEqual((await pull('lan-secret-and-more')).status, 401);
+        assert.strictEqual((await pull('lan-secret')).status, 200);
+        assert.strictEqual((await fetch(`${url}/sync/status`)).status, 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('CORS headers name only the configured origin', async () => {
+    const closed = await startServer();
+    const open = await startServer({ allowOrigin: 'https://one.nerist.ac.in' });
+    try {
+        assert.strictEqual((await fetch(`${closed.url}/sync/status`)).headers.get('access-control-allow-origin'), null);
+        assert.strictEqual((await fetch(`${open.url}/sync/status`)).headers.get('access-control-allow-origin'), 'https://one.nerist.ac.in');
+    } finally {
+        await closed.server.close();
+        await open.server.close();
+    }
+});
@@ -0,0 +1,225 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createSyncedDevices, scheduleClass } = require('./helpers');
+
+test('a record saved on one device reaches the other', async () => {
+    const [first, second] = await createSyncedDevices();
+
+    await first.saveMessMenu('2026-03-02', { mealType: 'lunch', items: ['Dal', 'Rice'] });
+    const pushed = await first.syncNow();
+    const pulled = await second.syncNow();
+
+    assert.strictEqual(pushed.pushed, 1);
+    assert.strictEqual(pulled.pulled, 1);
+    const [menu] = await second.getMessMenu('2026-03-02', 'lunch');
+    assert.deepStrictEqual(menu.items, ['Dal', 'Rice']);
+    assert.strictEqual((await second.getSyncStatus()).pending, 0);
+});
+
+test('records with their own keys are matched across devices by syncId', async () => {
+    const [first, second] = await createSyncedDevices();
+
+    const { id } = await first.createCampusAlert({ title: 'Water supply', message: 'Off until 4 pm', priority: 'medium' });
+    const alert = await first.getObject('campusAlerts', id);
+    await first.syncNow();
+    await second.syncNow();
+
+    const [copy] = (await second.getAllObjects('campusAlerts')).filter(a => a.syncId === alert.syncId);
+    assert.ok(copy);
+    assert.strictEqual(copy.title, 'Water supply');
+});
+
+test('the merge policy keeps field edits made on both devices', async () => {
+    const [first, second] = await createSyncedDevices();
+
+    await first.updateUserProfile('student_001', { phone: '9000000001' });
+    await second.updateUserProfile('student_001', { department: 'Electrical Engineering' });
+    await first.syncNow();
+    const result = await second.syncNow();
+    await first.syncNow();
+
+    assert.strictEqual(result.conflicts, 1);
+    for (const device of [first, second]) {
+        const user = await device.getUserById('student_001');
+        assert.strictEqual(user.phone, '9000000001');
+        assert.strictEqual(user.department, 'Electrical Engineering');
+    }
+});
+
+test('under last-writer-wins the later change is kept on both devices', async () => {
+    const [first, second] = await createSyncedDevices();
+    await first.setSyncPolicy('messMenu', 'lww');
+    await second.setSyncPolicy('messMenu', 'lww');
+
+    await first.saveMessMenu('2026-03-03', { mealType: 'dinner', items: ['Roti'] });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await second.saveMessMenu('2026-03-03', { mealType: 'dinner', items: ['Khichdi'] });
+    await first.syncNow();
+    await second.syncNow();
+    await first.syncNow();
+
+    for (const device of [first, second]) {
+        const [menu] = await device.getMessMenu('2026-03-03', 'dinner');
+        assert.deepStrictEqual(menu.items, ['Khichdi']);
+    }
+});
+
+// Both devices hold CS301-A, meeting in period 2 every day, with student_001 enrolled
+async function createSyncedClass() {
+    const [first, second] = await createSyncedDevices();
+    await scheduleClass(first);
+    await first.syncNow();
+    await second.syncNow();
+    return [first, second];
+}
+
+async function markOffline(device, status) {
+    await device.markAttendance({ studentId: 'student_001', subject: 'CS301', date: '2026-03-02', period: 2, status });
+    // Keeps the two marks' timestamps apart
+    await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+async function assertConverged(devices, status) {
+    const records = await Promise.all(devices.map(device => device.getAttendanceForStudent('student_001')));
+    records.forEach(list => assert.strictEqual(list.length, 1));
+    assert.deepStrictEqual(records.map(([record]) => record.status), devices.map(() => status));
+    assert.strictEqual(records[0][0].syncId, records[1][0].syncId);
+
+    for (const device of devices) {
+        const status = await device.getSyncStatus();
+        assert.strictEqual(status.pending, 0);
+        assert.ok(status.checkpoint > 0);
+    }
+}
+
+test('attendance marked for the same class on two devices offline converges on the later mark', async () => {
+    const [first, second] = await createSyncedClass();
+    await markOffline(first, 'present');
+    await markOffline(second, 'absent');
+
+    await first.syncNow();
+    const result = await second.syncNow();
+    await first.syncNow();
+
+    assert.strictEqual(result.conflicts, 1);
+    await assertConverged([first, second], 'absent');
+});
+
+test('a device that marked the class earlier adopts the later mark it pulls', async () => {
+    const [first, second] = await createSyncedClass();
+    await markOffline(second, 'absent');
+    await markOffline(first, 'late');
+
+    await first.syncNow();
+    await second.syncNow();
+    await first.syncNow();
+
+    await assertConverged([first, second], 'late');
+});
+
+test('credentials and encrypted fields never reach the server', async () => {
+    const [first] = await createSyncedDevices();
+    await first.enableEncryption('correct horse battery');
+    await first.updateUserProfile('admin_001', { phone: '9000000002' });
+    await first.saveStudentResults('student_001', 5, { subjects: [{ code: 'CS301', grade: 'A', credits: 4 }], sgpa: 9 });
+    await first.syncNow();
+
+    const { changes } = first.syncTransport.log.since('server-check', 0, 1000);
+    const user = changes.find(change => change.storeName === 'users' && change.recordId === 'admin_001').record;
+    for (const field of ['password', 'twoFactor', 'lockedUntil', 'knownDevices']) {
+        assert.ok(!(field in user), field);
+    }
+    const results = changes.find(change => change.storeName === 'results').record;
+    for (const field of ['subjects', 'sgpa', 'creditsEarned', 'totalCredits']) {
+        assert.ok(!(field in results), field);
+    }
+    assert.strictEqual(results.studentId, 'student_001');
+});
+
+test('pulled records keep this device\'s credentials', async () => {
+    const [first, second] = await createSyncedDevices();
+    const before = await second.getObject('users', 'student_001');
+
+    await first.updateUserProfile('student_001', { phone: '9000000003' });
+    await first.syncNow();
+    await second.syncNow();
+
+    const after = await second.getObject('users', 'student_001');
+    assert.strictEqual(after.phone, '9000000003');
+    assert.strictEqual(after.password, before.password);
+});
+
+test('a pulled role change applies only when its author may make it', async () => {
+    const [first, second] = await createSyncedDevices();
+    const student = await second.getObject('users', 'student_001');
+    const forged = {
+        changeId: 1, storeName: 'users', recordId: 'student_001', op: 'put',
+        record: { ...student, role: 'admin' }, changedFields: ['role'],
+        changedAt: new Date().toISOString(), changedBy: 'student_001'
+    };
+    delete forged.record.password;
+    await second.syncTransport.push({ deviceId: 'rogue', changes: [forged] });
+
+    const result = await second.syncNow();
+    assert.strictEqual(result.rejected, 1);
+    assert.strictEqual((await second.getObject('users', 'student_001')).role, 'student');
+    const [logged] = await second.getAllObjects('activityLog', 'action', 'sync_change_rejected');
+    assert.match(logged.details, /users\/student_001 by student_001/);
+
+    await first.changeUserRole('student_001', 'faculty');
+    await first.syncNow();
+    assert.strictEqual((await second.syncNow()).rejected, 0);
+    assert.strictEqual((await second.getObject('users', 'student_001')).role, 'faculty');
+});
+
+// The faculty shows a code on the first device; the student scans it on the second
+async function startSyncedCheckIn() {
+    const [faculty, phone] = await createSyncedClass();
+    await phone.logout();
+    await phone.login('NER20231045', 'demo123');
+
+    const today = new Date().toISOString().split('T')[0];
+    const session = await faculty.openAttendanceSession('CS301-A', today, 2);
+    const checkInWindow = await faculty.startCheckInWindow(session.id);
+    const { token } = await faculty.getCheckInToken(checkInWindow.id);
+    await faculty.syncNow();
+    return { faculty, phone, session, checkInWindow, token };
+}
+
+test('a student checks in from their own device and counts once the faculty closes the window', async () => {
+    const { faculty, phone, session, checkInWindow, token } = await startSyncedCheckIn();
+
+    const result = await phone.checkIn(token);
+    assert.strictEqual(result.status, 'present');
+    assert.strictEqual(result.flagged, false);
+    assert.ok(!('privateKey' in (await phone.getObject('checkInWindows', checkInWindow.id))));
+
+    const { window: closed, submitted } = await faculty.closeCheckInWindow(checkInWindow.id);
+    assert.strictEqual(closed.checkIns.student_001.deviceId, phone.getDeviceId());
+    assert.deepStrictEqual(closed.flags, []);
+    assert.ok(submitted);
+
+    const [record] = await faculty.getAttendanceForStudent('student_001');
+    assert.strictEqual(record.sessionId, session.id);
+    assert.strictEqual(record.status, 'present');
+});
+
+test('a check-in whose code does not verify is refused on the student\'s device and not counted', async () => {
+    const { faculty, phone, checkInWindow, token } = await startSyncedCheckIn();
+
+    const forged = token.replace(/\.[^.]+$/, '.' + 'A'.repeat(86));
+    await assert.rejects(() => phone.checkIn(forged), /Invalid check-in code/);
+
+    // A record pushed with a forged token is ignored when the window closes
+    const id = `${checkInWindow.id}:student_001`;
+    await phone.putObject('checkIns', {
+        id, windowId: checkInWindow.id, sessionId: checkInWindow.sessionId, studentId: 'student_001',
+        token: forged, step: 0, at: new Date().toISOString(), deviceId: phone.getDeviceId(),
+        geofence: 'unchecked', status: 'present', reviewId: null, flags: [], settledAt: null
+    });
+    await phone.syncNow();
+
+    await faculty.closeCheckInWindow(checkInWindow.id);
+    const [record] = await faculty.getAttendanceForStudent('student_001');
+    assert.strictEqual(record.status, 'absent');
+});